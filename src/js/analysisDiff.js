@@ -0,0 +1,60 @@
+/**
+ * Analysis Diff
+ * Compares a saved analysis with a fresh run of the calculator on the same
+ * input, field by field, plus reasoning lines added or dropped
+ */
+
+/**
+ * Targets as "label level" pairs
+ */
+function formatTargets(setup) {
+  return (setup.targets || []).map(target => `${target.label} ${target.level}`).join(', ');
+}
+
+// Compared fields: label and how to read each one from an analysis
+export const DIFF_FIELDS = [
+  { key: 'bias', label: 'Bias', read: analysis => analysis.bias },
+  { key: 'direction', label: 'Direction', read: analysis => analysis.direction },
+  { key: 'strength', label: 'Strength', read: analysis => `${Number(analysis.strength).toFixed(0)}%` },
+  { key: 'confluence', label: 'Confluence', read: analysis => analysis.confluence },
+  {
+    key: 'scenario',
+    label: 'Scenarios',
+    read: analysis => Object.keys(analysis.scenario || {}).filter(key => analysis.scenario[key]).sort().join(', ')
+  },
+  { key: 'bullishEntry', label: 'BUY entry zone', read: analysis => (analysis.bullishSetup || {}).entryZone },
+  { key: 'bullishInvalidation', label: 'BUY invalidation', read: analysis => (analysis.bullishSetup || {}).invalidation },
+  { key: 'bullishTargets', label: 'BUY targets', read: analysis => formatTargets(analysis.bullishSetup || {}) },
+  { key: 'bearishEntry', label: 'SELL entry zone', read: analysis => (analysis.bearishSetup || {}).entryZone },
+  { key: 'bearishInvalidation', label: 'SELL invalidation', read: analysis => (analysis.bearishSetup || {}).invalidation },
+  { key: 'bearishTargets', label: 'SELL targets', read: analysis => formatTargets(analysis.bearishSetup || {}) }
+];
+
+/**
+ * Field rows (with a changed flag) and reasoning lines that differ
+ */
+export function diffAnalyses(saved, current) {
+  const fields = DIFF_FIELDS.map(field => {
+    const before = field.read(saved);
+    const after = field.read(current);
+    const text = value => (value === undefined || value === null || value === '' ? '-' : String(value));
+
+    return {
+      key: field.key,
+      label: field.label,
+      saved: text(before),
+      current: text(after),
+      changed: text(before) !== text(after)
+    };
+  });
+
+  const savedReasoning = saved.reasoning || [];
+  const currentReasoning = current.reasoning || [];
+
+  return {
+    fields,
+    added: currentReasoning.filter(line => !savedReasoning.includes(line)),
+    removed: savedReasoning.filter(line => !currentReasoning.includes(line)),
+    changed: fields.some(field => field.changed)
+  };
+}
@@ -0,0 +1,189 @@
+/**
+ * Historical Backtest Engine
+ * Replays BiasCalculator over a daily OHLC series and grades each forecast
+ * against the following day's real candle
+ */
+
+import { BiasCalculator } from './calculator';
+import { DEFAULT_PROFILE, normalizeProfile } from './profiles';
+import { OutcomeGrader, OUTCOME_STATUS } from './outcomeGrader';
+
+const CANDLE_FIELDS = ['open', 'high', 'low', 'close'];
+
+/**
+ * Problem with one candle, or null when it is valid
+ */
+function candleProblem(candle) {
+  if (CANDLE_FIELDS.some(field => !Number.isFinite(candle[field]))) {
+    return 'all prices must be numbers';
+  }
+  if (candle.high <= candle.low) {
+    return 'high must be greater than low';
+  }
+  if ([candle.open, candle.close].some(price => price < candle.low || price > candle.high)) {
+    return 'open and close must be within the range';
+  }
+  return null;
+}
+
+export class BacktestEngine {
+  constructor(candles, profile = DEFAULT_PROFILE) {
+    this.profile = normalizeProfile(profile);
+    this.grader = new OutcomeGrader();
+    this.candles = (candles || []).map((candle, index) => {
+      const parsed = {
+        date: candle.date || '',
+        symbol: candle.symbol,
+        open: parseFloat(candle.open),
+        high: parseFloat(candle.high),
+        low: parseFloat(candle.low),
+        close: parseFloat(candle.close)
+      };
+      parsed.problem = candleProblem(parsed);
+      parsed.index = index;
+      return parsed;
+    });
+  }
+
+  /**
+   * Candles that cannot be used, as { row, date, message } (row is 1-based)
+   */
+  invalidCandles() {
+    return this.candles
+      .filter(candle => candle.problem)
+      .map(candle => ({ row: candle.index + 1, date: candle.date, message: candle.problem }));
+  }
+
+  /**
+   * Walk every rolling D-2/D-1 pair (with the profile's lookback and ADR history before it)
+   * and grade the forecast against D0. Days next to an invalid candle are skipped and
+   * invalid candles are left out of the history.
+   */
+  run() {
+    if (this.candles.length < 3) {
+      throw new Error('Backtest needs at least 3 daily candles');
+    }
+
+    const results = [];
+    const historyLength = BiasCalculator.historyLength(this.profile);
+
+    for (let i = 2; i < this.candles.length; i++) {
+      const dbpd = this.candles[i - 2];
+      const pd = this.candles[i - 1];
+      const next = this.candles[i];
+
+      if (dbpd.problem || pd.problem || next.problem) {
+        continue;
+      }
+
+      const history = this.candles.slice(Math.max(0, i - historyLength), i).filter(candle => !candle.problem);
+      const calculator = new BiasCalculator({ ...this.toFormData(dbpd, pd), candles: history }, this.profile);
+      const analysis = calculator.calculateBias();
+
+      results.push({
+        date: next.date,
+        bias: analysis.bias,
+        strength: analysis.strength,
+        scenarios: Object.keys(analysis.scenario).filter(key => analysis.scenario[key]),
+        ...this.evaluateForecast(analysis, next)
+      });
+    }
+
+    if (results.length === 0) {
+      throw new Error('Backtest needs at least 3 consecutive valid daily candles');
+    }
+
+    return {
+      total: results.length,
+      invalid: this.invalidCandles(),
+      summary: this.summarize(results),
+      byBias: this.groupBy(results, result => [result.bias]),
+      byScenario: this.groupBy(results, result => result.scenarios),
+      results
+    };
+  }
+
+  /**
+   * Convert two candles into the shape the form submits
+   */
+  toFormData(dbpd, pd) {
+    return {
+      dbpdOpen: dbpd.open,
+      dbpdHigh: dbpd.high,
+      dbpdLow: dbpd.low,
+      dbpdClose: dbpd.close,
+      pdOpen: pd.open,
+      pdHigh: pd.high,
+      pdLow: pd.low,
+      pdClose: pd.close,
+      symbol: pd.symbol
+    };
+  }
+
+  /**
+   * Grade one forecast against the next day's candle
+   */
+  evaluateForecast(analysis, next) {
+    const grade = this.grader.grade(analysis, next);
+    return { outcome: grade.status, directionCorrect: grade.biasCorrect };
+  }
+
+  /**
+   * Count outcomes and hit rates for a set of results
+   */
+  summarize(results) {
+    const stats = {
+      total: results.length,
+      trades: 0,
+      target: 0,
+      invalidation: 0,
+      neither: 0,
+      noTrade: 0,
+      directionCorrect: 0,
+      targetRate: 0,
+      invalidationRate: 0,
+      directionRate: 0
+    };
+
+    results.forEach(result => {
+      if (result.outcome === OUTCOME_STATUS.NO_TRADE) {
+        stats.noTrade++;
+        return;
+      }
+
+      stats.trades++;
+      stats[result.outcome]++;
+      if (result.directionCorrect) {
+        stats.directionCorrect++;
+      }
+    });
+
+    if (stats.trades > 0) {
+      stats.targetRate = (stats.target / stats.trades) * 100;
+      stats.invalidationRate = (stats.invalidation / stats.trades) * 100;
+      stats.directionRate = (stats.directionCorrect / stats.trades) * 100;
+    }
+
+    return stats;
+  }
+
+  /**
+   * Group results by one or more keys and summarize each group
+   */
+  groupBy(results, getKeys) {
+    const groups = {};
+
+    results.forEach(result => {
+      getKeys(result).forEach(key => {
+        if (!groups[key]) {
+          groups[key] = [];
+        }
+        groups[key].push(result);
+      });
+    });
+
+    return Object.keys(groups)
+      .map(key => ({ key, ...this.summarize(groups[key]) }))
+      .sort((a, b) => b.total - a.total);
+  }
+}
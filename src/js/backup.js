@@ -0,0 +1,274 @@
+/**
+ * Backup Export / Import
+ * Everything StorageManager holds as one versioned JSON file. Imports are
+ * validated and planned (what is added, skipped or removed) before anything
+ * is written.
+ */
+
+import { DB_VERSION } from './database';
+
+export const BACKUP_FORMAT = 'trading-bias-backup';
+export const BACKUP_VERSION = 1;
+
+export const IMPORT_MODES = {
+  merge: 'Merge - keep current data and add what is new',
+  replace: 'Replace - delete current data first'
+};
+
+// Backup sections and the field each is de-duplicated by
+export const BACKUP_SECTIONS = {
+  analyses: { label: 'History entries', key: 'id' },
+  profiles: { label: 'Strategy profiles', key: 'id' },
+  checklists: { label: 'Checklist templates', key: 'id' },
+  settings: { label: 'Settings', key: 'key' }
+};
+
+// Problems listed before the rest are summarised
+const MAX_ERRORS = 5;
+
+const OHLC_FIELDS = ['dbpdOpen', 'dbpdHigh', 'dbpdLow', 'dbpdClose', 'pdOpen', 'pdHigh', 'pdLow', 'pdClose'];
+
+const isNumeric = value => (typeof value === 'number' || (typeof value === 'string' && value.trim() !== '')) && Number.isFinite(Number(value));
+const isStringList = value => Array.isArray(value) && value.every(item => typeof item === 'string');
+const isCandle = candle => !!candle && typeof candle === 'object' && ['open', 'high', 'low', 'close'].every(field => Number.isFinite(candle[field]));
+
+// Settings the app reads, and the shape each value must have
+const SETTING_CHECKS = {
+  theme: { expected: 'a string', valid: value => typeof value === 'string' },
+  activeProfile: { expected: 'a string', valid: value => typeof value === 'string' },
+  dataProvider: { expected: 'a string', valid: value => typeof value === 'string' },
+  holidays: { expected: 'a list of dates', valid: isStringList },
+  hiddenChartLayers: { expected: 'a list of layer names', valid: isStringList },
+  riskSettings: {
+    expected: 'balance, currency and risk %',
+    valid: value => !!value && Number.isFinite(value.balance) && typeof value.currency === 'string' && Number.isFinite(value.riskPercent)
+  },
+  watchlist: {
+    expected: 'a list of symbols with D-2 / D-1 candles',
+    valid: value => Array.isArray(value) && value.every(item => item && typeof item.symbol === 'string' && isCandle(item.dbpd) && isCandle(item.pd))
+  }
+};
+
+/**
+ * Problem with a saved trade setup, or null when it is valid or empty
+ */
+function setupProblem(setup, label) {
+  if (!setup || typeof setup !== 'object') {
+    return `${label} is missing`;
+  }
+  if (Object.keys(setup).length === 0) {
+    return null;
+  }
+  if (typeof setup.entryZone !== 'string' || typeof setup.invalidation !== 'string') {
+    return `${label} needs a text entry zone and invalidation`;
+  }
+  if (setup.sweepLevel !== undefined && !Number.isFinite(setup.sweepLevel)) {
+    return `${label} sweep level is not a number`;
+  }
+  if (!Array.isArray(setup.targets) || !setup.targets.every(target => target && typeof target.level === 'string' && typeof target.label === 'string')) {
+    return `${label} targets need a text level and label`;
+  }
+  return null;
+}
+
+export class BackupManager {
+  constructor(storage) {
+    this.storage = storage;
+  }
+
+  /**
+   * Build the backup object for the current data
+   */
+  async export() {
+    return {
+      format: BACKUP_FORMAT,
+      version: BACKUP_VERSION,
+      schemaVersion: DB_VERSION,
+      exportedAt: new Date().toISOString(),
+      data: await this.storage.exportData()
+    };
+  }
+
+  /**
+   * File name for a backup made now
+   */
+  static fileName(date = new Date()) {
+    return `trading-bias-backup-${date.toISOString().slice(0, 10)}.json`;
+  }
+
+  /**
+   * Parse and validate a backup file, throwing with the problems found
+   */
+  parse(text) {
+    let backup;
+
+    try {
+      backup = JSON.parse(String(text).replace(/^\uFEFF/, ''));
+    } catch (error) {
+      throw new Error('Backup file is not valid JSON');
+    }
+
+    if (!backup || backup.format !== BACKUP_FORMAT) {
+      throw new Error('Not a Trading Bias backup file');
+    }
+
+    if (!Number.isInteger(backup.version) || backup.version < 1) {
+      throw new Error('Backup file has no valid version');
+    }
+
+    if (backup.version > BACKUP_VERSION) {
+      throw new Error(`Backup version ${backup.version} is newer than this app supports (${BACKUP_VERSION}) - update the app first`);
+    }
+
+    if (!backup.data || typeof backup.data !== 'object' || !Array.isArray(backup.data.analyses)) {
+      throw new Error('Backup file has no history data');
+    }
+
+    const errors = [];
+    const data = {};
+
+    Object.keys(BACKUP_SECTIONS).forEach(section => {
+      const records = backup.data[section] || [];
+
+      if (!Array.isArray(records)) {
+        errors.push(`${BACKUP_SECTIONS[section].label}: expected a list`);
+        data[section] = [];
+        return;
+      }
+
+      records.forEach((record, index) => {
+        const problem = this.validateRecord(section, record);
+        if (problem) {
+          errors.push(`${BACKUP_SECTIONS[section].label} #${index + 1}: ${problem}`);
+        }
+      });
+
+      data[section] = records;
+    });
+
+    if (errors.length > 0) {
+      const more = errors.length > MAX_ERRORS ? `\n...and ${errors.length - MAX_ERRORS} more` : '';
+      throw new Error('Backup file is invalid:\n' + errors.slice(0, MAX_ERRORS).join('\n') + more);
+    }
+
+    // The bias index reads a top-level field that older entries do not have
+    data.analyses = data.analyses.map(entry => ({ ...entry, bias: entry.analysis.bias }));
+
+    return {
+      version: backup.version,
+      exportedAt: backup.exportedAt || null,
+      data
+    };
+  }
+
+  /**
+   * Problem with one record of a section, or null when it is valid
+   */
+  validateRecord(section, record) {
+    if (!record || typeof record !== 'object') {
+      return 'not an object';
+    }
+
+    if (section === 'analyses') {
+      if (!Number.isFinite(record.id)) {
+        return 'missing numeric id';
+      }
+      if (typeof record.timestamp !== 'string' || isNaN(Date.parse(record.timestamp))) {
+        return 'missing or invalid timestamp';
+      }
+      if (!record.data || typeof record.data !== 'object') {
+        return 'missing form data';
+      }
+      if (typeof record.symbol !== 'string') {
+        return 'missing symbol';
+      }
+      if (OHLC_FIELDS.some(field => !isNumeric(record.data[field]))) {
+        return 'D-2 / D-1 prices must be numbers';
+      }
+
+      const analysis = record.analysis;
+      if (!analysis || typeof analysis !== 'object' || typeof analysis.bias !== 'string' || typeof analysis.direction !== 'string') {
+        return 'missing analysis';
+      }
+      if (!Number.isFinite(analysis.strength)) {
+        return 'analysis strength is not a number';
+      }
+      if (!isStringList(analysis.reasoning)) {
+        return 'analysis reasoning must be a list of text';
+      }
+      if (analysis.instrument && !(['tickSize', 'pipSize'].every(field => analysis.instrument[field] > 0) &&
+          Number.isInteger(analysis.instrument.precision) && /^[a-z]+$/.test(analysis.instrument.pipLabel))) {
+        return 'analysis instrument has invalid price steps';
+      }
+      return setupProblem(analysis.bullishSetup, 'bullish setup') || setupProblem(analysis.bearishSetup, 'bearish setup');
+    }
+
+    if (section === 'settings') {
+      if (typeof record.key !== 'string' || !record.key) {
+        return 'missing key';
+      }
+
+      const check = SETTING_CHECKS[record.key];
+      if (!check) {
+        return `unknown setting "${record.key}"`;
+      }
+      return check.valid(record.value) ? null : `${record.key} must be ${check.expected}`;
+    }
+
+    if (typeof record.id !== 'string' || !record.id) {
+      return 'missing id';
+    }
+
+    return typeof record.name === 'string' ? null : 'missing name';
+  }
+
+  /**
+   * What an import would do per section: records added, records skipped as
+   * duplicates and (for replace) current records removed
+   */
+  async plan(backup, mode = 'merge') {
+    if (!IMPORT_MODES[mode]) {
+      throw new Error(`Unknown import mode: ${mode}`);
+    }
+
+    const current = await this.storage.exportData();
+    const sections = {};
+
+    Object.keys(BACKUP_SECTIONS).forEach(section => {
+      const key = BACKUP_SECTIONS[section].key;
+      const existing = new Set(mode === 'merge' ? current[section].map(record => record[key]) : []);
+      const add = [];
+      let skipped = 0;
+
+      backup.data[section].forEach(record => {
+        if (existing.has(record[key])) {
+          skipped++;
+          return;
+        }
+        existing.add(record[key]);
+        add.push(record);
+      });
+
+      sections[section] = {
+        add,
+        skipped,
+        removed: mode === 'replace' ? current[section].length : 0
+      };
+    });
+
+    return { mode, sections };
+  }
+
+  /**
+   * Write a planned import
+   */
+  async import(plan) {
+    const data = {};
+    Object.keys(plan.sections).forEach(section => {
+      data[section] = plan.sections[section].add;
+    });
+
+    await this.storage.importData(data, plan.mode);
+    return data;
+  }
+}
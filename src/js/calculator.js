@@ -3,8 +3,32 @@
  * Predicts current day's bias based on previous two days' OHLC data
  */
 
+import { DEFAULT_PROFILE, normalizeProfile } from './profiles';
+import { InstrumentRegistry } from './instruments';
+import { TIMEFRAMES } from './timeframes';
+import { averageDailyRange, averageTrueRange } from './indicators';
+import { SessionAnalyzer } from './sessions';
+import { ZoneDetector, ZONE_LABELS } from './zoneDetector';
+
+const instrumentRegistry = new InstrumentRegistry();
+
 export class BiasCalculator {
-    constructor(data) {
+    constructor(data, profile = DEFAULT_PROFILE, instrument = null) {
+      // Strategy profile holding every threshold and weight
+      this.profile = normalizeProfile(profile);
+      
+      // Optional history (oldest first) - its last two candles are D-2 and D-1
+      const history = this.parseCandles(data.candles);
+      this.candles = history.slice(-Math.max(2, this.profile.structure.lookback));
+      if (this.candles.length >= 2) {
+        const [dbpd, pd] = this.candles.slice(-2);
+        data = {
+          ...data,
+          dbpdOpen: dbpd.open, dbpdHigh: dbpd.high, dbpdLow: dbpd.low, dbpdClose: dbpd.close,
+          pdOpen: pd.open, pdHigh: pd.high, pdLow: pd.low, pdClose: pd.close
+        };
+      }
+      
       // D-2 (Day Before Previous Day)
       this.dbpdHigh = parseFloat(data.dbpdHigh);
       this.dbpdLow = parseFloat(data.dbpdLow);
@@ -19,6 +43,23 @@ export class BiasCalculator {
       
       this.symbol = data.symbol || 'N/A';
       
+      // Tick size, precision and pip size used to round every level
+      this.instrument = instrument || instrumentRegistry.get(this.symbol, this.pdClose);
+      this.entryBuffer = this.instrument.pipsToPrice(this.instrument.entryBufferPips);
+      
+      // Optional weekly / monthly candles in the same D-2/D-1 shape
+      this.timeframes = {};
+      Object.keys(TIMEFRAMES).forEach(timeframe => {
+        const htfData = this.parseTimeframe(data, TIMEFRAMES[timeframe].prefix);
+        if (htfData) {
+          this.timeframes[timeframe] = htfData;
+        }
+      });
+      
+      // Optional lower timeframe candles for today's sessions
+      this.intraday = Array.isArray(data.intraday) ? data.intraday : [];
+      this.intradayUtcOffset = data.intradayUtcOffset || 0;
+      
       // Calculate candle properties
       this.dbpdCandle = this.analyzeCandleType(this.dbpdOpen, this.dbpdClose, this.dbpdHigh, this.dbpdLow);
       this.pdCandle = this.analyzeCandleType(this.pdOpen, this.pdClose, this.pdHigh, this.pdLow);
@@ -28,12 +69,101 @@ export class BiasCalculator {
       this.pdRange = this.pdHigh - this.pdLow;
       this.dbpdMidpoint = (this.dbpdHigh + this.dbpdLow) / 2;
       this.dbpdRange = this.dbpdHigh - this.dbpdLow;
+      
+      // ADR/ATR from the history; projections fall back to D-1's range without it
+      this.volatility = this.measureVolatility(history);
+      this.projectionRange = this.volatility ? this.volatility.adr : this.pdRange;
+    }
+  
+    /**
+     * Daily candles needed behind the forecast for a profile's lookback and ADR period
+     */
+    static historyLength(profile = DEFAULT_PROFILE) {
+      const { structure, volatility } = normalizeProfile(profile);
+      return Math.max(2, structure.lookback, volatility.period + 1);
+    }
+  
+    /**
+     * Bullish / bearish / neutral family of a bias label
+     */
+    static direction(bias) {
+      return bias.includes('BULLISH') ? 'bullish' : bias.includes('BEARISH') ? 'bearish' : 'neutral';
+    }
+  
+    /**
+     * Keep valid candles from a history series, limited to what the profile uses
+     */
+    parseCandles(candles) {
+      if (!Array.isArray(candles)) {
+        return [];
+      }
+      
+      return candles
+        .map(candle => ({
+          date: candle.date || null,
+          open: parseFloat(candle.open),
+          high: parseFloat(candle.high),
+          low: parseFloat(candle.low),
+          close: parseFloat(candle.close)
+        }))
+        .filter(candle => [candle.open, candle.high, candle.low, candle.close].every(value => !isNaN(value)))
+        .slice(-BiasCalculator.historyLength(this.profile));
+    }
+  
+    /**
+     * Read two higher timeframe candles (e.g. wk2Open ... wk1Close) as calculator input
+     */
+    parseTimeframe(data, prefix) {
+      const fields = ['Open', 'High', 'Low', 'Close'];
+      const htfData = { symbol: data.symbol };
+      
+      for (const field of fields) {
+        const older = parseFloat(data[`${prefix}2${field}`]);
+        const newer = parseFloat(data[`${prefix}1${field}`]);
+        
+        if (isNaN(older) || isNaN(newer)) {
+          return null;
+        }
+        
+        htfData[`dbpd${field}`] = older;
+        htfData[`pd${field}`] = newer;
+      }
+      
+      return htfData;
+    }
+  
+    /**
+     * Average daily range and true range, or null when the history is too short
+     */
+    measureVolatility(candles) {
+      const { period, minCandles } = this.profile.volatility;
+      
+      if (candles.length < Math.max(2, minCandles)) {
+        return null;
+      }
+      
+      const adr = averageDailyRange(candles, period);
+      
+      return {
+        period: Math.min(period, candles.length),
+        adr,
+        atr: averageTrueRange(candles, period),
+        pdRangePercent: (this.pdRange / adr) * 100
+      };
+    }
+  
+    /**
+     * Format a price rounded to the instrument's tick size
+     */
+    fmt(price) {
+      return this.instrument.format(price);
     }
   
     /**
      * Analyze candle type and characteristics
      */
     analyzeCandleType(open, close, high, low) {
+      const { dojiBodyPercent, strongBodyPercent, normalBodyPercent, wickRejectionRatio } = this.profile.candle;
       const body = Math.abs(close - open);
       const range = high - low;
       const bodyPercent = (body / range) * 100;
@@ -43,7 +173,7 @@ export class BiasCalculator {
       
       const isBullish = close > open;
       const isBearish = close < open;
-      const isDoji = bodyPercent < 10;
+      const isDoji = bodyPercent < dojiBodyPercent;
       
       let type = 'NEUTRAL';
       let strength = 0;
@@ -52,10 +182,10 @@ export class BiasCalculator {
         type = 'DOJI';
         strength = 0;
       } else if (isBullish) {
-        if (bodyPercent > 70) {
+        if (bodyPercent > strongBodyPercent) {
           type = 'STRONG BULLISH';
           strength = 3;
-        } else if (bodyPercent > 50) {
+        } else if (bodyPercent > normalBodyPercent) {
           type = 'BULLISH';
           strength = 2;
         } else {
@@ -63,10 +193,10 @@ export class BiasCalculator {
           strength = 1;
         }
       } else if (isBearish) {
-        if (bodyPercent > 70) {
+        if (bodyPercent > strongBodyPercent) {
           type = 'STRONG BEARISH';
           strength = -3;
-        } else if (bodyPercent > 50) {
+        } else if (bodyPercent > normalBodyPercent) {
           type = 'BEARISH';
           strength = -2;
         } else {
@@ -76,8 +206,8 @@ export class BiasCalculator {
       }
       
       // Check for rejection candles
-      const hasUpperWickRejection = upperWick > body * 2;
-      const hasLowerWickRejection = lowerWick > body * 2;
+      const hasUpperWickRejection = upperWick > body * wickRejectionRatio;
+      const hasLowerWickRejection = lowerWick > body * wickRejectionRatio;
       
       return {
         type,
@@ -116,7 +246,9 @@ export class BiasCalculator {
         bullishSetup: {},
         bearishSetup: {},
         keyLevels: {},
-        confluence: 0
+        confluence: 0,
+        profile: { id: this.profile.id, name: this.profile.name },
+        instrument: this.instrument.toJSON()
       };
   
       // Analyze candle patterns
@@ -128,9 +260,24 @@ export class BiasCalculator {
       // Analyze liquidity and sweeps
       this.analyzeLiquiditySweeps(analysis);
       
+      // Swing structure and resting liquidity over the lookback
+      this.analyzeMarketStructure(analysis);
+      
       // Determine forecast bias
       this.determineForecastBias(analysis);
       
+      // Expected range for the day from ADR
+      this.analyzeVolatility(analysis);
+      
+      // Combine with weekly / monthly narrative
+      this.analyzeHigherTimeframes(analysis);
+      
+      // Asian range and London / New York sessions
+      this.analyzeSessions(analysis);
+      
+      // Fair value gaps and order blocks on the intraday candles
+      this.analyzeZones(analysis);
+      
       // Generate trading scenarios
       this.generateTradingScenarios(analysis);
   
@@ -141,45 +288,47 @@ export class BiasCalculator {
      * Analyze candle patterns and momentum
      */
     analyzeCandlePatterns(analysis) {
+      const { weights } = this.profile;
+      
       // Add candle info to reasoning
       analysis.reasoning.push(`📊 D-2 Candle: ${this.dbpdCandle.type} (Body: ${this.dbpdCandle.bodyPercent}%)`);
       analysis.reasoning.push(`📊 D-1 Candle: ${this.pdCandle.type} (Body: ${this.pdCandle.bodyPercent}%)`);
       
       // Two consecutive bullish candles
       if (this.dbpdCandle.isBullish && this.pdCandle.isBullish) {
-        analysis.confluence += 2;
+        analysis.confluence += weights.consecutiveCandles;
         analysis.reasoning.push(`✅ Two consecutive BULLISH candles - Strong upward momentum`);
       }
       
       // Two consecutive bearish candles
       if (this.dbpdCandle.isBearish && this.pdCandle.isBearish) {
-        analysis.confluence -= 2;
+        analysis.confluence -= weights.consecutiveCandles;
         analysis.reasoning.push(`✅ Two consecutive BEARISH candles - Strong downward momentum`);
       }
       
       // Reversal pattern: Bullish after bearish
       if (this.dbpdCandle.isBearish && this.pdCandle.isBullish) {
-        analysis.confluence += 1;
+        analysis.confluence += weights.reversalCandle;
         analysis.reasoning.push(`🔄 REVERSAL: Bearish to Bullish candle - Potential trend change UP`);
         analysis.scenario.reversalUp = true;
       }
       
       // Reversal pattern: Bearish after bullish
       if (this.dbpdCandle.isBullish && this.pdCandle.isBearish) {
-        analysis.confluence -= 1;
+        analysis.confluence -= weights.reversalCandle;
         analysis.reasoning.push(`🔄 REVERSAL: Bullish to Bearish candle - Potential trend change DOWN`);
         analysis.scenario.reversalDown = true;
       }
       
       // Check for rejection wicks
       if (this.pdCandle.hasUpperWickRejection) {
-        analysis.confluence -= 1;
+        analysis.confluence -= weights.wickRejection;
         analysis.reasoning.push(`🕯️ Previous day has UPPER WICK REJECTION - Sellers active at highs`);
         analysis.scenario.upperRejection = true;
       }
       
       if (this.pdCandle.hasLowerWickRejection) {
-        analysis.confluence += 1;
+        analysis.confluence += weights.wickRejection;
         analysis.reasoning.push(`🕯️ Previous day has LOWER WICK REJECTION - Buyers active at lows`);
         analysis.scenario.lowerRejection = true;
       }
@@ -202,15 +351,17 @@ export class BiasCalculator {
      * Analyze price structure and breakouts
      */
     analyzePriceStructure(analysis) {
+      const { weights } = this.profile;
+      
       // Previous day broke above D-2 high
       if (this.pdHigh > this.dbpdHigh) {
         analysis.scenario.breakoutHigh = true;
-        analysis.confluence += 1;
-        analysis.reasoning.push(`📈 PD HIGH (${this.pdHigh}) broke D-2 HIGH (${this.dbpdHigh})`);
+        analysis.confluence += weights.breakout;
+        analysis.reasoning.push(`📈 PD HIGH (${this.fmt(this.pdHigh)}) broke D-2 HIGH (${this.fmt(this.dbpdHigh)})`);
         
         // Check if close also above
         if (this.pdClose > this.dbpdHigh) {
-          analysis.confluence += 1;
+          analysis.confluence += weights.breakoutClose;
           analysis.reasoning.push(`✅ PD CLOSED above D-2 high - Strong bullish structure`);
         } else {
           analysis.reasoning.push(`⚠️ PD swept high but closed inside - Potential fake breakout`);
@@ -221,12 +372,12 @@ export class BiasCalculator {
       // Previous day broke below D-2 low
       if (this.pdLow < this.dbpdLow) {
         analysis.scenario.breakoutLow = true;
-        analysis.confluence -= 1;
-        analysis.reasoning.push(`📉 PD LOW (${this.pdLow}) broke D-2 LOW (${this.dbpdLow})`);
+        analysis.confluence -= weights.breakout;
+        analysis.reasoning.push(`📉 PD LOW (${this.fmt(this.pdLow)}) broke D-2 LOW (${this.fmt(this.dbpdLow)})`);
         
         // Check if close also below
         if (this.pdClose < this.dbpdLow) {
-          analysis.confluence -= 1;
+          analysis.confluence -= weights.breakoutClose;
           analysis.reasoning.push(`✅ PD CLOSED below D-2 low - Strong bearish structure`);
         } else {
           analysis.reasoning.push(`⚠️ PD swept low but closed inside - Potential fake breakout`);
@@ -248,10 +399,10 @@ export class BiasCalculator {
         // Determine direction based on close
         if (this.pdClose > this.pdOpen) {
           analysis.reasoning.push(`✅ Outside bar closed BULLISH - Buyers won the battle`);
-          analysis.confluence += 2;
+          analysis.confluence += weights.outsideBar;
         } else {
           analysis.reasoning.push(`✅ Outside bar closed BEARISH - Sellers won the battle`);
-          analysis.confluence -= 2;
+          analysis.confluence -= weights.outsideBar;
         }
       }
       
@@ -259,14 +410,14 @@ export class BiasCalculator {
       if (this.pdHigh > this.dbpdHigh && this.pdLow > this.dbpdLow) {
         analysis.scenario.uptrend = true;
         analysis.reasoning.push(`📈 HIGHER HIGHS & HIGHER LOWS - Clear uptrend structure`);
-        analysis.confluence += 2;
+        analysis.confluence += weights.trendStructure;
       }
       
       // Lower highs and lower lows (downtrend)
       if (this.pdHigh < this.dbpdHigh && this.pdLow < this.dbpdLow) {
         analysis.scenario.downtrend = true;
         analysis.reasoning.push(`📉 LOWER HIGHS & LOWER LOWS - Clear downtrend structure`);
-        analysis.confluence -= 2;
+        analysis.confluence -= weights.trendStructure;
       }
     }
   
@@ -289,37 +440,163 @@ export class BiasCalculator {
       
       // Identify where close is relative to range
       const pdClosePosition = ((this.pdClose - this.pdLow) / this.pdRange) * 100;
-      
-      if (pdClosePosition > 75) {
-        analysis.reasoning.push(`📊 PD closed in upper 25% of range - Bullish close position`);
-        analysis.confluence += 1;
-      } else if (pdClosePosition < 25) {
-        analysis.reasoning.push(`📊 PD closed in lower 25% of range - Bearish close position`);
-        analysis.confluence -= 1;
+      const { upperPercent, lowerPercent } = this.profile.closePosition;
+      
+      if (pdClosePosition > upperPercent) {
+        analysis.reasoning.push(`📊 PD closed in upper ${100 - upperPercent}% of range - Bullish close position`);
+        analysis.confluence += this.profile.weights.closePosition;
+      } else if (pdClosePosition < lowerPercent) {
+        analysis.reasoning.push(`📊 PD closed in lower ${lowerPercent}% of range - Bearish close position`);
+        analysis.confluence -= this.profile.weights.closePosition;
       } else {
         analysis.reasoning.push(`📊 PD closed in middle of range - Neutral position`);
       }
     }
   
+    /**
+     * Detect swing highs/lows, internal vs external range and unswept liquidity
+     * over the lookback series. Skipped when only D-2 and D-1 are known.
+     */
+    analyzeMarketStructure(analysis) {
+      if (this.candles.length <= 2) {
+        return;
+      }
+      
+      const candles = this.candles;
+      const last = candles.length - 1;
+      const { swingStrength, equalTolerance } = this.profile.structure;
+      const label = index => candles[index].date || (index === last ? 'D-1' : `D-${last - index + 1}`);
+      const swingHighs = [];
+      const swingLows = [];
+      
+      for (let i = swingStrength; i <= last - swingStrength; i++) {
+        let isHigh = true;
+        let isLow = true;
+        
+        for (let j = i - swingStrength; j <= i + swingStrength; j++) {
+          if (j === i) continue;
+          if (candles[j].high >= candles[i].high) isHigh = false;
+          if (candles[j].low <= candles[i].low) isLow = false;
+        }
+        
+        if (isHigh) {
+          const sweptBy = candles.findIndex((candle, j) => j > i && candle.high > candles[i].high);
+          swingHighs.push({ index: i, label: label(i), price: candles[i].high, swept: sweptBy !== -1, sweptBy: sweptBy !== -1 ? label(sweptBy) : null });
+        }
+        
+        if (isLow) {
+          const sweptBy = candles.findIndex((candle, j) => j > i && candle.low < candles[i].low);
+          swingLows.push({ index: i, label: label(i), price: candles[i].low, swept: sweptBy !== -1, sweptBy: sweptBy !== -1 ? label(sweptBy) : null });
+        }
+      }
+      
+      const averageRange = candles.reduce((sum, candle) => sum + (candle.high - candle.low), 0) / candles.length;
+      const tolerance = averageRange * equalTolerance;
+      const findEqual = swings => {
+        const pairs = [];
+        swings.forEach((a, i) => swings.slice(i + 1).forEach(b => {
+          if (Math.abs(a.price - b.price) <= tolerance) {
+            pairs.push({ price: Math.max(a.price, b.price), first: a.label, second: b.label, swept: a.swept && b.swept });
+          }
+        }));
+        return pairs;
+      };
+      
+      const structure = {
+        lookback: candles.length,
+        swingHighs,
+        swingLows,
+        externalRange: {
+          high: Math.max(...candles.map(candle => candle.high)),
+          low: Math.min(...candles.map(candle => candle.low))
+        },
+        internalRange: null,
+        unsweptHighs: swingHighs.filter(swing => !swing.swept),
+        unsweptLows: swingLows.filter(swing => !swing.swept),
+        equalHighs: findEqual(swingHighs),
+        equalLows: findEqual(swingLows)
+      };
+      
+      analysis.structure = structure;
+      analysis.keyLevels.externalHigh = structure.externalRange.high;
+      analysis.keyLevels.externalLow = structure.externalRange.low;
+      analysis.reasoning.push(`🔭 ${candles.length}-candle lookback: external range ${this.fmt(structure.externalRange.low)} - ${this.fmt(structure.externalRange.high)}`);
+      
+      // Internal range is bounded by the most recent swing high and swing low
+      const lastHigh = swingHighs[swingHighs.length - 1];
+      const lastLow = swingLows[swingLows.length - 1];
+      
+      if (lastHigh && lastLow) {
+        structure.internalRange = { high: lastHigh.price, low: lastLow.price };
+        analysis.keyLevels.internalHigh = lastHigh.price;
+        analysis.keyLevels.internalLow = lastLow.price;
+        
+        if (this.pdClose > lastHigh.price) {
+          analysis.reasoning.push(`📈 PD closed above internal swing high (${this.fmt(lastHigh.price)}) - targeting external high`);
+        } else if (this.pdClose < lastLow.price) {
+          analysis.reasoning.push(`📉 PD closed below internal swing low (${this.fmt(lastLow.price)}) - targeting external low`);
+        } else {
+          analysis.reasoning.push(`📦 PD closed inside internal range (${this.fmt(lastLow.price)} - ${this.fmt(lastHigh.price)})`);
+        }
+      }
+      
+      // Swing-to-swing structure
+      if (swingHighs.length >= 2 && swingLows.length >= 2) {
+        const higherHigh = swingHighs[swingHighs.length - 1].price > swingHighs[swingHighs.length - 2].price;
+        const higherLow = swingLows[swingLows.length - 1].price > swingLows[swingLows.length - 2].price;
+        
+        if (higherHigh && higherLow) {
+          analysis.confluence += this.profile.weights.swingStructure;
+          analysis.scenario.swingUptrend = true;
+          analysis.reasoning.push(`📈 Swing structure: HIGHER HIGHS & HIGHER LOWS over lookback`);
+        } else if (!higherHigh && !higherLow) {
+          analysis.confluence -= this.profile.weights.swingStructure;
+          analysis.scenario.swingDowntrend = true;
+          analysis.reasoning.push(`📉 Swing structure: LOWER HIGHS & LOWER LOWS over lookback`);
+        }
+      }
+      
+      // Nearest resting liquidity on each side of the close
+      const above = structure.unsweptHighs.filter(swing => swing.price > this.pdClose).sort((a, b) => a.price - b.price)[0];
+      const below = structure.unsweptLows.filter(swing => swing.price < this.pdClose).sort((a, b) => b.price - a.price)[0];
+      
+      if (above) {
+        analysis.reasoning.push(`💧 Unswept buy-side liquidity above at ${this.fmt(above.price)} (${above.label} high)`);
+      }
+      if (below) {
+        analysis.reasoning.push(`💧 Unswept sell-side liquidity below at ${this.fmt(below.price)} (${below.label} low)`);
+      }
+      
+      structure.equalHighs.filter(pair => !pair.swept).forEach(pair => {
+        analysis.reasoning.push(`🟰 Equal highs near ${this.fmt(pair.price)} (${pair.first} & ${pair.second}) - liquidity pool`);
+      });
+      structure.equalLows.filter(pair => !pair.swept).forEach(pair => {
+        analysis.reasoning.push(`🟰 Equal lows near ${this.fmt(pair.price)} (${pair.first} & ${pair.second}) - liquidity pool`);
+      });
+    }
+  
     /**
      * Determine forecast bias for current day
      */
     determineForecastBias(analysis) {
+      const { strength, volatility } = this.profile;
+      const range = this.projectionRange;
+      
       // === SCENARIO 1: FAKE BREAKOUT HIGH (BEARISH REVERSAL) ===
       if (analysis.scenario.fakeBreakoutHigh) {
         analysis.bias = 'BEARISH REVERSAL';
         analysis.direction = 'LOOK FOR SELL';
-        analysis.strength = 85;
+        analysis.strength = strength.fakeBreakout;
         analysis.reasoning.unshift(`🎯 FORECAST: Swept D-2 high but closed inside = SELL THE HIGH (liquidity grab)`);
         
         analysis.bearishSetup = {
-          sweepLevel: this.pdHigh,
-          entryZone: `${this.pdHigh} - ${(this.pdHigh * 1.0005).toFixed(5)}`,
-          invalidation: (this.pdHigh + this.pdRange * 0.3).toFixed(5),
+          sweepLevel: this.instrument.round(this.pdHigh),
+          entryZone: `${this.fmt(this.pdHigh)} - ${this.fmt(this.pdHigh + this.entryBuffer)}`,
+          invalidation: this.fmt(this.pdHigh + range * volatility.fakeBreakoutStop),
           targets: [
-            { level: this.pdClose.toFixed(5), label: 'PD Close' },
-            { level: this.pdLow.toFixed(5), label: 'PD Low' },
-            { level: this.dbpdLow.toFixed(5), label: 'D-2 Low' }
+            { level: this.fmt(this.pdClose), label: 'PD Close' },
+            { level: this.fmt(this.pdLow), label: 'PD Low' },
+            { level: this.fmt(this.dbpdLow), label: 'D-2 Low' }
           ]
         };
         return;
@@ -329,17 +606,17 @@ export class BiasCalculator {
       if (analysis.scenario.fakeBreakoutLow) {
         analysis.bias = 'BULLISH REVERSAL';
         analysis.direction = 'LOOK FOR BUY';
-        analysis.strength = 85;
+        analysis.strength = strength.fakeBreakout;
         analysis.reasoning.unshift(`🎯 FORECAST: Swept D-2 low but closed inside = BUY THE DIP (liquidity grab)`);
         
         analysis.bullishSetup = {
-          sweepLevel: this.pdLow,
-          entryZone: `${(this.pdLow * 0.9995).toFixed(5)} - ${this.pdLow}`,
-          invalidation: (this.pdLow - this.pdRange * 0.3).toFixed(5),
+          sweepLevel: this.instrument.round(this.pdLow),
+          entryZone: `${this.fmt(this.pdLow - this.entryBuffer)} - ${this.fmt(this.pdLow)}`,
+          invalidation: this.fmt(this.pdLow - range * volatility.fakeBreakoutStop),
           targets: [
-            { level: this.pdClose.toFixed(5), label: 'PD Close' },
-            { level: this.pdHigh.toFixed(5), label: 'PD High' },
-            { level: this.dbpdHigh.toFixed(5), label: 'D-2 High' }
+            { level: this.fmt(this.pdClose), label: 'PD Close' },
+            { level: this.fmt(this.pdHigh), label: 'PD High' },
+            { level: this.fmt(this.dbpdHigh), label: 'D-2 High' }
           ]
         };
         return;
@@ -349,17 +626,17 @@ export class BiasCalculator {
       if (analysis.scenario.uptrend && this.pdCandle.isBullish) {
         analysis.bias = 'BULLISH CONTINUATION';
         analysis.direction = 'BUY PULLBACKS';
-        analysis.strength = Math.min(75 + (analysis.confluence * 3), 95);
+        analysis.strength = Math.min(strength.continuationBase + (analysis.confluence * strength.continuationStep), strength.max);
         analysis.reasoning.unshift(`🎯 FORECAST: Strong uptrend + bullish close = BUY dips to PD low`);
         
         analysis.bullishSetup = {
-          sweepLevel: this.pdLow,
-          entryZone: `${(this.pdLow - this.pdRange * 0.2).toFixed(5)} - ${this.pdLow}`,
-          invalidation: this.dbpdLow.toFixed(5),
+          sweepLevel: this.instrument.round(this.pdLow),
+          entryZone: `${this.fmt(this.pdLow - range * volatility.pullbackZone)} - ${this.fmt(this.pdLow)}`,
+          invalidation: this.fmt(this.dbpdLow),
           targets: [
-            { level: this.pdHigh.toFixed(5), label: 'Equal PD High' },
-            { level: (this.pdHigh + this.pdRange * 0.5).toFixed(5), label: 'Extension 1' },
-            { level: (this.pdHigh + this.pdRange).toFixed(5), label: 'Extension 2' }
+            { level: this.fmt(this.pdHigh), label: 'Equal PD High' },
+            { level: this.fmt(this.pdHigh + range * volatility.extension1), label: 'Extension 1' },
+            { level: this.fmt(this.pdHigh + range * volatility.extension2), label: 'Extension 2' }
           ]
         };
         return;
@@ -369,17 +646,17 @@ export class BiasCalculator {
       if (analysis.scenario.downtrend && this.pdCandle.isBearish) {
         analysis.bias = 'BEARISH CONTINUATION';
         analysis.direction = 'SELL RALLIES';
-        analysis.strength = Math.min(75 + (Math.abs(analysis.confluence) * 3), 95);
+        analysis.strength = Math.min(strength.continuationBase + (Math.abs(analysis.confluence) * strength.continuationStep), strength.max);
         analysis.reasoning.unshift(`🎯 FORECAST: Strong downtrend + bearish close = SELL rallies to PD high`);
         
         analysis.bearishSetup = {
-          sweepLevel: this.pdHigh,
-          entryZone: `${this.pdHigh} - ${(this.pdHigh + this.pdRange * 0.2).toFixed(5)}`,
-          invalidation: this.dbpdHigh.toFixed(5),
+          sweepLevel: this.instrument.round(this.pdHigh),
+          entryZone: `${this.fmt(this.pdHigh)} - ${this.fmt(this.pdHigh + range * volatility.pullbackZone)}`,
+          invalidation: this.fmt(this.dbpdHigh),
           targets: [
-            { level: this.pdLow.toFixed(5), label: 'Equal PD Low' },
-            { level: (this.pdLow - this.pdRange * 0.5).toFixed(5), label: 'Extension 1' },
-            { level: (this.pdLow - this.pdRange).toFixed(5), label: 'Extension 2' }
+            { level: this.fmt(this.pdLow), label: 'Equal PD Low' },
+            { level: this.fmt(this.pdLow - range * volatility.extension1), label: 'Extension 1' },
+            { level: this.fmt(this.pdLow - range * volatility.extension2), label: 'Extension 2' }
           ]
         };
         return;
@@ -393,87 +670,293 @@ export class BiasCalculator {
         if (this.pdCandle.isBullish) {
           analysis.bias = 'BULLISH BREAKOUT';
           analysis.direction = 'BUY ABOVE PD HIGH';
-          analysis.strength = 70;
+          analysis.strength = strength.insideBar;
         } else if (this.pdCandle.isBearish) {
           analysis.bias = 'BEARISH BREAKOUT';
           analysis.direction = 'SELL BELOW PD LOW';
-          analysis.strength = 70;
+          analysis.strength = strength.insideBar;
         } else {
           analysis.bias = 'NEUTRAL - WAIT';
           analysis.direction = 'TRADE BREAKOUT';
-          analysis.strength = 50;
+          analysis.strength = strength.insideBarNeutral;
         }
         
         // Setup both directions
         analysis.bullishSetup = {
-          sweepLevel: this.pdHigh,
-          entryZone: `${this.pdHigh} - ${(this.pdHigh * 1.001).toFixed(5)}`,
-          invalidation: this.pdLow.toFixed(5),
+          sweepLevel: this.instrument.round(this.pdHigh),
+          entryZone: `${this.fmt(this.pdHigh)} - ${this.fmt(this.pdHigh + this.entryBuffer * 2)}`,
+          invalidation: this.fmt(this.pdLow),
           targets: [
-            { level: this.dbpdHigh.toFixed(5), label: 'D-2 High' },
-            { level: (this.dbpdHigh + this.pdRange).toFixed(5), label: 'Measured Move' }
+            { level: this.fmt(this.dbpdHigh), label: 'D-2 High' },
+            { level: this.fmt(this.dbpdHigh + this.pdRange), label: 'Measured Move' }
           ]
         };
         
         analysis.bearishSetup = {
-          sweepLevel: this.pdLow,
-          entryZone: `${(this.pdLow * 0.999).toFixed(5)} - ${this.pdLow}`,
-          invalidation: this.pdHigh.toFixed(5),
+          sweepLevel: this.instrument.round(this.pdLow),
+          entryZone: `${this.fmt(this.pdLow - this.entryBuffer * 2)} - ${this.fmt(this.pdLow)}`,
+          invalidation: this.fmt(this.pdHigh),
           targets: [
-            { level: this.dbpdLow.toFixed(5), label: 'D-2 Low' },
-            { level: (this.dbpdLow - this.pdRange).toFixed(5), label: 'Measured Move' }
+            { level: this.fmt(this.dbpdLow), label: 'D-2 Low' },
+            { level: this.fmt(this.dbpdLow - this.pdRange), label: 'Measured Move' }
           ]
         };
         return;
       }
       
       // === GENERAL BIAS BASED ON CONFLUENCE ===
-      if (analysis.confluence >= 3) {
+      if (analysis.confluence >= strength.confluenceThreshold) {
         analysis.bias = 'BULLISH';
         analysis.direction = 'LOOK FOR BUY SETUPS';
-        analysis.strength = Math.min(60 + (analysis.confluence * 5), 95);
+        analysis.strength = Math.min(strength.confluenceBase + (analysis.confluence * strength.confluenceStep), strength.max);
         
         analysis.bullishSetup = {
-          sweepLevel: this.pdLow,
-          entryZone: `${(this.pdLow - this.pdRange * 0.15).toFixed(5)} - ${this.pdLow}`,
-          invalidation: this.dbpdLow.toFixed(5),
+          sweepLevel: this.instrument.round(this.pdLow),
+          entryZone: `${this.fmt(this.pdLow - range * volatility.confluenceZone)} - ${this.fmt(this.pdLow)}`,
+          invalidation: this.fmt(this.dbpdLow),
           targets: [
-            { level: this.pdHigh.toFixed(5), label: 'PD High' },
-            { level: (this.pdHigh + this.pdRange * 0.618).toFixed(5), label: '1.618 Extension' }
+            { level: this.fmt(this.pdHigh), label: 'PD High' },
+            { level: this.fmt(this.pdHigh + range * volatility.fibExtension), label: '1.618 Extension' }
           ]
         };
-      } else if (analysis.confluence <= -3) {
+      } else if (analysis.confluence <= -strength.confluenceThreshold) {
         analysis.bias = 'BEARISH';
         analysis.direction = 'LOOK FOR SELL SETUPS';
-        analysis.strength = Math.min(60 + (Math.abs(analysis.confluence) * 5), 95);
+        analysis.strength = Math.min(strength.confluenceBase + (Math.abs(analysis.confluence) * strength.confluenceStep), strength.max);
         
         analysis.bearishSetup = {
-          sweepLevel: this.pdHigh,
-          entryZone: `${this.pdHigh} - ${(this.pdHigh + this.pdRange * 0.15).toFixed(5)}`,
-          invalidation: this.dbpdHigh.toFixed(5),
+          sweepLevel: this.instrument.round(this.pdHigh),
+          entryZone: `${this.fmt(this.pdHigh)} - ${this.fmt(this.pdHigh + range * volatility.confluenceZone)}`,
+          invalidation: this.fmt(this.dbpdHigh),
           targets: [
-            { level: this.pdLow.toFixed(5), label: 'PD Low' },
-            { level: (this.pdLow - this.pdRange * 0.618).toFixed(5), label: '1.618 Extension' }
+            { level: this.fmt(this.pdLow), label: 'PD Low' },
+            { level: this.fmt(this.pdLow - range * volatility.fibExtension), label: '1.618 Extension' }
           ]
         };
       } else {
         analysis.bias = 'NEUTRAL';
         analysis.direction = 'WAIT FOR CLEAR SIGNAL';
-        analysis.strength = 50;
+        analysis.strength = strength.neutral;
         analysis.reasoning.unshift(`⚠️ Mixed signals - No clear bias. Wait for price action confirmation.`);
       }
     }
   
+    /**
+     * Project today's high/low from ADR around the expected open (D-1 close).
+     * The bias decides how much of the range is expected against it.
+     */
+    analyzeVolatility(analysis) {
+      if (!this.volatility) {
+        return;
+      }
+      
+      const { adr, atr, period, pdRangePercent } = this.volatility;
+      const { counterMove, exhaustedPercent, compressedPercent } = this.profile.volatility;
+      const direction = BiasCalculator.direction(analysis.bias);
+      let projectedHigh = this.pdClose + adr / 2;
+      let projectedLow = this.pdClose - adr / 2;
+      
+      if (direction === 'bullish') {
+        projectedLow = this.pdClose - adr * counterMove;
+        projectedHigh = projectedLow + adr;
+      } else if (direction === 'bearish') {
+        projectedHigh = this.pdClose + adr * counterMove;
+        projectedLow = projectedHigh - adr;
+      }
+      
+      analysis.volatility = {
+        period,
+        adr: this.instrument.round(adr),
+        atr: this.instrument.round(atr),
+        adrPips: this.instrument.priceToPips(adr),
+        pdRangePercent,
+        projectedHigh: this.instrument.round(projectedHigh),
+        projectedLow: this.instrument.round(projectedLow)
+      };
+      
+      analysis.reasoning.push(`📏 ADR(${period}) ${this.fmt(adr)} / ATR ${this.fmt(atr)} - D-1 used ${pdRangePercent.toFixed(0)}% of ADR`);
+      analysis.reasoning.push(`📐 Expected range today: ${this.fmt(projectedLow)} - ${this.fmt(projectedHigh)}`);
+      
+      if (pdRangePercent >= exhaustedPercent) {
+        analysis.reasoning.push(`⚠️ D-1 range exceeded ADR - expansion day, expect a smaller range today`);
+      } else if (pdRangePercent <= compressedPercent) {
+        analysis.reasoning.push(`🔋 D-1 range well below ADR - compression, expect expansion today`);
+      }
+    }
+  
+    /**
+     * Run the same analysis on weekly and monthly candles and compare with the daily bias
+     */
+    analyzeHigherTimeframes(analysis) {
+      const frames = {};
+      
+      Object.keys(this.timeframes).forEach(timeframe => {
+        const htfData = this.timeframes[timeframe];
+        const htf = new BiasCalculator(htfData, this.profile, this.instrument).calculateBias();
+        
+        frames[timeframe] = {
+          bias: htf.bias,
+          direction: BiasCalculator.direction(htf.bias),
+          strength: htf.strength,
+          high: htfData.pdHigh,
+          low: htfData.pdLow
+        };
+      });
+      
+      if (Object.keys(frames).length === 0) {
+        return;
+      }
+      
+      if (frames.weekly) {
+        analysis.keyLevels.pwHigh = frames.weekly.high;
+        analysis.keyLevels.pwLow = frames.weekly.low;
+      }
+      
+      if (frames.monthly) {
+        analysis.keyLevels.pmHigh = frames.monthly.high;
+        analysis.keyLevels.pmLow = frames.monthly.low;
+      }
+      
+      const directions = Object.values(frames)
+        .map(frame => frame.direction)
+        .filter(direction => direction !== 'neutral');
+      
+      let htfDirection = 'neutral';
+      if (directions.length > 0) {
+        htfDirection = directions.every(direction => direction === directions[0]) ? directions[0] : 'mixed';
+      }
+      
+      const dailyDirection = BiasCalculator.direction(analysis.bias);
+      let alignment = 'neutral';
+      let adjustment = 0;
+      
+      if (dailyDirection !== 'neutral' && (htfDirection === 'bullish' || htfDirection === 'bearish')) {
+        alignment = dailyDirection === htfDirection ? 'aligned' : 'conflict';
+        adjustment = alignment === 'aligned' ? this.profile.strength.htfAgreement : -this.profile.strength.htfConflict;
+      }
+      
+      const baseStrength = analysis.strength;
+      analysis.strength = Math.max(0, Math.min(baseStrength + adjustment, this.profile.strength.max));
+      
+      analysis.multiTimeframe = {
+        frames,
+        htfDirection,
+        dailyDirection,
+        alignment,
+        baseStrength,
+        adjustment: analysis.strength - baseStrength
+      };
+      
+      Object.keys(frames).forEach(timeframe => {
+        analysis.reasoning.push(`🧭 ${TIMEFRAMES[timeframe].label}: ${frames[timeframe].bias} (${TIMEFRAMES[timeframe].high} ${this.fmt(frames[timeframe].high)} / ${TIMEFRAMES[timeframe].low} ${this.fmt(frames[timeframe].low)})`);
+      });
+      
+      if (alignment === 'aligned') {
+        analysis.reasoning.push(`✅ Daily bias ALIGNS with ${htfDirection.toUpperCase()} higher timeframe narrative`);
+      } else if (alignment === 'conflict') {
+        analysis.reasoning.push(`⚠️ Daily bias CONFLICTS with ${htfDirection.toUpperCase()} higher timeframe narrative - reduce size or wait`);
+      } else if (htfDirection === 'mixed') {
+        analysis.reasoning.push(`⚠️ Weekly and monthly disagree - no clear higher timeframe narrative`);
+      }
+    }
+  
+    /**
+     * Session ranges from today's intraday candles and the London sweep of the Asian range
+     */
+    analyzeSessions(analysis) {
+      if (this.intraday.length === 0) {
+        return;
+      }
+      
+      const direction = BiasCalculator.direction(analysis.bias);
+      const result = new SessionAnalyzer(this.intraday, this.intradayUtcOffset).analyze(direction);
+      
+      if (!result || Object.keys(result.sessions).length === 0) {
+        return;
+      }
+      
+      analysis.sessions = result;
+      
+      const pdDate = this.candles.length > 0 ? this.candles[this.candles.length - 1].date : null;
+      if (pdDate && result.date <= pdDate) {
+        analysis.reasoning.push(`⚠️ Intraday candles are from ${result.date}, not the day after D-1 (${pdDate})`);
+      }
+      
+      Object.values(result.sessions).forEach(session => {
+        analysis.reasoning.push(`🕐 ${session.label} session: ${this.fmt(session.low)} - ${this.fmt(session.high)}`);
+      });
+      
+      if (result.sessions.asian) {
+        analysis.keyLevels.asianHigh = result.sessions.asian.high;
+        analysis.keyLevels.asianLow = result.sessions.asian.low;
+      }
+      
+      const sweep = result.londonSweep;
+      if (!sweep) {
+        return;
+      }
+      
+      const reclaim = sweep.reclaimed ? ' and closed back inside' : '';
+      
+      if (sweep.side === 'none') {
+        analysis.reasoning.push(`🕐 London stayed inside the Asian range - no sweep yet`);
+      } else if (sweep.side === 'both') {
+        analysis.reasoning.push(`⚠️ London swept BOTH sides of the Asian range - choppy, wait for New York`);
+      } else if (sweep.aligned) {
+        analysis.reasoning.push(`✅ London swept the Asian ${sweep.side.toUpperCase()}${reclaim} - in line with the ${direction.toUpperCase()} bias`);
+      } else if (sweep.expected) {
+        analysis.reasoning.push(`⚠️ London swept the Asian ${sweep.side.toUpperCase()}${reclaim} - against the ${direction.toUpperCase()} bias`);
+      } else {
+        analysis.reasoning.push(`🕐 London swept the Asian ${sweep.side.toUpperCase()}${reclaim}`);
+      }
+    }
+  
+    /**
+     * Unmitigated FVGs / order blocks on the bias side of price, suggested for the checklist
+     */
+    analyzeZones(analysis) {
+      if (this.intraday.length < 3) {
+        return;
+      }
+      
+      const direction = BiasCalculator.direction(analysis.bias);
+      const result = new ZoneDetector(this.intraday, this.intradayUtcOffset).scan(direction);
+      
+      if (!result) {
+        return;
+      }
+      
+      analysis.zones = result;
+      
+      const { counts, candidates, htfTimeframe, ltfTimeframe } = result;
+      analysis.reasoning.push(`🧱 ${counts.fvg} ${htfTimeframe} FVG(s) (${counts.fvgMitigated} mitigated), ${counts.orderBlock} ${ltfTimeframe || htfTimeframe} order block(s) (${counts.orderBlockMitigated} mitigated)`);
+      
+      if (direction === 'neutral') {
+        return;
+      }
+      
+      const where = direction === 'bullish' ? 'below' : 'above';
+      [candidates.fvg, candidates.orderBlock].forEach((zone, index) => {
+        const label = index === 0 ? `${htfTimeframe} FVG` : `${ltfTimeframe || htfTimeframe} order block`;
+        
+        if (zone) {
+          analysis.reasoning.push(`🧱 Unmitigated ${zone.timeframe} ${zone.side} ${ZONE_LABELS[zone.type]} ${where} price: ${this.fmt(zone.bottom)} - ${this.fmt(zone.top)}`);
+        } else {
+          analysis.reasoning.push(`🧱 No unmitigated ${label} ${where} price`);
+        }
+      });
+    }
+  
     /**
      * Generate trading scenarios and recommendations
      */
     generateTradingScenarios(analysis) {
       if (analysis.bias.includes('BULLISH')) {
-        analysis.recommendation = `Watch for price to sweep or approach ${analysis.bullishSetup.sweepLevel}, then look for bullish confirmation (rejection wick, bullish engulfing, etc.) for BUY entry.`;
+        analysis.recommendation = `Watch for price to sweep or approach ${this.fmt(analysis.bullishSetup.sweepLevel)}, then look for bullish confirmation (rejection wick, bullish engulfing, etc.) for BUY entry.`;
       } else if (analysis.bias.includes('BEARISH')) {
-        analysis.recommendation = `Watch for price to sweep or approach ${analysis.bearishSetup.sweepLevel}, then look for bearish confirmation (rejection wick, bearish engulfing, etc.) for SELL entry.`;
+        analysis.recommendation = `Watch for price to sweep or approach ${this.fmt(analysis.bearishSetup.sweepLevel)}, then look for bearish confirmation (rejection wick, bearish engulfing, etc.) for SELL entry.`;
       } else {
-        analysis.recommendation = `No clear bias. Wait for price to break and close above ${this.pdHigh} (bullish) or below ${this.pdLow} (bearish) before entering trades.`;
+        analysis.recommendation = `No clear bias. Wait for price to break and close above ${this.fmt(this.pdHigh)} (bullish) or below ${this.fmt(this.pdLow)} (bearish) before entering trades.`;
       }
     }
   }
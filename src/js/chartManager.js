@@ -1,4 +1,25 @@
 import { createChart } from 'lightweight-charts';
+import { inferTradingDates, localDate } from './timeframes';
+import { THEMES } from './themes';
+
+// Toggleable groups of chart levels, in legend order
+export const CHART_LAYERS = {
+  daily: { label: 'PD High / Low', color: '#26a69a' },
+  dbpd: { label: 'D-2 High / Low', color: '#78909C' },
+  midpoints: { label: 'Midpoints', color: '#9E9E9E' },
+  buyPlan: { label: 'BUY plan', color: '#4CAF50' },
+  sellPlan: { label: 'SELL plan', color: '#F44336' },
+  htf: { label: 'PW / PM levels', color: '#7E57C2' },
+  adr: { label: 'ADR range', color: '#607D8B' },
+  asia: { label: 'Asia range', color: '#FFB300' },
+  zones: { label: 'FVG / Order Blocks', color: '#FFA000' },
+};
+
+// Entry zones are stored as "low - high" text
+function parseZone(text) {
+  const [bottom, top] = String(text || '').split(' - ').map(Number);
+  return isNaN(bottom) || isNaN(top) ? null : { bottom, top };
+}
 
 export class ChartManager {
   constructor(containerId) {
@@ -7,6 +28,16 @@ export class ChartManager {
     this.chart = null;
     this.candleSeries = null;
     this.resizeObserver = null;
+    this.zoneLayer = null;
+    this.zoneBoxes = [];
+    this.zoneStart = null;
+    // Price line options per layer, and the lines currently drawn for them
+    this.layerLines = {};
+    this.priceLines = {};
+    // Hidden layers carry over to the next chart
+    this.hiddenLayers = new Set();
+    this.theme = THEMES.light.chart;
+    this.positionZones = this.positionZones.bind(this);
   }
 
   /* =========================
@@ -28,21 +59,14 @@ export class ChartManager {
     this.chart = createChart(this.container, {
       width,
       height,
-      layout: {
-        background: { color: '#ffffff' },
-        textColor: '#333',
-      },
-      grid: {
-        vertLines: { color: '#e1e4e8' },
-        horzLines: { color: '#e1e4e8' },
-      },
+      ...this.themeOptions(),
       timeScale: {
-        timeVisible: true,
+        ...this.themeOptions().timeScale,
+        timeVisible: false,
         secondsVisible: false,
-        borderColor: '#D1D4DC',
       },
       rightPriceScale: {
-        borderColor: '#D1D4DC',
+        ...this.themeOptions().rightPriceScale,
         scaleMargins: { top: 0.1, bottom: 0.2 },
       },
       crosshair: {
@@ -52,15 +76,49 @@ export class ChartManager {
 
     // ✅ Candlestick series (v4 correct API)
     this.candleSeries = this.chart.addCandlestickSeries({
-      upColor: '#26a69a',
-      downColor: '#ef5350',
+      ...this.seriesColors(),
       borderVisible: false,
-      wickUpColor: '#26a69a',
-      wickDownColor: '#ef5350',
     });
 
     this.setupResizeObserver();
-  }                                                                                                                                                                                                                                                                                                                                                     
+  }
+
+  /* =========================
+     THEME
+  ========================== */
+  // Restyle the current chart in place - candles, lines and zones are kept
+  setTheme(theme) {
+    this.theme = theme;
+
+    if (!this.chart) return;
+
+    this.chart.applyOptions(this.themeOptions());
+    this.candleSeries.applyOptions(this.seriesColors());
+  }
+
+  themeOptions() {
+    return {
+      layout: {
+        background: { color: this.theme.background },
+        textColor: this.theme.text,
+      },
+      grid: {
+        vertLines: { color: this.theme.grid },
+        horzLines: { color: this.theme.grid },
+      },
+      timeScale: { borderColor: this.theme.border },
+      rightPriceScale: { borderColor: this.theme.border },
+    };
+  }
+
+  seriesColors() {
+    return {
+      upColor: this.theme.up,
+      downColor: this.theme.down,
+      wickUpColor: this.theme.up,
+      wickDownColor: this.theme.down,
+    };
+  }
 
   /* =========================
      RESPONSIVE RESIZE
@@ -71,6 +129,7 @@ export class ChartManager {
         const { width } = entries[0].contentRect;
         if (width > 0 && this.chart) {
           this.chart.applyOptions({ width });
+          this.positionZones();
         }
       });
       this.resizeObserver.observe(this.container);
@@ -90,38 +149,66 @@ export class ChartManager {
   ========================== */
   renderChart(data, analysis) {
     this.initChart();
+    this.applyPriceFormat(analysis.instrument);
 
-    const now = Math.floor(Date.now() / 1000);
-    const day = 86400;
+    // Business days, so the time scale has no weekend gaps
+    const dates = data.pdDate ? data : inferTradingDates(localDate());
+    const dbpdTime = this.toBusinessDay(dates.dbpdDate);
+    const pdTime = this.toBusinessDay(dates.pdDate);
+    const forecastTime = this.toBusinessDay(dates.forecastDate);
 
     const candles = [
       {
-        time: now - 2 * day,
+        time: dbpdTime,
         open: +data.dbpdOpen,
         high: +data.dbpdHigh,
         low: +data.dbpdLow,
         close: +data.dbpdClose,
       },
       {
-        time: now - day,
+        time: pdTime,
         open: +data.pdOpen,
         high: +data.pdHigh,
         low: +data.pdLow,
         close: +data.pdClose,
       },
       {
-        time: now,
+        time: forecastTime,
         ...this.generateForecastCandle(data, analysis),
       },
     ];
 
     this.candleSeries.setData(candles);
-    this.addMarkers(analysis, now);
+    this.addMarkers(analysis, forecastTime);
     this.addPriceLines(data, analysis);
+    this.drawZones(analysis, pdTime);
 
     this.chart.timeScale().fitContent();
   }
 
+  /* =========================
+     BUSINESS DAY TIME
+  ========================== */
+  toBusinessDay(date) {
+    const [year, month, day] = date.split('-').map(Number);
+    return { year, month, day };
+  }
+
+  /* =========================
+     PRICE FORMAT
+  ========================== */
+  applyPriceFormat(instrument) {
+    if (!instrument) return;
+
+    this.candleSeries.applyOptions({
+      priceFormat: {
+        type: 'price',
+        precision: instrument.precision,
+        minMove: instrument.tickSize,
+      },
+    });
+  }
+
   /* =========================
      FORECAST CANDLE LOGIC
   ========================== */
@@ -129,25 +216,32 @@ export class ChartManager {
     const pdHigh = +data.pdHigh;
     const pdLow = +data.pdLow;
     const pdClose = +data.pdClose;
-    const range = pdHigh - pdLow;
+    const volatility = analysis.volatility;
+
+    // Without history the projection falls back to D-1's range
+    const range = volatility ? volatility.adr : pdHigh - pdLow;
 
     let candle = {
       open: pdClose,
-      high: pdHigh,
-      low: pdLow,
+      high: volatility ? volatility.projectedHigh : pdHigh,
+      low: volatility ? volatility.projectedLow : pdLow,
       close: pdClose,
     };
 
     if (analysis.bias?.includes('BULLISH')) {
-      candle.low = pdLow - range * 0.05;
-      candle.high = pdHigh + range * 0.5;
-      candle.close = candle.high * 0.98;
+      if (!volatility) {
+        candle.low = pdLow - range * 0.05;
+        candle.high = pdHigh + range * 0.5;
+      }
+      candle.close = candle.high - range * 0.1;
     }
 
     if (analysis.bias?.includes('BEARISH')) {
-      candle.high = pdHigh + range * 0.05;
-      candle.low = pdLow - range * 0.5;
-      candle.close = candle.low * 1.02;
+      if (!volatility) {
+        candle.high = pdHigh + range * 0.05;
+        candle.low = pdLow - range * 0.5;
+      }
+      candle.close = candle.low + range * 0.1;
     }
 
     return candle;
@@ -158,8 +252,8 @@ export class ChartManager {
   ========================== */
   addMarkers(analysis, todayTime) {
     const bias = analysis.bias || 'NEUTRAL';
-
-    this.candleSeries.setMarkers([
+    const sweep = analysis.sessions?.londonSweep;
+    const markers = [
       {
         time: todayTime,
         position: 'aboveBar',
@@ -172,44 +266,258 @@ export class ChartManager {
         shape: 'arrowDown',
         text: bias,
       },
-    ]);
+    ];
+
+    // London sweep of the Asian range
+    if (sweep && sweep.side !== 'none') {
+      markers.push({
+        time: todayTime,
+        position: 'belowBar',
+        color: sweep.aligned ? '#26a69a' : '#FFB300',
+        shape: 'circle',
+        text: sweep.side === 'both' ? 'LDN swept Asia H+L' : `LDN swept Asia ${sweep.side === 'high' ? 'H' : 'L'}`,
+      });
+    }
+
+    this.candleSeries.setMarkers(markers);
   }
 
   /* =========================
      PRICE LINES
   ========================== */
   addPriceLines(data, analysis) {
-    this.candleSeries.createPriceLine({
-      price: +data.pdHigh,
-      color: '#26a69a',
-      lineWidth: 2,
-      title: 'PDH',
+    // Redrawing replaces the previous lines instead of stacking new ones
+    this.removePriceLines();
+    this.layerLines = this.buildLayerLines(data, analysis);
+
+    Object.keys(this.layerLines).forEach(layer => {
+      if (!this.hiddenLayers.has(layer)) {
+        this.drawLayerLines(layer);
+      }
     });
+  }
+
+  buildLayerLines(data, analysis) {
+    const levels = analysis.keyLevels || {};
+    const layers = {
+      daily: [
+        { price: +data.pdHigh, color: '#26a69a', lineWidth: 2, title: 'PDH' },
+        { price: +data.pdLow, color: '#ef5350', lineWidth: 2, title: 'PDL' },
+      ],
+      dbpd: [
+        { price: +data.dbpdHigh, color: '#78909C', lineWidth: 1, lineStyle: 0, title: 'D-2 H' },
+        { price: +data.dbpdLow, color: '#78909C', lineWidth: 1, lineStyle: 0, title: 'D-2 L' },
+      ],
+      midpoints: [],
+      buyPlan: this.setupLines(analysis.bullishSetup, 'BUY', '#4CAF50'),
+      sellPlan: this.setupLines(analysis.bearishSetup, 'SELL', '#F44336'),
+      htf: [],
+      adr: [],
+      asia: [],
+    };
+
+    if (levels.pdMid !== undefined) {
+      layers.midpoints.push({ price: +levels.pdMid, color: '#9E9E9E', lineWidth: 1, lineStyle: 1, title: 'PD Mid' });
+    }
+    if (levels.dbpdMid !== undefined) {
+      layers.midpoints.push({ price: +levels.dbpdMid, color: '#BDBDBD', lineWidth: 1, lineStyle: 1, title: 'D-2 Mid' });
+    }
 
-    this.candleSeries.createPriceLine({
-      price: +data.pdLow,
-      color: '#ef5350',
-      lineWidth: 2,
-      title: 'PDL',
+    // Higher timeframe levels
+    [
+      { key: 'pwHigh', title: 'PWH', color: '#7E57C2' },
+      { key: 'pwLow', title: 'PWL', color: '#7E57C2' },
+      { key: 'pmHigh', title: 'PMH', color: '#8D6E63' },
+      { key: 'pmLow', title: 'PML', color: '#8D6E63' },
+    ].forEach(({ key, title, color }) => {
+      if (levels[key] === undefined) return;
+      layers.htf.push({ price: +levels[key], color, lineWidth: 1, lineStyle: 1, title });
     });
 
-    if (analysis.bullishSetup?.sweepLevel) {
-      this.candleSeries.createPriceLine({
-        price: +analysis.bullishSetup.sweepLevel,
-        color: '#4CAF50',
-        lineStyle: 2,
-        title: 'Buy Zone',
-      });
+    // Expected range for today from ADR
+    if (analysis.volatility) {
+      layers.adr.push(
+        { price: +analysis.volatility.projectedHigh, color: '#607D8B', lineWidth: 1, lineStyle: 2, title: 'ADR High' },
+        { price: +analysis.volatility.projectedLow, color: '#607D8B', lineWidth: 1, lineStyle: 2, title: 'ADR Low' }
+      );
     }
 
-    if (analysis.bearishSetup?.sweepLevel) {
-      this.candleSeries.createPriceLine({
-        price: +analysis.bearishSetup.sweepLevel,
-        color: '#F44336',
-        lineStyle: 2,
-        title: 'Sell Zone',
-      });
+    // Asian session range from the intraday candles
+    if (levels.asianHigh !== undefined) {
+      layers.asia.push(
+        { price: +levels.asianHigh, color: '#FFB300', lineWidth: 1, lineStyle: 2, title: 'Asia H' },
+        { price: +levels.asianLow, color: '#FFB300', lineWidth: 1, lineStyle: 2, title: 'Asia L' }
+      );
+    }
+
+    return layers;
+  }
+
+  // Stop and targets of one setup - the entry zone is a shaded band (see drawEntryZones)
+  setupLines(setup, side, color) {
+    if (!setup) return [];
+
+    const lines = [];
+
+    if (setup.invalidation !== undefined && !isNaN(+setup.invalidation)) {
+      lines.push({ price: +setup.invalidation, color, lineWidth: 2, lineStyle: 0, title: `${side} SL` });
     }
+
+    (setup.targets || []).forEach((target, index) => {
+      lines.push({ price: +target.level, color, lineWidth: 1, lineStyle: 3, title: `${side} TP${index + 1} ${target.label}` });
+    });
+
+    return lines;
+  }
+
+  drawLayerLines(layer) {
+    this.priceLines[layer] = (this.layerLines[layer] || []).map(options =>
+      this.candleSeries.createPriceLine(options)
+    );
+  }
+
+  removeLayerLines(layer) {
+    (this.priceLines[layer] || []).forEach(line => this.candleSeries.removePriceLine(line));
+    delete this.priceLines[layer];
+  }
+
+  removePriceLines() {
+    if (this.candleSeries) {
+      Object.keys(this.priceLines).forEach(layer => this.removeLayerLines(layer));
+    }
+    this.priceLines = {};
+  }
+
+  /* =========================
+     LAYERS
+  ========================== */
+  // Layers the current chart has something to draw for, with their state
+  getLayers() {
+    return Object.keys(CHART_LAYERS)
+      .filter(layer =>
+        (this.layerLines[layer] || []).length > 0 || this.zoneBoxes.some(item => item.layer === layer)
+      )
+      .map(layer => ({ key: layer, ...CHART_LAYERS[layer], visible: !this.hiddenLayers.has(layer) }));
+  }
+
+  setLayerVisible(layer, visible) {
+    if (visible) {
+      this.hiddenLayers.delete(layer);
+    } else {
+      this.hiddenLayers.add(layer);
+    }
+
+    if (!this.candleSeries) return;
+
+    this.removeLayerLines(layer);
+    if (visible) {
+      this.drawLayerLines(layer);
+    }
+    this.positionZones();
+  }
+
+  /* =========================
+     FVG / ORDER BLOCK / ENTRY BOXES
+  ========================== */
+  drawZones(analysis, fromTime) {
+    const zones = analysis.zones?.zones || [];
+
+    zones.forEach(zone => {
+      this.addBox('zones', zone, `chart-zone ${zone.type} ${zone.side}`, `${zone.timeframe} ${zone.type === 'fvg' ? 'FVG' : 'OB'}`);
+    });
+
+    this.drawEntryZones(analysis);
+    if (this.zoneBoxes.length === 0) return;
+
+    this.zoneStart = fromTime;
+    // A primitive's updateAllViews runs before every redraw - scrolling, zooming,
+    // price scale drags and autoscale alike - so the boxes follow the candles
+    this.candleSeries.attachPrimitive({ updateAllViews: this.positionZones });
+    this.positionZones();
+  }
+
+  drawEntryZones(analysis) {
+    [
+      { layer: 'buyPlan', setup: analysis.bullishSetup, side: 'BUY', className: 'entry-buy' },
+      { layer: 'sellPlan', setup: analysis.bearishSetup, side: 'SELL', className: 'entry-sell' },
+    ].forEach(({ layer, setup, side, className }) => {
+      const zone = parseZone(setup?.entryZone);
+      if (!zone) return;
+
+      this.addBox(layer, zone, `chart-zone ${className}`, `${side} entry`);
+    });
+  }
+
+  // Lightweight Charts has no rectangles - overlay boxes positioned from the scales
+  addBox(layer, zone, className, text) {
+    if (!this.zoneLayer) {
+      this.container.style.position = 'relative';
+      this.zoneLayer = document.createElement('div');
+      this.zoneLayer.className = 'chart-zone-layer';
+      this.container.appendChild(this.zoneLayer);
+    }
+
+    const box = document.createElement('div');
+    box.className = className;
+    box.textContent = text;
+    this.zoneLayer.appendChild(box);
+    this.zoneBoxes.push({ layer, top: +zone.top, bottom: +zone.bottom, box });
+  }
+
+  positionZones() {
+    if (!this.chart || this.zoneBoxes.length === 0) return;
+
+    const timeScale = this.chart.timeScale();
+    const left = timeScale.timeToCoordinate(this.zoneStart);
+    const right = timeScale.width();
+
+    this.zoneBoxes.forEach(({ layer, top: topPrice, bottom: bottomPrice, box }) => {
+      const top = this.candleSeries.priceToCoordinate(topPrice);
+      const bottom = this.candleSeries.priceToCoordinate(bottomPrice);
+
+      if (this.hiddenLayers.has(layer) || left === null || top === null || bottom === null) {
+        box.style.display = 'none';
+        return;
+      }
+
+      box.style.display = '';
+      box.style.left = `${left}px`;
+      box.style.width = `${Math.max(0, right - left)}px`;
+      box.style.top = `${Math.min(top, bottom)}px`;
+      box.style.height = `${Math.max(1, Math.abs(bottom - top))}px`;
+    });
+  }
+
+  /* =========================
+     SNAPSHOT
+  ========================== */
+  // Chart canvas with the zone boxes painted in - they are HTML overlays the screenshot misses
+  snapshot() {
+    if (!this.chart) return null;
+
+    const canvas = this.chart.takeScreenshot();
+    const ctx = canvas.getContext('2d');
+    const scale = canvas.width / (this.container.clientWidth || canvas.width);
+
+    this.zoneBoxes.forEach(({ box }) => {
+      if (box.style.display === 'none') return;
+
+      const style = getComputedStyle(box);
+      const [x, y, w, h] = [box.offsetLeft, box.offsetTop, box.offsetWidth, box.offsetHeight].map(value => value * scale);
+
+      ctx.fillStyle = style.backgroundColor;
+      ctx.fillRect(x, y, w, h);
+      ctx.strokeStyle = style.borderTopColor;
+      ctx.setLineDash([4 * scale, 3 * scale]);
+      ctx.strokeRect(x, y, w, h);
+      ctx.setLineDash([]);
+      ctx.fillStyle = style.color;
+      ctx.font = `${10 * scale}px sans-serif`;
+      ctx.textBaseline = 'top';
+      ctx.fillText(box.textContent, x + 4 * scale, y + scale);
+    });
+
+    return canvas;
   }
 
   /* =========================
@@ -221,6 +529,15 @@ export class ChartManager {
       this.resizeObserver = null;
     }
 
+    if (this.zoneLayer) {
+      this.zoneLayer.remove();
+      this.zoneLayer = null;
+    }
+    this.zoneBoxes = [];
+    this.zoneStart = null;
+    this.layerLines = {};
+    this.priceLines = {};
+
     if (this.chart) {
       this.chart.remove();
       this.chart = null;
@@ -0,0 +1,215 @@
+/**
+ * Checklist Templates
+ * Pre-trade checklists as data: ordered items, mandatory flags and the bias
+ * category / strategy profile each template applies to
+ */
+
+export const CHECKLIST_BIASES = {
+  bullish: { label: 'Bullish (BUY)', header: '🟢', alert: 'alert-success' },
+  bearish: { label: 'Bearish (SELL)', header: '🔴', alert: 'alert-danger' },
+  neutral: { label: 'Neutral', header: '⚠️', alert: 'alert-warning' }
+};
+
+/**
+ * Items can be ticked or annotated by the app: rules are ticked from the risk
+ * panel, suggestions show detected FVG / order block candidates
+ */
+export const CHECKLIST_LINKS = {
+  riskReward: { label: 'Auto: risk-reward ≥ 1:2', kind: 'rule' },
+  positionSize: { label: 'Auto: position size ≤ max risk', kind: 'rule' },
+  fvg: { label: 'Suggest: detected FVG', kind: 'suggest' },
+  orderBlock: { label: 'Suggest: detected order block', kind: 'suggest' }
+};
+
+const setupItems = side => {
+  const isBuy = side === 'buy';
+  const direction = isBuy ? 'bullish' : 'bearish';
+
+  return [
+    { id: 'asian-fvg', title: `Asian's ${isBuy ? 'Low' : 'High'} 2H FVG Identified:`, text: `Locate unmitigated 2H FVG formed at Asian session ${isBuy ? 'low' : 'high'}`, mandatory: true, link: 'fvg' },
+    { id: 'london-tap', title: 'London Tap Confirmation:', text: 'Price should tap the 2H FVG during London session', mandatory: true },
+    { id: 'shift', title: 'Shift Confirmation Received:', text: `After tap, look for ${direction} market structure shift (BOS/CHoCH)`, mandatory: true },
+    { id: 'inner-block', title: 'Inner Block Located:', text: 'Inside 2H FVG, identify unmitigated lower timeframe order block (15m/5m)', link: 'orderBlock' },
+    { id: 'displacement', title: 'Good Displacement Present:', text: `Strong ${direction} candle with minimal wicks after tap` },
+    { id: 'risk-reward', text: 'Risk-reward ratio acceptable (min 1:2)', mandatory: true, link: 'riskReward' },
+    { id: 'stop-loss', text: `Stop loss ${isBuy ? 'below' : 'above'} FVG/Order Block`, mandatory: true },
+    { id: 'calendar', text: 'Economic calendar checked for news conflicts' },
+    { id: 'position-size', text: 'Position size calculated (max 1-2% risk)', mandatory: true, link: 'positionSize' }
+  ];
+};
+
+export const BUILT_IN_CHECKLISTS = [
+  {
+    id: 'buy-setup',
+    name: 'BUY Setup',
+    builtIn: true,
+    bias: 'bullish',
+    items: setupItems('buy')
+  },
+  {
+    id: 'sell-setup',
+    name: 'SELL Setup',
+    builtIn: true,
+    bias: 'bearish',
+    items: setupItems('sell')
+  },
+  {
+    id: 'general',
+    name: 'Neutral - General',
+    builtIn: true,
+    bias: 'neutral',
+    items: [
+      { id: 'bias-confirmed', text: 'Bias direction confirmed', mandatory: true },
+      { id: 'risk-reward', text: 'Risk-reward ratio acceptable (min 1:2)', mandatory: true, link: 'riskReward' },
+      { id: 'stop-loss', text: 'Stop loss level identified', mandatory: true },
+      { id: 'entry-zone', text: 'Entry point matches order block/FVG' },
+      { id: 'structure', text: 'Market structure aligns with bias' },
+      { id: 'calendar', text: 'Economic calendar checked' },
+      { id: 'position-size', text: 'Position size calculated', mandatory: true, link: 'positionSize' }
+    ]
+  }
+].map(template => normalizeChecklist(template));
+
+/**
+ * Fill defaults on a template and its items
+ */
+export function normalizeChecklist(template) {
+  return {
+    id: template.id,
+    name: template.name,
+    builtIn: !!template.builtIn,
+    // '' applies to any bias / any profile
+    bias: CHECKLIST_BIASES[template.bias] ? template.bias : '',
+    profileId: template.profileId || '',
+    items: (template.items || []).map(item => ({
+      id: item.id,
+      title: item.title || '',
+      text: item.text || '',
+      mandatory: !!item.mandatory,
+      link: CHECKLIST_LINKS[item.link] ? item.link : ''
+    }))
+  };
+}
+
+/**
+ * Completion of a template given the ticked item ids. Ready once every
+ * mandatory item is ticked (or every item, when none are mandatory).
+ */
+export function checklistProgress(template, checked = {}) {
+  const items = template.items;
+  const completed = items.filter(item => checked[item.id]).length;
+  const mandatory = items.filter(item => item.mandatory);
+  const missing = mandatory.filter(item => !checked[item.id]);
+
+  return {
+    total: items.length,
+    completed,
+    percent: items.length > 0 ? (completed / items.length) * 100 : 0,
+    mandatoryTotal: mandatory.length,
+    mandatoryCompleted: mandatory.length - missing.length,
+    missing: missing.map(item => (item.title || item.text).replace(/:$/, '')),
+    ready: mandatory.length > 0 ? missing.length === 0 : completed === items.length
+  };
+}
+
+export class ChecklistManager {
+  constructor(storage) {
+    this.storage = storage;
+  }
+
+  /**
+   * Built-in templates followed by the user's own
+   */
+  async getTemplates() {
+    const custom = (await this.storage.getCustomChecklists()).map(template => normalizeChecklist(template));
+    return [...BUILT_IN_CHECKLISTS, ...custom];
+  }
+
+  /**
+   * Find a template by id
+   */
+  async getTemplate(id) {
+    return (await this.getTemplates()).find(template => template.id === id) || null;
+  }
+
+  /**
+   * Most specific template for a bias direction and profile: a profile match
+   * beats a bias match, and custom templates beat built-ins
+   */
+  async templateFor(direction, profileId) {
+    let best = null;
+    let bestScore = -1;
+
+    (await this.getTemplates()).forEach(template => {
+      if ((template.bias && template.bias !== direction) || (template.profileId && template.profileId !== profileId)) {
+        return;
+      }
+
+      const score = (template.profileId ? 4 : 0) + (template.bias ? 2 : 0) + (template.builtIn ? 0 : 1);
+      if (score >= bestScore) {
+        best = template;
+        bestScore = score;
+      }
+    });
+
+    return best || BUILT_IN_CHECKLISTS.find(template => template.bias === 'neutral');
+  }
+
+  /**
+   * Copy any template into a new editable one
+   */
+  async cloneTemplate(id, name) {
+    const source = await this.getTemplate(id);
+
+    if (!source) {
+      throw new Error(`Unknown checklist template: ${id}`);
+    }
+
+    const clone = normalizeChecklist({
+      ...JSON.parse(JSON.stringify(source)),
+      id: `checklist-${Date.now()}`,
+      name: name || `${source.name} (copy)`,
+      builtIn: false
+    });
+
+    await this.storage.saveCustomChecklist(clone);
+    return clone;
+  }
+
+  /**
+   * Save changes to a custom template
+   */
+  async saveTemplate(template) {
+    if (template.builtIn || BUILT_IN_CHECKLISTS.some(builtIn => builtIn.id === template.id)) {
+      throw new Error('Built-in checklists cannot be edited - clone it first');
+    }
+
+    const normalized = normalizeChecklist(template);
+
+    if (!normalized.name) {
+      throw new Error('Checklist template needs a name');
+    }
+
+    if (normalized.items.length === 0) {
+      throw new Error('Checklist template needs at least one item');
+    }
+
+    if (normalized.items.some(item => !item.title && !item.text)) {
+      throw new Error('Every checklist item needs a title or description');
+    }
+
+    await this.storage.saveCustomChecklist(normalized);
+    return normalized;
+  }
+
+  /**
+   * Delete a custom template
+   */
+  async deleteTemplate(id) {
+    if (BUILT_IN_CHECKLISTS.some(builtIn => builtIn.id === id)) {
+      throw new Error('Built-in checklists cannot be deleted');
+    }
+
+    await this.storage.deleteCustomChecklist(id);
+  }
+}
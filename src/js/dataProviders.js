@@ -0,0 +1,434 @@
+/**
+ * Market Data Providers
+ * One interface for fetching daily / intraday candles and streaming ticks, so
+ * the form and the watchlist can pull D-2 / D-1 instead of having them typed
+ * in. Adapters register by id and the UI lists whatever is registered - a
+ * broker or vendor adapter is a new DataProvider subclass plus a
+ * registerProvider() call.
+ *
+ * Candles are plain { date, open, high, low, close } (intraday adds time,
+ * "HH:MM"); ticks are { symbol, price, time } with time in ms.
+ */
+
+import { OhlcImporter } from './ohlcImporter';
+import { previousTradingDay, isTradingDay, localDate } from './timeframes';
+
+const REGISTRY = new Map();
+
+/**
+ * Make a provider available to the app. create(options) returns a DataProvider.
+ */
+export function registerProvider(id, label, create) {
+  REGISTRY.set(id, { id, label, create });
+}
+
+/**
+ * Registered providers as { id, label }, in registration order
+ */
+export function listProviders() {
+  return [...REGISTRY.values()].map(({ id, label }) => ({ id, label }));
+}
+
+/**
+ * New instance of a registered provider
+ */
+export function createProvider(id, options = {}) {
+  const entry = REGISTRY.get(id);
+  if (!entry) {
+    throw new Error(`Unknown data provider: ${id}`);
+  }
+  return entry.create(options);
+}
+
+/**
+ * Calendar date a number of days before a YYYY-MM-DD date
+ */
+function daysBefore(date, days) {
+  const day = new Date(`${date}T00:00:00Z`);
+  day.setUTCDate(day.getUTCDate() - days);
+  return day.toISOString().slice(0, 10);
+}
+
+/**
+ * The last `count` daily candles up to D-1 of a forecast date, oldest first.
+ * The two newest are the D-2 / D-1 pair; the rest can feed the lookback.
+ */
+export async function fetchRecentCandles(provider, symbol, forecastDate, count = 2, holidays = []) {
+  const to = previousTradingDay(forecastDate, holidays);
+  // Enough calendar days for `count` trading days plus a holiday cluster
+  const from = daysBefore(to, Math.ceil(count * 7 / 5) + 14);
+  // Bars a feed prints on a configured holiday are not D-2 / D-1 candidates
+  const candles = (await provider.getDailyCandles(symbol, from, to)).filter(candle => isTradingDay(candle.date, holidays));
+
+  if (candles.length < 2) {
+    throw new Error(`${symbol}: ${provider.label} has ${candles.length} daily candle(s) up to ${to} - need at least 2`);
+  }
+
+  return candles.slice(-count);
+}
+
+/**
+ * Base class. Subclasses set `capabilities` and override what they support.
+ */
+export class DataProvider {
+  constructor(label, options = {}) {
+    this.label = label;
+    this.options = options;
+    this.capabilities = { daily: false, intraday: false, streaming: false, files: false };
+  }
+
+  /**
+   * Daily candles for a symbol from `from` to `to` (inclusive), oldest first
+   */
+  async getDailyCandles(symbol, from, to) {
+    throw new Error(`${this.label} does not provide daily candles`);
+  }
+
+  /**
+   * Intraday candles of one trading date, oldest first
+   */
+  async getIntradayCandles(symbol, date) {
+    throw new Error(`${this.label} does not provide intraday candles`);
+  }
+
+  /**
+   * Call onTick(tick) for every price update; returns a function that stops it
+   */
+  subscribe(symbol, onTick) {
+    throw new Error(`${this.label} does not stream prices`);
+  }
+
+  /**
+   * Symbols the provider knows about (empty when it can serve any)
+   */
+  async listSymbols() {
+    return [];
+  }
+
+  /**
+   * Release connections and timers
+   */
+  disconnect() {}
+}
+
+/**
+ * Candles from local CSV / JSON exports (the same formats the form import
+ * reads). Daily and intraday files are told apart by their bar times.
+ */
+export class FileDataProvider extends DataProvider {
+  constructor(options = {}) {
+    super('Local files', options);
+    this.capabilities = { daily: true, intraday: true, streaming: false, files: true };
+    this.daily = new Map();
+    this.intraday = new Map();
+  }
+
+  /**
+   * Add a file's candles, replacing bars already loaded for the same time
+   */
+  loadFile(text, fileName = '') {
+    const result = new OhlcImporter({ dateOrder: this.options.dateOrder || 'auto', intraday: true }).parse(text, fileName);
+    const dates = new Set();
+    const intraday = result.candles.some(candle => {
+      const key = `${candle.symbol}|${candle.date}`;
+      const repeated = dates.has(key);
+      dates.add(key);
+      return candle.time !== '00:00' || repeated;
+    });
+
+    result.candles.forEach(candle => {
+      const { symbol, date, time, open, high, low, close } = candle;
+      if (intraday) {
+        this.intraday.set(`${symbol}|${date}|${time}`, { symbol, date, time, open, high, low, close });
+      } else {
+        this.daily.set(`${symbol}|${date}`, { symbol, date, open, high, low, close });
+      }
+    });
+
+    return {
+      kind: intraday ? 'intraday' : 'daily',
+      candles: result.candles.length,
+      symbols: result.symbols,
+      errors: result.errors
+    };
+  }
+
+  async getDailyCandles(symbol, from, to) {
+    return this.select(this.daily, symbol, candle => candle.date >= from && candle.date <= to)
+      .map(({ date, open, high, low, close }) => ({ date, open, high, low, close }));
+  }
+
+  async getIntradayCandles(symbol, date) {
+    return this.select(this.intraday, symbol, candle => candle.date === date)
+      .map(({ date, time, open, high, low, close }) => ({ date, time, open, high, low, close }));
+  }
+
+  async listSymbols() {
+    return [...new Set([...this.daily.values(), ...this.intraday.values()].map(candle => candle.symbol))].sort();
+  }
+
+  /**
+   * Loaded bars of one symbol passing a filter, oldest first
+   */
+  select(store, symbol, filter) {
+    const wanted = String(symbol).trim().toUpperCase();
+    return [...store.values()]
+      .filter(candle => candle.symbol === wanted && filter(candle))
+      .sort((a, b) => a.date.localeCompare(b.date) || (a.time || '').localeCompare(b.time || ''));
+  }
+}
+
+/**
+ * Ticks from a WebSocket feed speaking a small JSON protocol:
+ * client sends { action: 'subscribe' | 'unsubscribe', symbol },
+ * server sends { type: 'tick', symbol, price, time }.
+ * socketFactory(url) returns the socket, so a mock (or a vendor SDK wrapper)
+ * can stand in for the browser WebSocket.
+ */
+export class WebSocketStreamProvider extends DataProvider {
+  constructor(options = {}, label = 'WebSocket stream') {
+    super(label, options);
+    this.capabilities = { daily: false, intraday: false, streaming: true, files: false };
+    this.socketFactory = options.socketFactory || (url => new WebSocket(url));
+    this.socket = null;
+    this.listeners = new Map();
+  }
+
+  subscribe(symbol, onTick) {
+    const wanted = String(symbol).trim().toUpperCase();
+    const socket = this.connect();
+
+    if (!this.listeners.has(wanted)) {
+      this.listeners.set(wanted, new Set());
+      this.send({ action: 'subscribe', symbol: wanted });
+    }
+    this.listeners.get(wanted).add(onTick);
+
+    return () => {
+      const listeners = this.listeners.get(wanted);
+      if (!listeners || !listeners.delete(onTick) || listeners.size > 0) {
+        return;
+      }
+      this.listeners.delete(wanted);
+      if (this.socket === socket) {
+        this.send({ action: 'unsubscribe', symbol: wanted });
+      }
+    };
+  }
+
+  /**
+   * Open the socket once; subscriptions made before it opens are sent on open
+   */
+  connect() {
+    if (this.socket) {
+      return this.socket;
+    }
+
+    const socket = this.socketFactory(this.options.url);
+    this.socket = socket;
+
+    socket.onopen = () => {
+      this.listeners.forEach((listeners, symbol) => this.send({ action: 'subscribe', symbol }));
+    };
+    socket.onmessage = event => {
+      let message;
+      try {
+        message = JSON.parse(event.data);
+      } catch (error) {
+        return;
+      }
+      if (message.type === 'tick' && this.listeners.has(message.symbol)) {
+        this.listeners.get(message.symbol).forEach(listener => listener(message));
+      }
+    };
+    socket.onclose = () => {
+      if (this.socket === socket) {
+        this.socket = null;
+      }
+    };
+
+    return socket;
+  }
+
+  /**
+   * Send a JSON message if the socket is open (queued subscriptions go out on open)
+   */
+  send(message) {
+    if (this.socket && this.socket.readyState === 1) {
+      this.socket.send(JSON.stringify(message));
+    }
+  }
+
+  disconnect() {
+    this.listeners.clear();
+    if (this.socket) {
+      this.socket.close();
+      this.socket = null;
+    }
+  }
+}
+
+// Starting prices for the mock feed; other symbols start at 100
+const MOCK_PRICES = {
+  EURUSD: 1.08,
+  GBPUSD: 1.27,
+  USDJPY: 150,
+  XAUUSD: 2400,
+  NAS100: 18000,
+  US30: 39000,
+  SPX500: 5200,
+  BTCUSD: 60000
+};
+
+/**
+ * Repeatable pseudo-random number in [0, 1) for a text key
+ */
+function noise(key) {
+  let hash = 2166136261;
+  for (let i = 0; i < key.length; i++) {
+    hash = Math.imul(hash ^ key.charCodeAt(i), 16777619);
+  }
+  return ((hash >>> 0) % 100000) / 100000;
+}
+
+/**
+ * Mock server behind the WebSocket interface (readyState, onopen, onmessage,
+ * onclose, send, close): a random walk of ticks for every subscribed symbol
+ */
+export class MockSocket {
+  constructor(prices, interval = 1000) {
+    this.prices = prices;
+    this.interval = interval;
+    this.readyState = 0;
+    this.timers = new Map();
+    this.onopen = null;
+    this.onmessage = null;
+    this.onclose = null;
+
+    setTimeout(() => {
+      if (this.readyState !== 0) {
+        return;
+      }
+      this.readyState = 1;
+      if (this.onopen) this.onopen();
+    });
+  }
+
+  send(data) {
+    const { action, symbol } = JSON.parse(data);
+
+    if (action === 'subscribe' && !this.timers.has(symbol)) {
+      let price = this.prices(symbol);
+      this.timers.set(symbol, setInterval(() => {
+        price *= 1 + (Math.random() - 0.5) * 0.0004;
+        this.emit({ type: 'tick', symbol, price, time: Date.now() });
+      }, this.interval));
+    }
+
+    if (action === 'unsubscribe' && this.timers.has(symbol)) {
+      clearInterval(this.timers.get(symbol));
+      this.timers.delete(symbol);
+    }
+  }
+
+  emit(message) {
+    if (this.readyState === 1 && this.onmessage) {
+      this.onmessage({ data: JSON.stringify(message) });
+    }
+  }
+
+  close() {
+    this.timers.forEach(timer => clearInterval(timer));
+    this.timers.clear();
+    this.readyState = 3;
+    if (this.onclose) this.onclose();
+  }
+}
+
+/**
+ * Offline demo feed: made-up but repeatable daily and 15-minute candles, and
+ * ticks streamed through MockSocket
+ */
+export class MockDataProvider extends WebSocketStreamProvider {
+  constructor(options = {}) {
+    super(options, 'Mock feed (demo)');
+    this.capabilities = { daily: true, intraday: true, streaming: true, files: false };
+    // Ticks start from today's made-up close
+    this.socketFactory = () => new MockSocket(symbol => this.closeOf(symbol, localDate()), options.interval);
+  }
+
+  async getDailyCandles(symbol, from, to) {
+    const wanted = String(symbol).trim().toUpperCase();
+    const candles = [];
+    const day = new Date(`${from}T00:00:00Z`);
+
+    for (let date = from; date <= to; date = day.toISOString().slice(0, 10)) {
+      if (isTradingDay(date)) {
+        candles.push(this.candleOf(wanted, date));
+      }
+      day.setUTCDate(day.getUTCDate() + 1);
+    }
+
+    return candles;
+  }
+
+  async getIntradayCandles(symbol, date) {
+    const wanted = String(symbol).trim().toUpperCase();
+    const daily = this.candleOf(wanted, date);
+    const bars = 96;
+    const candles = [];
+    let open = daily.open;
+
+    // Drift from the daily open to its close, kept inside the daily range
+    for (let bar = 0; bar < bars; bar++) {
+      const minutes = bar * 15;
+      const time = `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+      const target = daily.open + (daily.close - daily.open) * ((bar + 1) / bars);
+      const wiggle = (daily.high - daily.low) * 0.1 * (noise(`${wanted}|${date}|${time}`) - 0.5);
+      const close = bar === bars - 1 ? daily.close : Math.min(daily.high, Math.max(daily.low, target + wiggle));
+      const spread = (daily.high - daily.low) * 0.02;
+
+      candles.push({
+        date,
+        time,
+        open,
+        high: Math.min(daily.high, Math.max(open, close) + spread),
+        low: Math.max(daily.low, Math.min(open, close) - spread),
+        close
+      });
+      open = close;
+    }
+
+    return candles;
+  }
+
+  /**
+   * Close of a calendar day: a slow wave around the symbol's starting price
+   */
+  closeOf(symbol, date) {
+    const base = MOCK_PRICES[symbol] || 100;
+    const dayNumber = Math.floor(Date.parse(`${date}T00:00:00Z`) / 86400000);
+    return base * (1 + 0.03 * Math.sin(dayNumber / 9) + 0.01 * (noise(`${symbol}|${date}`) - 0.5));
+  }
+
+  /**
+   * Daily candle opening at the previous day's close
+   */
+  candleOf(symbol, date) {
+    const open = this.closeOf(symbol, daysBefore(date, 1));
+    const close = this.closeOf(symbol, date);
+    const range = Math.abs(close - open) + (MOCK_PRICES[symbol] || 100) * 0.004 * (0.5 + noise(`${symbol}|${date}|range`));
+    const upper = noise(`${symbol}|${date}|upper`);
+
+    return {
+      date,
+      open,
+      high: Math.max(open, close) + range * upper * 0.5,
+      low: Math.min(open, close) - range * (1 - upper) * 0.5,
+      close
+    };
+  }
+}
+
+registerProvider('file', 'Local files (CSV / JSON)', options => new FileDataProvider(options));
+registerProvider('mock', 'Mock feed (demo)', options => new MockDataProvider(options));
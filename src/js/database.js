@@ -0,0 +1,188 @@
+/**
+ * IndexedDB Database
+ * Versioned schema for analysis history, profiles, checklist templates and
+ * settings. Upgrade steps run in order for every version the browser's copy
+ * of the database is behind.
+ */
+
+export const DB_NAME = 'tradingBias';
+export const DB_VERSION = 1;
+
+export const STORES = {
+  ANALYSES: 'analyses',
+  PROFILES: 'profiles',
+  CHECKLISTS: 'checklists',
+  SETTINGS: 'settings'
+};
+
+// Upgrade steps keyed by the version they bring the schema to
+const UPGRADES = {
+  1: db => {
+    const analyses = db.createObjectStore(STORES.ANALYSES, { keyPath: 'id' });
+    analyses.createIndex('symbol', 'symbol');
+    analyses.createIndex('timestamp', 'timestamp');
+    analyses.createIndex('bias', 'bias');
+
+    db.createObjectStore(STORES.PROFILES, { keyPath: 'id' });
+    db.createObjectStore(STORES.CHECKLISTS, { keyPath: 'id' });
+    db.createObjectStore(STORES.SETTINGS, { keyPath: 'key' });
+  }
+};
+
+/**
+ * Resolve with an IDBRequest's result
+ */
+export function promisify(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+export class Database {
+  constructor(name = DB_NAME, version = DB_VERSION) {
+    this.name = name;
+    this.version = version;
+    this.connection = null;
+  }
+
+  /**
+   * Open (and upgrade) the database once, sharing the connection. A failed
+   * open or a connection closed for another tab's upgrade is forgotten, so
+   * the next call opens again.
+   */
+  open() {
+    if (!this.connection) {
+      const connection = new Promise((resolve, reject) => {
+        const fail = error => {
+          if (this.connection === connection) {
+            this.connection = null;
+          }
+          reject(error);
+        };
+
+        if (typeof indexedDB === 'undefined') {
+          reject(new Error('IndexedDB is not available in this browser'));
+          return;
+        }
+
+        const request = indexedDB.open(this.name, this.version);
+
+        request.onupgradeneeded = event => {
+          for (let version = event.oldVersion + 1; version <= event.newVersion; version++) {
+            UPGRADES[version](request.result, request.transaction);
+          }
+        };
+        request.onsuccess = () => {
+          const db = request.result;
+
+          // Opened after a blocked upgrade was already reported
+          if (this.connection !== connection) {
+            db.close();
+            return;
+          }
+
+          // Let a newer version in another tab upgrade the schema
+          db.onversionchange = () => {
+            db.close();
+            if (this.connection === connection) {
+              this.connection = null;
+            }
+          };
+          resolve(db);
+        };
+        request.onerror = () => fail(request.error);
+        request.onblocked = () => fail(new Error('Database upgrade blocked - close other tabs of this app and reload'));
+      });
+      this.connection = connection;
+    }
+
+    return this.connection;
+  }
+
+  /**
+   * Run work(stores) in one transaction and resolve with its result once the
+   * transaction commits. work receives the object stores by name.
+   */
+  async transaction(storeNames, mode, work) {
+    const db = await this.open();
+    const names = Array.isArray(storeNames) ? storeNames : [storeNames];
+    const tx = db.transaction(names, mode);
+    const stores = {};
+    names.forEach(name => {
+      stores[name] = tx.objectStore(name);
+    });
+
+    return new Promise((resolve, reject) => {
+      let result;
+      tx.oncomplete = () => resolve(result);
+      tx.onerror = () => reject(tx.error);
+      tx.onabort = () => reject(tx.error || new Error('Transaction aborted'));
+
+      Promise.resolve(work(stores))
+        .then(value => { result = value; })
+        .catch(error => {
+          tx.abort();
+          reject(error);
+        });
+    });
+  }
+
+  /**
+   * Get one record by key
+   */
+  async get(storeName, key) {
+    const db = await this.open();
+    const result = await promisify(db.transaction(storeName).objectStore(storeName).get(key));
+    return result === undefined ? null : result;
+  }
+
+  /**
+   * All records of a store, or of one index (optionally within a key range)
+   */
+  async getAll(storeName, indexName = null, query = null) {
+    const db = await this.open();
+    const store = db.transaction(storeName).objectStore(storeName);
+    const source = indexName ? store.index(indexName) : store;
+    return promisify(query === null ? source.getAll() : source.getAll(query));
+  }
+
+  /**
+   * Insert or replace a record
+   */
+  put(storeName, value) {
+    return this.transaction(storeName, 'readwrite', stores => promisify(stores[storeName].put(value)));
+  }
+
+  /**
+   * Delete a record by key
+   */
+  delete(storeName, key) {
+    return this.transaction(storeName, 'readwrite', stores => promisify(stores[storeName].delete(key)));
+  }
+
+  /**
+   * Remove every record of a store
+   */
+  clear(storeName) {
+    return this.transaction(storeName, 'readwrite', stores => promisify(stores[storeName].clear()));
+  }
+
+  /**
+   * Read-modify-write one record in a single transaction. change(record)
+   * returns the updated record; the result is null if the key is missing.
+   */
+  update(storeName, key, change) {
+    return this.transaction(storeName, 'readwrite', async stores => {
+      const record = await promisify(stores[storeName].get(key));
+
+      if (record === undefined) {
+        return null;
+      }
+
+      const updated = change(record);
+      stores[storeName].put(updated);
+      return updated;
+    });
+  }
+}
@@ -0,0 +1,181 @@
+/**
+ * History Query
+ * Filters, free-text search, sorting and paging for the analysis history,
+ * kept as URL search params so a filtered view can be bookmarked
+ */
+
+import { BiasCalculator } from './calculator';
+import { localDate } from './timeframes';
+
+export const HISTORY_PAGE_SIZE = 10;
+
+// Sortable columns and the value each sorts by
+export const HISTORY_SORTS = {
+  time: entry => entryDate(entry),
+  symbol: entry => entry.symbol,
+  bias: entry => entry.analysis.bias,
+  strength: entry => entry.analysis.strength,
+  checklist: entry => entry.checklist && entry.checklist.total !== undefined ? entry.checklist.percent : -1
+};
+
+const DEFAULTS = {
+  q: '',
+  symbol: '',
+  bias: '',
+  scenario: '',
+  minStrength: '',
+  maxStrength: '',
+  from: '',
+  to: '',
+  sort: 'time',
+  order: 'desc',
+  page: 1
+};
+
+/**
+ * Trading date an entry forecasts, or the day it was made for entries saved
+ * before dates were recorded
+ */
+export function entryDate(entry) {
+  return (entry.data && entry.data.forecastDate) || localDate(entry.timestamp);
+}
+
+/**
+ * Scenario flags set on an analysis
+ */
+export function entryScenarios(entry) {
+  const scenario = entry.analysis.scenario || {};
+  return Object.keys(scenario).filter(key => scenario[key]);
+}
+
+/**
+ * Readable scenario name: "fakeBreakoutHigh" -> "Fake Breakout High"
+ */
+export function scenarioLabel(key) {
+  return key.replace(/([A-Z])/g, ' $1').replace(/^./, letter => letter.toUpperCase());
+}
+
+export class HistoryQuery {
+  constructor(filters = {}) {
+    Object.keys(DEFAULTS).forEach(key => {
+      this[key] = filters[key] !== undefined && filters[key] !== null ? filters[key] : DEFAULTS[key];
+    });
+
+    this.page = Math.max(1, parseInt(this.page, 10) || 1);
+    if (!HISTORY_SORTS[this.sort]) {
+      this.sort = DEFAULTS.sort;
+    }
+    if (this.order !== 'asc') {
+      this.order = 'desc';
+    }
+  }
+
+  /**
+   * Read a query from URL search params, ignoring unknown keys
+   */
+  static fromSearchParams(params) {
+    const filters = {};
+    Object.keys(DEFAULTS).forEach(key => {
+      if (params.has(key)) {
+        filters[key] = params.get(key);
+      }
+    });
+    return new HistoryQuery(filters);
+  }
+
+  /**
+   * Search params for the values that differ from the defaults
+   */
+  toSearchParams() {
+    const params = new URLSearchParams();
+    Object.keys(DEFAULTS).forEach(key => {
+      if (String(this[key]) !== String(DEFAULTS[key])) {
+        params.set(key, this[key]);
+      }
+    });
+    return params;
+  }
+
+  /**
+   * Copy with some values changed. Changing a filter or the sort goes back to page 1.
+   */
+  with(changes) {
+    const keepPage = Object.keys(changes).every(key => key === 'page');
+    return new HistoryQuery({ ...this, page: keepPage ? this.page : 1, ...changes });
+  }
+
+  /**
+   * Toggle the order when sorting by the same column again
+   */
+  sortBy(column) {
+    if (column === this.sort) {
+      return this.with({ order: this.order === 'asc' ? 'desc' : 'asc' });
+    }
+    return this.with({ sort: column, order: column === 'time' || column === 'strength' ? 'desc' : 'asc' });
+  }
+
+  /**
+   * Whether one entry passes every filter
+   */
+  matches(entry) {
+    const analysis = entry.analysis;
+    const minStrength = parseFloat(this.minStrength);
+    const maxStrength = parseFloat(this.maxStrength);
+    const date = entryDate(entry);
+
+    if (this.symbol && entry.symbol !== this.symbol) {
+      return false;
+    }
+    if (this.bias && BiasCalculator.direction(analysis.bias) !== this.bias) {
+      return false;
+    }
+    if (this.scenario && !entryScenarios(entry).includes(this.scenario)) {
+      return false;
+    }
+    if (!isNaN(minStrength) && analysis.strength < minStrength) {
+      return false;
+    }
+    if (!isNaN(maxStrength) && analysis.strength > maxStrength) {
+      return false;
+    }
+    if ((this.from && date < this.from) || (this.to && date > this.to)) {
+      return false;
+    }
+
+    // Every word must appear somewhere in the reasoning
+    const words = String(this.q).toLowerCase().split(/\s+/).filter(word => word);
+    if (words.length > 0) {
+      const text = (analysis.reasoning || []).join(' ').toLowerCase();
+      return words.every(word => text.includes(word));
+    }
+
+    return true;
+  }
+
+  /**
+   * Filter, sort and page a history list
+   */
+  apply(history) {
+    const value = HISTORY_SORTS[this.sort];
+    const direction = this.order === 'asc' ? 1 : -1;
+
+    const filtered = history
+      .filter(entry => this.matches(entry))
+      .sort((a, b) => {
+        const left = value(a);
+        const right = value(b);
+        const compare = typeof left === 'string' ? left.localeCompare(right) : left - right;
+        return compare * direction || b.timestamp.localeCompare(a.timestamp);
+      });
+
+    const pages = Math.max(1, Math.ceil(filtered.length / HISTORY_PAGE_SIZE));
+    const page = Math.min(this.page, pages);
+
+    return {
+      entries: filtered.slice((page - 1) * HISTORY_PAGE_SIZE, page * HISTORY_PAGE_SIZE),
+      total: filtered.length,
+      page,
+      pages
+    };
+  }
+}
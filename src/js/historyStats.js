@@ -0,0 +1,210 @@
+/**
+ * History Statistics
+ * Bias distribution, scenario frequency, confidence, bias streaks and
+ * accuracy (where outcomes were recorded) over stored history entries
+ */
+
+import { BiasCalculator } from './calculator';
+import { OUTCOME_STATUS } from './outcomeGrader';
+import { entryDate } from './historyQuery';
+
+// Scenario families counted on the dashboard and the flags behind each
+export const STAT_SCENARIOS = {
+  fakeBreakout: { label: 'Fake Breakout', flags: ['fakeBreakoutHigh', 'fakeBreakoutLow'] },
+  insideBar: { label: 'Inside Bar', flags: ['insideBar'] },
+  trendContinuation: { label: 'Trend Continuation', flags: ['uptrend', 'downtrend'] },
+  outsideBar: { label: 'Outside Bar', flags: ['outsideBar'] }
+};
+
+// Weeks shown in the calendar heatmap, ending with the latest analysis
+const CALENDAR_WEEKS = 12;
+
+export class HistoryStats {
+  constructor(entries) {
+    this.entries = (entries || []).map(entry => ({
+      symbol: entry.symbol,
+      date: entryDate(entry),
+      direction: BiasCalculator.direction(entry.analysis.bias),
+      strength: Number(entry.analysis.strength) || 0,
+      scenario: entry.analysis.scenario || {},
+      grade: entry.outcome ? entry.outcome.grade : null
+    }));
+  }
+
+  /**
+   * Everything the dashboard shows
+   */
+  compute() {
+    const days = this.dailyBias();
+
+    return {
+      total: this.entries.length,
+      ...this.summarize(this.entries),
+      bySymbol: this.bySymbol(),
+      byScenario: this.byScenario(),
+      days,
+      streaks: this.streaks(days),
+      calendar: this.calendar(days)
+    };
+  }
+
+  /**
+   * Direction counts, average strength and graded accuracy for a set of entries.
+   * Rates are over graded forecasts that had a setup (NO TRADE is left out).
+   */
+  summarize(entries) {
+    const stats = {
+      count: entries.length,
+      bullish: 0,
+      bearish: 0,
+      neutral: 0,
+      averageStrength: 0,
+      graded: 0,
+      trades: 0,
+      target: 0,
+      directionCorrect: 0,
+      targetRate: null,
+      directionRate: null
+    };
+
+    entries.forEach(entry => {
+      stats[entry.direction]++;
+      stats.averageStrength += entry.strength;
+
+      if (!entry.grade) {
+        return;
+      }
+
+      stats.graded++;
+      if (entry.grade.status === OUTCOME_STATUS.NO_TRADE) {
+        return;
+      }
+
+      stats.trades++;
+      if (entry.grade.status === OUTCOME_STATUS.TARGET) {
+        stats.target++;
+      }
+      if (entry.grade.biasCorrect) {
+        stats.directionCorrect++;
+      }
+    });
+
+    if (entries.length > 0) {
+      stats.averageStrength /= entries.length;
+    }
+
+    if (stats.trades > 0) {
+      stats.targetRate = (stats.target / stats.trades) * 100;
+      stats.directionRate = (stats.directionCorrect / stats.trades) * 100;
+    }
+
+    return stats;
+  }
+
+  /**
+   * Summary per symbol, most analysed first
+   */
+  bySymbol() {
+    const groups = {};
+
+    this.entries.forEach(entry => {
+      (groups[entry.symbol] = groups[entry.symbol] || []).push(entry);
+    });
+
+    return Object.keys(groups)
+      .map(symbol => ({ key: symbol, ...this.summarize(groups[symbol]) }))
+      .sort((a, b) => b.count - a.count || a.key.localeCompare(b.key));
+  }
+
+  /**
+   * Summary per scenario family, with how often it fired
+   */
+  byScenario() {
+    return Object.keys(STAT_SCENARIOS).map(key => {
+      const fired = this.entries.filter(entry => STAT_SCENARIOS[key].flags.some(flag => entry.scenario[flag]));
+
+      return {
+        key,
+        label: STAT_SCENARIOS[key].label,
+        frequency: this.entries.length > 0 ? (fired.length / this.entries.length) * 100 : 0,
+        ...this.summarize(fired)
+      };
+    });
+  }
+
+  /**
+   * Bullish / bearish / neutral counts per forecast day, oldest first. A day
+   * leans the way most of its analyses point.
+   */
+  dailyBias() {
+    const days = {};
+
+    this.entries.forEach(entry => {
+      const day = days[entry.date] = days[entry.date] || { date: entry.date, bullish: 0, bearish: 0, neutral: 0 };
+      day[entry.direction]++;
+    });
+
+    return Object.values(days)
+      .map(day => ({
+        ...day,
+        lean: day.bullish > day.bearish ? 'bullish' : day.bearish > day.bullish ? 'bearish' : 'neutral'
+      }))
+      .sort((a, b) => a.date.localeCompare(b.date));
+  }
+
+  /**
+   * Current and longest runs of consecutive analysed days leaning the same way.
+   * Neutral days break a run.
+   */
+  streaks(days) {
+    const longest = { bullish: 0, bearish: 0 };
+    let current = { lean: null, length: 0 };
+
+    days.forEach(day => {
+      if (day.lean === 'neutral') {
+        current = { lean: null, length: 0 };
+        return;
+      }
+
+      current = day.lean === current.lean ? { lean: day.lean, length: current.length + 1 } : { lean: day.lean, length: 1 };
+      longest[day.lean] = Math.max(longest[day.lean], current.length);
+    });
+
+    return { current, longest };
+  }
+
+  /**
+   * Week columns (Monday first) of day cells for the heatmap, ending with
+   * the week of the latest analysis. Days without analyses have no lean.
+   */
+  calendar(days, weeks = CALENDAR_WEEKS) {
+    if (days.length === 0) {
+      return [];
+    }
+
+    const byDate = {};
+    days.forEach(day => {
+      byDate[day.date] = day;
+    });
+
+    // Calendar arithmetic at UTC midnight so DST changes cannot skip a day
+    const [year, month, date] = days[days.length - 1].date.split('-').map(Number);
+    const last = new Date(Date.UTC(year, month - 1, date));
+    const start = new Date(last);
+    start.setUTCDate(start.getUTCDate() - ((last.getUTCDay() + 6) % 7) - (weeks - 1) * 7);
+
+    const columns = [];
+    for (let week = 0; week < weeks; week++) {
+      const cells = [];
+      for (let weekday = 0; weekday < 7; weekday++) {
+        const day = new Date(start);
+        day.setUTCDate(start.getUTCDate() + week * 7 + weekday);
+        const key = day.toISOString().slice(0, 10);
+        cells.push(byDate[key] || { date: key, bullish: 0, bearish: 0, neutral: 0, lean: null, future: day > last });
+      }
+      columns.push(cells);
+    }
+
+    return columns;
+  }
+}
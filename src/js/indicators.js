@@ -0,0 +1,40 @@
+/**
+ * Volatility Indicators
+ * Average daily range and average true range over a daily series (oldest first)
+ */
+
+/**
+ * Mean high-low range of the last `period` candles
+ */
+export function averageDailyRange(candles, period = 14) {
+  const recent = candles.slice(-period);
+
+  if (recent.length === 0) {
+    return null;
+  }
+
+  return recent.reduce((sum, candle) => sum + (candle.high - candle.low), 0) / recent.length;
+}
+
+/**
+ * Mean true range of the last `period` candles. The first candle of the
+ * series has no previous close, so it has no true range of its own and only
+ * supplies the previous close for the second.
+ */
+export function averageTrueRange(candles, period = 14) {
+  if (candles.length < 2) {
+    return null;
+  }
+
+  const trueRanges = candles.slice(1).map((candle, index) => {
+    const previousClose = candles[index].close;
+    return Math.max(
+      candle.high - candle.low,
+      Math.abs(candle.high - previousClose),
+      Math.abs(candle.low - previousClose)
+    );
+  });
+
+  const recent = trueRanges.slice(-period);
+  return recent.reduce((sum, range) => sum + range, 0) / recent.length;
+}
@@ -0,0 +1,171 @@
+/**
+ * Instrument Registry
+ * Tick size, display precision, pip/point definition and contract size per symbol
+ */
+
+const FX_CURRENCIES = ['USD', 'EUR', 'GBP', 'JPY', 'CHF', 'CAD', 'AUD', 'NZD', 'SEK', 'NOK', 'DKK', 'SGD', 'HKD', 'ZAR', 'MXN', 'PLN', 'TRY', 'CNH'];
+
+const INSTRUMENTS = {
+  XAUUSD: { type: 'metal', tickSize: 0.01, precision: 2, pipSize: 0.1, pipLabel: 'pips', contractSize: 100, quoteCurrency: 'USD', entryBufferPips: 20 },
+  XAGUSD: { type: 'metal', tickSize: 0.001, precision: 3, pipSize: 0.01, pipLabel: 'pips', contractSize: 5000, quoteCurrency: 'USD', entryBufferPips: 5 },
+  NAS100: { type: 'index', tickSize: 0.1, precision: 1, pipSize: 1, pipLabel: 'points', contractSize: 1, quoteCurrency: 'USD', entryBufferPips: 10 },
+  US30: { type: 'index', tickSize: 1, precision: 0, pipSize: 1, pipLabel: 'points', contractSize: 1, quoteCurrency: 'USD', entryBufferPips: 20 },
+  SPX500: { type: 'index', tickSize: 0.1, precision: 1, pipSize: 1, pipLabel: 'points', contractSize: 1, quoteCurrency: 'USD', entryBufferPips: 3 },
+  GER40: { type: 'index', tickSize: 0.1, precision: 1, pipSize: 1, pipLabel: 'points', contractSize: 1, quoteCurrency: 'EUR', entryBufferPips: 10 },
+  UK100: { type: 'index', tickSize: 0.1, precision: 1, pipSize: 1, pipLabel: 'points', contractSize: 1, quoteCurrency: 'GBP', entryBufferPips: 5 },
+  BTCUSD: { type: 'crypto', tickSize: 0.01, precision: 2, pipSize: 1, pipLabel: 'points', contractSize: 1, quoteCurrency: 'USD', entryBufferPips: 50 },
+  ETHUSD: { type: 'crypto', tickSize: 0.01, precision: 2, pipSize: 1, pipLabel: 'points', contractSize: 1, quoteCurrency: 'USD', entryBufferPips: 3 },
+  SPY: { type: 'stock', tickSize: 0.01, precision: 2, pipSize: 0.01, pipLabel: 'cents', contractSize: 1, quoteCurrency: 'USD', entryBufferPips: 20 },
+  QQQ: { type: 'stock', tickSize: 0.01, precision: 2, pipSize: 0.01, pipLabel: 'cents', contractSize: 1, quoteCurrency: 'USD', entryBufferPips: 20 }
+};
+
+const ALIASES = {
+  GOLD: 'XAUUSD',
+  SILVER: 'XAGUSD',
+  US100: 'NAS100',
+  USTEC: 'NAS100',
+  NDX: 'NAS100',
+  NQ: 'NAS100',
+  DJ30: 'US30',
+  DJI: 'US30',
+  YM: 'US30',
+  US500: 'SPX500',
+  SPX: 'SPX500',
+  ES: 'SPX500',
+  DE40: 'GER40',
+  DAX: 'GER40',
+  GER30: 'GER40',
+  FTSE: 'UK100',
+  XBTUSD: 'BTCUSD',
+  BTCUSDT: 'BTCUSD',
+  ETHUSDT: 'ETHUSD'
+};
+
+export class Instrument {
+  constructor(spec) {
+    Object.assign(this, spec);
+  }
+
+  /**
+   * Round a price to the nearest tradable tick
+   */
+  round(price) {
+    const value = parseFloat(price);
+    return parseFloat((Math.round(value / this.tickSize) * this.tickSize).toFixed(this.precision));
+  }
+
+  /**
+   * Format a price at display precision
+   */
+  format(price) {
+    return this.round(price).toFixed(this.precision);
+  }
+
+  /**
+   * Convert a distance in pips/points to a price distance
+   */
+  pipsToPrice(pips) {
+    return pips * this.pipSize;
+  }
+
+  /**
+   * Convert a price distance to pips/points
+   */
+  priceToPips(distance) {
+    return Math.abs(distance) / this.pipSize;
+  }
+
+  /**
+   * Plain object for storing with an analysis
+   */
+  toJSON() {
+    return { ...this };
+  }
+}
+
+export class InstrumentRegistry {
+  constructor(custom = {}) {
+    this.instruments = { ...INSTRUMENTS, ...custom };
+  }
+
+  /**
+   * Strip broker prefixes/suffixes: "OANDA:EUR/USD", "EURUSD.pro", "EURUSDm"
+   */
+  normalizeSymbol(symbol) {
+    let normalized = String(symbol || '').toUpperCase().trim();
+    normalized = normalized.split(':').pop().replace(/[/_\s-]/g, '').split('.')[0];
+
+    if (ALIASES[normalized]) {
+      return ALIASES[normalized];
+    }
+
+    if (!this.instruments[normalized] && /^[A-Z]{6}[A-Z]{1,3}$/.test(normalized) && this.isForexPair(normalized.slice(0, 6))) {
+      return normalized.slice(0, 6);
+    }
+
+    return normalized;
+  }
+
+  /**
+   * True for six-letter symbols made of two known currencies
+   */
+  isForexPair(symbol) {
+    return /^[A-Z]{6}$/.test(symbol) &&
+      FX_CURRENCIES.includes(symbol.slice(0, 3)) &&
+      FX_CURRENCIES.includes(symbol.slice(3));
+  }
+
+  /**
+   * True for symbols in the registry (after aliases) and forex pairs
+   */
+  isKnown(symbol) {
+    const normalized = this.normalizeSymbol(symbol);
+    return !!this.instruments[normalized] || this.isForexPair(normalized);
+  }
+
+  /**
+   * Look up an instrument. Unknown symbols are inferred from the price level.
+   */
+  get(symbol, referencePrice) {
+    const normalized = this.normalizeSymbol(symbol);
+
+    if (this.instruments[normalized]) {
+      return new Instrument({ symbol: normalized, known: true, ...this.instruments[normalized] });
+    }
+
+    if (this.isForexPair(normalized)) {
+      const isJpy = normalized.endsWith('JPY');
+      return new Instrument({
+        symbol: normalized,
+        known: true,
+        type: 'forex',
+        tickSize: isJpy ? 0.001 : 0.00001,
+        precision: isJpy ? 3 : 5,
+        pipSize: isJpy ? 0.01 : 0.0001,
+        pipLabel: 'pips',
+        contractSize: 100000,
+        quoteCurrency: normalized.slice(3),
+        entryBufferPips: 5
+      });
+    }
+
+    return this.inferFromPrice(symbol ? String(symbol).toUpperCase() : 'N/A', parseFloat(referencePrice));
+  }
+
+  /**
+   * Best guess for symbols that are not in the registry
+   */
+  inferFromPrice(symbol, price) {
+    const spec = { symbol, known: false, type: 'unknown', contractSize: 1, quoteCurrency: 'USD', pipLabel: 'points' };
+
+    if (price >= 1000) {
+      return new Instrument({ ...spec, tickSize: 0.01, precision: 2, pipSize: 1, entryBufferPips: Math.round(price * 0.0005) });
+    }
+
+    if (price >= 20) {
+      return new Instrument({ ...spec, tickSize: 0.001, precision: 3, pipSize: 0.01, pipLabel: 'pips', entryBufferPips: Math.max(1, Math.round(price * 0.05)) });
+    }
+
+    return new Instrument({ ...spec, tickSize: 0.00001, precision: 5, pipSize: 0.0001, pipLabel: 'pips', contractSize: 100000, entryBufferPips: 5 });
+  }
+}
@@ -1,219 +1,218 @@
-import 'bootstrap/dist/js/bootstrap.bundle';
+import { Modal } from 'bootstrap/dist/js/bootstrap.bundle';
 import { BiasCalculator } from './calculator';
 import { StorageManager } from './storage';
 import { ChartManager } from './chartManager';
+import { BacktestEngine } from './backtest';
+import { OhlcImporter } from './ohlcImporter';
+import { OhlcPasteParser, PASTE_FORMATS } from './ohlcPaste';
+import { ProfileManager, PROFILE_FIELDS, DEFAULT_PROFILE, profileValueProblem } from './profiles';
+import { Instrument, InstrumentRegistry } from './instruments';
+import { RiskCalculator, RISK_LIMITS } from './riskCalculator';
+import { OutcomeGrader, OUTCOME_LABELS } from './outcomeGrader';
+import { TIMEFRAMES, previousPeriods, toTimeframeFields, localDate, inferTradingDates, nextTradingDay, previousTradingDay, parseHolidays } from './timeframes';
+import { SESSIONS } from './sessions';
+import { ZONE_LABELS } from './zoneDetector';
+import { ChecklistManager, CHECKLIST_BIASES, CHECKLIST_LINKS, checklistProgress } from './checklists';
+import { BackupManager, BACKUP_SECTIONS, IMPORT_MODES } from './backup';
+import { HistoryQuery, HISTORY_PAGE_SIZE, entryScenarios, scenarioLabel } from './historyQuery';
+import { diffAnalyses } from './analysisDiff';
+import { HistoryStats } from './historyStats';
+import { ThemeManager, THEME_MODES } from './themes';
+import { PlanExporter, buildDailyPlan } from './planExport';
+import { WatchlistManager, miniChartSvg } from './watchlist';
+import { listProviders, createProvider, fetchRecentCandles } from './dataProviders';
 
 // Initialize storage and chart managers
 const storage = new StorageManager();
 const chartManager = new ChartManager('chartContainer');
+const profileManager = new ProfileManager(storage);
+const checklistManager = new ChecklistManager(storage);
+const outcomeGrader = new OutcomeGrader();
+const backupManager = new BackupManager(storage);
+const themeManager = new ThemeManager(storage);
+const planExporter = new PlanExporter();
+const watchlistManager = new WatchlistManager(storage);
 
 // DOM Elements
 const biasForm = document.getElementById('biasForm');
 const resultsContainer = document.getElementById('resultsContainer');
 const historyContainer = document.getElementById('historyContainer');
+const historyFilters = document.getElementById('historyFilters');
+const statsContainer = document.getElementById('statsContainer');
 const clearHistoryBtn = document.getElementById('clearHistoryBtn');
+const backtestContainer = document.getElementById('backtestContainer');
+const backtestFile = document.getElementById('backtestFile');
+const runBacktestBtn = document.getElementById('runBacktestBtn');
+const importDropzone = document.getElementById('importDropzone');
+const importFile = document.getElementById('importFile');
+const importDateOrder = document.getElementById('importDateOrder');
+const importControls = document.getElementById('importControls');
+const importSymbol = document.getElementById('importSymbol');
+const importDate = document.getElementById('importDate');
+const applyImportBtn = document.getElementById('applyImportBtn');
+const importMessages = document.getElementById('importMessages');
+const pasteText = document.getElementById('pasteText');
+const pastePreview = document.getElementById('pastePreview');
+const pasteInOrder = document.getElementById('pasteInOrder');
+const applyPasteBtn = document.getElementById('applyPasteBtn');
+const intradayFile = document.getElementById('intradayFile');
+const intradayUtcOffset = document.getElementById('intradayUtcOffset');
+const intradaySummary = document.getElementById('intradaySummary');
+const clearIntradayBtn = document.getElementById('clearIntradayBtn');
+const dbpdDateInput = document.getElementById('dbpdDate');
+const pdDateInput = document.getElementById('pdDate');
+const forecastDateLabel = document.getElementById('forecastDateLabel');
+const holidayList = document.getElementById('holidayList');
+const holidaySummary = document.getElementById('holidaySummary');
+const profileSelect = document.getElementById('profileSelect');
+const profileEditorSelect = document.getElementById('profileEditorSelect');
+const profileName = document.getElementById('profileName');
+const profileFields = document.getElementById('profileFields');
+const profileReadOnlyNote = document.getElementById('profileReadOnlyNote');
+const saveProfileBtn = document.getElementById('saveProfileBtn');
+const cloneProfileBtn = document.getElementById('cloneProfileBtn');
+const deleteProfileBtn = document.getElementById('deleteProfileBtn');
+const checklistBody = document.getElementById('checklistBody');
+const checklistEditorSelect = document.getElementById('checklistEditorSelect');
+const checklistName = document.getElementById('checklistName');
+const checklistBias = document.getElementById('checklistBias');
+const checklistProfile = document.getElementById('checklistProfile');
+const checklistItems = document.getElementById('checklistItems');
+const checklistReadOnlyNote = document.getElementById('checklistReadOnlyNote');
+const addChecklistItemBtn = document.getElementById('addChecklistItemBtn');
+const saveChecklistBtn = document.getElementById('saveChecklistBtn');
+const cloneChecklistBtn = document.getElementById('cloneChecklistBtn');
+const deleteChecklistBtn = document.getElementById('deleteChecklistBtn');
+const outcomeModalEl = document.getElementById('outcomeModal');
+const outcomeEntryInfo = document.getElementById('outcomeEntryInfo');
+const outcomeFile = document.getElementById('outcomeFile');
+const outcomeDate = document.getElementById('outcomeDate');
+const outcomeGradePreview = document.getElementById('outcomeGradePreview');
+const saveOutcomeBtn = document.getElementById('saveOutcomeBtn');
+const backupModalEl = document.getElementById('backupModal');
+const exportBackupBtn = document.getElementById('exportBackupBtn');
+const backupFile = document.getElementById('backupFile');
+const backupMode = document.getElementById('backupMode');
+const backupPreview = document.getElementById('backupPreview');
+const importBackupBtn = document.getElementById('importBackupBtn');
+const themeSelect = document.getElementById('themeSelect');
+const watchlistContainer = document.getElementById('watchlistContainer');
+const watchlistFile = document.getElementById('watchlistFile');
+const watchlistPaste = document.getElementById('watchlistPaste');
+const watchlistMessages = document.getElementById('watchlistMessages');
+const providerSelect = document.getElementById('providerSelect');
+const providerFileGroup = document.getElementById('providerFileGroup');
+const providerFile = document.getElementById('providerFile');
+const providerStatus = document.getElementById('providerStatus');
+const fetchCandlesBtn = document.getElementById('fetchCandlesBtn');
+const streamBtn = document.getElementById('streamBtn');
+const OUTCOME_FIELDS = ['open', 'high', 'low', 'close'];
+const HTF_FIELDS = ['2Open', '2High', '2Low', '2Close', '1Open', '1High', '1Low', '1Close'];
+const MAX_LOOKBACK = 60;
+// Daily bars fetched from a data provider - enough for the two previous months
+const PROVIDER_DAYS = 90;
+
+// Last imported file, kept so the date order can be changed without re-selecting it
+let importState = null;
+
+// Last parsed paste box contents
+let pasteResult = null;
+
+// Imported candles behind the D-2/D-1 currently in the form, for the lookback
+let importedLookback = null;
+
+// Today's lower timeframe candles for the session analysis
+let intradayCandles = null;
+
+// Market holidays (YYYY-MM-DD) skipped like weekends when dating candles
+let holidays = [];
+
+// Analysis currently shown in the results panel
+let currentAnalysis = null;
+
+// Checklist rules met by the latest position sizing
+let riskRules = null;
+
+// Pending save of the risk panel inputs, written once typing pauses
+let riskSaveTimer = null;
+
+// Checklist template being edited (working copy until saved)
+let editingChecklist = null;
+
+// Template shown in the checklist card and the history entry its progress is saved to
+let currentChecklist = null;
+let currentEntryId = null;
+
+// History entry whose outcome is being recorded, plus candles imported for it
+let outcomeEntryId = null;
+let outcomeCandles = [];
+
+// History filters, sort and page, mirrored in the URL
+let historyQuery = HistoryQuery.fromSearchParams(new URLSearchParams(window.location.search));
+
+// Watchlist dashboard order and the rows last analysed
+let watchlistSort = { sort: 'strength', order: 'desc' };
+let watchlistRows = [];
+
+// Market data provider in use and the stop function of its live price stream
+let dataProvider = null;
+let stopPriceStream = null;
+
+// Validated backup file and the import planned from it, until confirmed
+let backupImport = null;
+let backupPlan = null;
 
 /**
- * Update checklist based on bias - FIXED SELECTOR
+ * Update checklist based on bias, from the template for this bias and profile
  */
-function updateChecklistByBias(bias) {
-  // Find the checklist card body - more specific selector
-  const checklistCards = document.querySelectorAll('.card');
-  let checklistCard = null;
+async function updateChecklistByBias(bias) {
+  const direction = BiasCalculator.direction(bias);
+  const profileId = currentAnalysis && currentAnalysis.profile ? currentAnalysis.profile.id : (await profileManager.getActiveProfile()).id;
+  const template = await checklistManager.templateFor(direction, profileId);
   
-  // Find the card with "Pre-Trade Checklist" header
-  checklistCards.forEach(card => {
-    const header = card.querySelector('.card-header');
-    if (header && header.textContent.includes('Pre-Trade Checklist')) {
-      checklistCard = card;
-    }
-  });
+  renderChecklist(template);
   
-  if (!checklistCard) {
-    console.error('Checklist card not found');
-    return;
-  }
+  // Load saved state
+  await loadChecklistState();
   
-  const checklistBody = checklistCard.querySelector('.card-body');
+  // Re-apply thresholds from the risk panel to the new list
+  applyRiskRulesToChecklist();
+  applyZoneSuggestions();
+  await saveChecklistState();
   
-  if (!checklistBody) {
-    console.error('Checklist card body not found');
-    return;
-  }
+  console.log('✅ Checklist updated to:', bias, `(${template.name})`);
+}
+
+/**
+ * Render a checklist template into the checklist card
+ */
+function renderChecklist(template) {
+  const style = CHECKLIST_BIASES[template.bias] || { header: '📋', alert: 'alert-secondary' };
   
-  let checklistHTML = '';
+  let checklistHTML = `
+    <div class="alert ${style.alert} mb-3">
+      <strong>${style.header} ${escapeHtml(template.name.toUpperCase())} CHECKLIST</strong>
+    </div>
+    <div id="checklistStatus"></div>
+  `;
   
-  if (bias.includes('BULLISH')) {
-    // BUY Checklist
-    checklistHTML = `
-      <div class="alert alert-success mb-3">
-        <strong>🟢 BUY SETUP CHECKLIST</strong>
-      </div>
-      <div class="form-check mb-2">
-        <input class="form-check-input" type="checkbox" id="check1">
-        <label class="form-check-label" for="check1">
-          <strong>Asian's Low 2H FVG Identified:</strong> Locate unmitigated 2H FVG formed at Asian session low
-        </label>
-      </div>
-      <div class="form-check mb-2">
-        <input class="form-check-input" type="checkbox" id="check2">
-        <label class="form-check-label" for="check2">
-          <strong>London Tap Confirmation:</strong> Price should tap the 2H FVG during London session
-        </label>
-      </div>
-      <div class="form-check mb-2">
-        <input class="form-check-input" type="checkbox" id="check3">
-        <label class="form-check-label" for="check3">
-          <strong>Shift Confirmation Received:</strong> After tap, look for bullish market structure shift (BOS/CHoCH)
-        </label>
-      </div>
-      <div class="form-check mb-2">
-        <input class="form-check-input" type="checkbox" id="check4">
-        <label class="form-check-label" for="check4">
-          <strong>Inner Block Located:</strong> Inside 2H FVG, identify unmitigated lower timeframe order block (15m/5m)
-        </label>
-      </div>
-      <div class="form-check mb-2">
-        <input class="form-check-input" type="checkbox" id="check5">
-        <label class="form-check-label" for="check5">
-          <strong>Good Displacement Present:</strong> Strong bullish candle with minimal wicks after tap
-        </label>
-      </div>
-      <div class="form-check mb-2">
-        <input class="form-check-input" type="checkbox" id="check6">
-        <label class="form-check-label" for="check6">
-          Risk-reward ratio acceptable (min 1:2)
-        </label>
-      </div>
-      <div class="form-check mb-2">
-        <input class="form-check-input" type="checkbox" id="check7">
-        <label class="form-check-label" for="check7">
-          Stop loss below FVG/Order Block
-        </label>
-      </div>
-      <div class="form-check mb-2">
-        <input class="form-check-input" type="checkbox" id="check8">
-        <label class="form-check-label" for="check8">
-          Economic calendar checked for news conflicts
-        </label>
-      </div>
-      <div class="form-check mb-2">
-        <input class="form-check-input" type="checkbox" id="check9">
-        <label class="form-check-label" for="check9">
-          Position size calculated (max 1-2% risk)
-        </label>
-      </div>
-    `;
-  } else if (bias.includes('BEARISH')) {
-    // SELL Checklist
-    checklistHTML = `
-      <div class="alert alert-danger mb-3">
-        <strong>🔴 SELL SETUP CHECKLIST</strong>
-      </div>
-      <div class="form-check mb-2">
-        <input class="form-check-input" type="checkbox" id="check1">
-        <label class="form-check-label" for="check1">
-          <strong>Asian's High 2H FVG Identified:</strong> Locate unmitigated 2H FVG formed at Asian session high
-        </label>
-      </div>
-      <div class="form-check mb-2">
-        <input class="form-check-input" type="checkbox" id="check2">
-        <label class="form-check-label" for="check2">
-          <strong>London Tap Confirmation:</strong> Price should tap the 2H FVG during London session
-        </label>
-      </div>
+  checklistHTML += template.items.map(item => {
+    const link = CHECKLIST_LINKS[item.link];
+    const linkAttr = link ? `data-${link.kind}="${item.link}"` : '';
+    
+    return `
       <div class="form-check mb-2">
-        <input class="form-check-input" type="checkbox" id="check3">
-        <label class="form-check-label" for="check3">
-          <strong>Shift Confirmation Received:</strong> After tap, look for bearish market structure shift (BOS/CHoCH)
-        </label>
-      </div>
-      <div class="form-check mb-2">
-        <input class="form-check-input" type="checkbox" id="check4">
-        <label class="form-check-label" for="check4">
-          <strong>Inner Block Located:</strong> Inside 2H FVG, identify unmitigated lower timeframe order block (15m/5m)
-        </label>
-      </div>
-      <div class="form-check mb-2">
-        <input class="form-check-input" type="checkbox" id="check5">
-        <label class="form-check-label" for="check5">
-          <strong>Good Displacement Present:</strong> Strong bearish candle with minimal wicks after tap
-        </label>
-      </div>
-      <div class="form-check mb-2">
-        <input class="form-check-input" type="checkbox" id="check6">
-        <label class="form-check-label" for="check6">
-          Risk-reward ratio acceptable (min 1:2)
-        </label>
-      </div>
-      <div class="form-check mb-2">
-        <input class="form-check-input" type="checkbox" id="check7">
-        <label class="form-check-label" for="check7">
-          Stop loss above FVG/Order Block
-        </label>
-      </div>
-      <div class="form-check mb-2">
-        <input class="form-check-input" type="checkbox" id="check8">
-        <label class="form-check-label" for="check8">
-          Economic calendar checked for news conflicts
-        </label>
-      </div>
-      <div class="form-check mb-2">
-        <input class="form-check-input" type="checkbox" id="check9">
-        <label class="form-check-label" for="check9">
-          Position size calculated (max 1-2% risk)
-        </label>
-      </div>
-    `;
-  } else {
-    // NEUTRAL - Default Checklist
-    checklistHTML = `
-      <div class="alert alert-warning mb-3">
-        <strong>⚠️ NEUTRAL - GENERAL CHECKLIST</strong>
-      </div>
-      <div class="form-check mb-2">
-        <input class="form-check-input" type="checkbox" id="check1">
-        <label class="form-check-label" for="check1">
-          Bias direction confirmed
-        </label>
-      </div>
-      <div class="form-check mb-2">
-        <input class="form-check-input" type="checkbox" id="check2">
-        <label class="form-check-label" for="check2">
-          Risk-reward ratio acceptable (min 1:2)
-        </label>
-      </div>
-      <div class="form-check mb-2">
-        <input class="form-check-input" type="checkbox" id="check3">
-        <label class="form-check-label" for="check3">
-          Stop loss level identified
-        </label>
-      </div>
-      <div class="form-check mb-2">
-        <input class="form-check-input" type="checkbox" id="check4">
-        <label class="form-check-label" for="check4">
-          Entry point matches order block/FVG
-        </label>
-      </div>
-      <div class="form-check mb-2">
-        <input class="form-check-input" type="checkbox" id="check5">
-        <label class="form-check-label" for="check5">
-          Market structure aligns with bias
-        </label>
-      </div>
-      <div class="form-check mb-2">
-        <input class="form-check-input" type="checkbox" id="check6">
-        <label class="form-check-label" for="check6">
-          Economic calendar checked
-        </label>
-      </div>
-      <div class="form-check mb-2">
-        <input class="form-check-input" type="checkbox" id="check7">
-        <label class="form-check-label" for="check7">
-          Position size calculated
+        <input class="form-check-input" type="checkbox" id="check-${item.id}" data-item="${item.id}" ${item.mandatory ? 'data-mandatory="true"' : ''} ${linkAttr}>
+        <label class="form-check-label" for="check-${item.id}">
+          ${item.title ? `<strong>${escapeHtml(item.title)}</strong> ` : ''}${escapeHtml(item.text)}
+          ${item.mandatory ? '<span class="text-danger" title="Mandatory">*</span>' : ''}
         </label>
       </div>
     `;
+  }).join('');
+  
+  if (template.items.some(item => item.mandatory)) {
+    checklistHTML += '<small class="text-muted"><span class="text-danger">*</span> mandatory</small>';
   }
   
   // Add reset button
@@ -223,57 +222,239 @@ function updateChecklistByBias(bias) {
     </button>
   `;
   
-  // Update the checklist
   checklistBody.innerHTML = checklistHTML;
+  checklistBody.dataset.template = template.id;
+  currentChecklist = template;
   
-  // Re-attach event listeners
-  const newCheckboxes = checklistBody.querySelectorAll('.form-check-input');
-  newCheckboxes.forEach(checkbox => {
+  checklistBody.querySelectorAll('.form-check-input').forEach(checkbox => {
     checkbox.addEventListener('change', saveChecklistState);
   });
-  
-  // Re-attach reset button listener
-  const newResetBtn = document.getElementById('resetChecklistBtn');
-  if (newResetBtn) {
-    newResetBtn.addEventListener('click', handleResetChecklist);
-  }
-  
-  // Load saved state
-  loadChecklistState();
-  
-  console.log('✅ Checklist updated to:', bias);
+  document.getElementById('resetChecklistBtn').addEventListener('click', handleResetChecklist);
 }
 
 /**
  * Initialize the application
  */
-function init() {
-  // Load history
-  renderHistory();
+async function init() {
+  // Open the database, migrating localStorage data on first run
+  try {
+    await storage.ready();
+  } catch (error) {
+    console.error('Error opening database:', error);
+    alert('❌ Saved data could not be loaded: ' + error.message);
+  }
+  
+  // Theme for the page and the chart, following the OS unless overridden
+  themeSelect.innerHTML = Object.keys(THEME_MODES)
+    .map(mode => `<option value="${mode}">${THEME_MODES[mode]}</option>`)
+    .join('');
+  themeManager.onChange((key, theme) => chartManager.setTheme(theme.chart));
+  try {
+    themeSelect.value = await themeManager.load();
+  } catch (error) {
+    console.error('Error loading theme:', error);
+    themeManager.apply();
+  }
+  themeSelect.addEventListener('change', handleThemeChange);
+  
+  // Chart layers hidden last time
+  try {
+    chartManager.hiddenLayers = new Set(await storage.getSetting('hiddenChartLayers', []));
+  } catch (error) {
+    console.error('Error loading chart layers:', error);
+  }
+  
+  // Market holidays, then today's D-2 / D-1 dates
+  await loadHolidays();
+  fillTradingDates();
+  
+  // Load history with the filters from the URL
+  fillHistoryFilters();
+  try {
+    await renderHistory();
+  } catch (error) {
+    console.error('Error loading history:', error);
+  }
   
-  // Load checklist state
-  loadChecklistState();
+  // Load strategy profiles
+  try {
+    await renderProfileOptions();
+  } catch (error) {
+    console.error('Error loading profiles:', error);
+  }
+  
+  // Market data provider chosen last time
+  await loadDataProvider();
+  
+  // Watchlist dashboard with the active profile
+  renderWatchlist();
+  
+  // Neutral checklist until a forecast picks a template
+  try {
+    await updateChecklistByBias('NEUTRAL');
+  } catch (error) {
+    console.error('Error loading checklist:', error);
+  }
   
   // Event listeners
   biasForm.addEventListener('submit', handleFormSubmit);
+  biasForm.addEventListener('reset', () => {
+    importedLookback = null;
+    clearIntraday();
+    // Inputs are cleared after this event - restore the holidays and re-infer the dates then
+    setTimeout(() => {
+      holidayList.value = holidays.join('\n');
+      fillTradingDates();
+      renderPastePreview();
+    });
+  });
+  
+  // Trading dates
+  pdDateInput.addEventListener('change', () => {
+    if (pdDateInput.value) {
+      dbpdDateInput.value = previousTradingDay(pdDateInput.value, holidays);
+    }
+    renderForecastDate();
+  });
+  holidayList.addEventListener('change', handleHolidayChange);
   clearHistoryBtn.addEventListener('click', handleClearHistory);
   
-  const resetChecklistBtn = document.getElementById('resetChecklistBtn');
-  if (resetChecklistBtn) {
-    resetChecklistBtn.addEventListener('click', handleResetChecklist);
-  }
+  // History filters, sorting and paging
+  historyFilters.addEventListener('input', handleHistoryFilter);
+  historyFilters.addEventListener('submit', e => e.preventDefault());
+  historyFilters.addEventListener('reset', e => {
+    e.preventDefault();
+    setHistoryQuery(new HistoryQuery({ sort: historyQuery.sort, order: historyQuery.order }));
+    fillHistoryFilters();
+  });
+  historyContainer.addEventListener('click', handleHistoryTableClick);
   
-  // Checklist auto-save
-  const checkboxes = document.querySelectorAll('.form-check-input');
-  checkboxes.forEach(checkbox => {
-    checkbox.addEventListener('change', saveChecklistState);
+  // Watchlist
+  document.getElementById('watchlistAddFormBtn').addEventListener('click', handleWatchlistAddForm);
+  document.getElementById('watchlistClearBtn').addEventListener('click', handleWatchlistClear);
+  document.getElementById('watchlistRefreshBtn').addEventListener('click', handleWatchlistRefresh);
+  document.getElementById('watchlistPasteBtn').addEventListener('click', () => addWatchlistText(watchlistPaste.value, ''));
+  watchlistFile.addEventListener('change', () => {
+    const file = watchlistFile.files[0];
+    if (!file) {
+      return;
+    }
+    const reader = new FileReader();
+    reader.onload = () => addWatchlistText(reader.result, file.name);
+    reader.onerror = () => alert('❌ Watchlist: Could not read ' + file.name);
+    reader.readAsText(file);
+  });
+  watchlistContainer.addEventListener('click', handleWatchlistClick);
+  
+  // Chart layer toggles are re-rendered with every chart
+  resultsContainer.addEventListener('change', handleChartLayerToggle);
+  
+  runBacktestBtn.addEventListener('click', handleRunBacktest);
+  
+  // File import
+  importFile.addEventListener('change', () => {
+    if (importFile.files[0]) {
+      readImportFile(importFile.files[0]);
+    }
+  });
+  importDropzone.addEventListener('dragover', e => {
+    e.preventDefault();
+    importDropzone.classList.add('dragover');
+  });
+  importDropzone.addEventListener('dragleave', () => {
+    importDropzone.classList.remove('dragover');
+  });
+  importDropzone.addEventListener('drop', e => {
+    e.preventDefault();
+    importDropzone.classList.remove('dragover');
+    if (e.dataTransfer.files[0]) {
+      readImportFile(e.dataTransfer.files[0]);
+    }
+  });
+  importDateOrder.addEventListener('change', () => {
+    if (importState) {
+      handleImportText(importState.text, importState.fileName);
+    }
+    renderPastePreview();
+  });
+  importSymbol.addEventListener('change', populateImportDates);
+  applyImportBtn.addEventListener('click', handleApplyImport);
+  
+  // Paste box
+  pasteText.addEventListener('input', renderPastePreview);
+  pasteInOrder.addEventListener('change', renderPastePreview);
+  applyPasteBtn.addEventListener('click', handleApplyPaste);
+  
+  // Intraday session candles
+  intradayFile.addEventListener('change', () => {
+    if (intradayFile.files[0]) {
+      readIntradayFile(intradayFile.files[0]);
+    }
+  });
+  clearIntradayBtn.addEventListener('click', clearIntraday);
+  
+  // Market data provider
+  providerSelect.addEventListener('change', handleProviderChange);
+  providerFile.addEventListener('change', handleProviderFiles);
+  fetchCandlesBtn.addEventListener('click', handleFetchCandles);
+  streamBtn.addEventListener('click', togglePriceStream);
+  
+  // Strategy profiles
+  profileSelect.addEventListener('change', async () => {
+    try {
+      await profileManager.setActiveProfile(profileSelect.value);
+      renderWatchlist();
+    } catch (error) {
+      console.error('Error switching profile:', error);
+      alert('❌ Profile could not be selected: ' + error.message);
+    }
+  });
+  profileEditorSelect.addEventListener('change', () => renderProfileEditor(profileEditorSelect.value));
+  saveProfileBtn.addEventListener('click', handleSaveProfile);
+  cloneProfileBtn.addEventListener('click', handleCloneProfile);
+  deleteProfileBtn.addEventListener('click', handleDeleteProfile);
+  document.getElementById('profilesModal').addEventListener('show.bs.modal', () => {
+    renderProfileEditor(profileSelect.value);
+  });
+  
+  // Outcome recording
+  outcomeFile.addEventListener('change', handleOutcomeFile);
+  outcomeDate.addEventListener('change', () => fillOutcomeFromCandle(outcomeDate.value));
+  OUTCOME_FIELDS.forEach(field => {
+    document.getElementById(`outcome${capitalize(field)}`).addEventListener('input', renderOutcomePreview);
+  });
+  saveOutcomeBtn.addEventListener('click', handleSaveOutcome);
+  
+  // Checklist templates
+  checklistEditorSelect.addEventListener('change', () => renderChecklistEditor(checklistEditorSelect.value));
+  checklistItems.addEventListener('click', handleChecklistItemAction);
+  addChecklistItemBtn.addEventListener('click', handleAddChecklistItem);
+  saveChecklistBtn.addEventListener('click', handleSaveChecklist);
+  cloneChecklistBtn.addEventListener('click', handleCloneChecklist);
+  deleteChecklistBtn.addEventListener('click', handleDeleteChecklist);
+  document.getElementById('checklistsModal').addEventListener('show.bs.modal', () => {
+    renderChecklistEditor(checklistBody.dataset.template);
+  });
+  
+  // Backup export / import
+  backupMode.innerHTML = Object.keys(IMPORT_MODES)
+    .map(mode => `<option value="${mode}">${IMPORT_MODES[mode]}</option>`)
+    .join('');
+  exportBackupBtn.addEventListener('click', handleExportBackup);
+  backupFile.addEventListener('change', readBackupFile);
+  backupMode.addEventListener('change', renderBackupPreview);
+  importBackupBtn.addEventListener('click', handleImportBackup);
+  backupModalEl.addEventListener('show.bs.modal', () => {
+    backupFile.value = '';
+    backupImport = null;
+    renderBackupPreview();
   });
 }
 
 /**
  * Handle form submission
  */
-function handleFormSubmit(e) {
+async function handleFormSubmit(e) {
   e.preventDefault();
   
   // Get form data with OHLC
@@ -286,386 +467,2821 @@ function handleFormSubmit(e) {
     pdHigh: document.getElementById('pdHigh').value,
     pdLow: document.getElementById('pdLow').value,
     pdClose: document.getElementById('pdClose').value,
-    symbol: document.getElementById('symbol').value || 'N/A'
+    symbol: document.getElementById('symbol').value || 'N/A',
+    ...readTradingDates()
   };
+  
+  // Optional weekly / monthly candles
+  Object.values(TIMEFRAMES).forEach(({ prefix }) => {
+    HTF_FIELDS.forEach(field => {
+      const id = `${prefix}${field}`;
+      const value = document.getElementById(id).value;
+      if (value !== '') {
+        formData[id] = value;
+      }
+    });
+  });
+
+  // Optional intraday candles for the session analysis
+  if (intradayCandles) {
+    formData.intraday = intradayCandles;
+    formData.intradayUtcOffset = parseFloat(intradayUtcOffset.value) || 0;
+  }
 
   // Validate inputs
   if (!validateInputs(formData)) {
     return;
   }
 
-  // Calculate bias FORECAST
-  const calculator = new BiasCalculator(formData);
-  const analysis = calculator.calculateBias();
-  
-  // Display results
-  displayResults(analysis, formData);
+  // Calculate bias FORECAST with the active strategy profile
+  let profile = DEFAULT_PROFILE;
+  try {
+    profile = await profileManager.getActiveProfile();
+  } catch (error) {
+    console.error('Error loading the active profile:', error);
+  }
   
-  // ✅ UPDATE CHECKLIST BASED ON BIAS - with delay to ensure DOM is ready
-  setTimeout(() => {
-    updateChecklistByBias(analysis.bias);
-  }, 100);
+  const lookback = getLookbackCandles(formData, BiasCalculator.historyLength(profile));
+  if (lookback) {
+    formData.candles = lookback;
+  }
   
-  // Save to history
-  storage.saveAnalysis(formData, analysis);
-  renderHistory();
+  const calculator = new BiasCalculator(formData, profile);
+  const analysis = calculator.calculateBias();
   
-  // Scroll to results
+  // Display results first - saving needs storage, which can be unavailable
+  currentEntryId = null;
+  await displayResults(analysis, formData);
   resultsContainer.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+  
+  // Save to history - checklist progress is stored on this entry
+  try {
+    const entry = await storage.saveAnalysis(formData, analysis, profile);
+    currentEntryId = entry.id;
+  } catch (error) {
+    console.error('Error saving analysis:', error);
+    resultsContainer.insertAdjacentHTML('afterbegin', `
+      <div class="alert alert-warning small py-2">⚠️ This forecast was not saved to history: ${escapeHtml(error.message)}</div>
+    `);
+  }
+  
+  // Fresh checklist for this bias, with the risk panel's rules re-applied
+  try {
+    await updateChecklistByBias(analysis.bias);
+    await renderHistory();
+  } catch (error) {
+    console.error('Error updating checklist and history:', error);
+  }
 }
 
 /**
- * Validate form inputs
+ * Read a dropped or selected OHLC file
  */
-function validateInputs(data) {
-  // Validate D-2
-  const dbpdH = parseFloat(data.dbpdHigh);
-  const dbpdL = parseFloat(data.dbpdLow);
-  const dbpdO = parseFloat(data.dbpdOpen);
-  const dbpdC = parseFloat(data.dbpdClose);
+function readImportFile(file) {
+  const reader = new FileReader();
+  reader.onload = () => handleImportText(reader.result, file.name);
+  reader.onerror = () => alert('❌ Import: Could not read ' + file.name);
+  reader.readAsText(file);
+}
+
+/**
+ * Parse imported text and offer symbol / reference date choices
+ */
+function handleImportText(text, fileName) {
+  const importer = new OhlcImporter({ dateOrder: importDateOrder.value });
+  const result = importer.parse(text, fileName);
   
-  // Check if values are valid numbers
-  if (isNaN(dbpdH) || isNaN(dbpdL) || isNaN(dbpdO) || isNaN(dbpdC)) {
-    alert('❌ Day Before Previous: All fields must contain valid numbers');
-    return false;
-  }
+  importState = { text, fileName, ...result };
+  renderImportMessages(result);
   
-  if (dbpdH <= dbpdL) {
-    alert('❌ Day Before Previous: High must be greater than Low\n\nHigh: ' + data.dbpdHigh + '\nLow: ' + data.dbpdLow);
-    return false;
+  if (result.candles.length < 2) {
+    importControls.classList.add('d-none');
+    return;
   }
   
-  if (dbpdO < dbpdL || dbpdO > dbpdH) {
-    alert('❌ Day Before Previous: Open must be within High and Low range\n\nOpen: ' + data.dbpdOpen + '\nRange: ' + data.dbpdLow + ' - ' + data.dbpdHigh);
-    return false;
+  importSymbol.innerHTML = result.symbols
+    .map(symbol => `<option value="${escapeHtml(symbol)}">${escapeHtml(symbol)}</option>`)
+    .join('');
+  populateImportDates();
+  importControls.classList.remove('d-none');
+}
+
+/**
+ * List every day that has a previous day as a possible D-1
+ */
+function populateImportDates() {
+  if (!importState) {
+    return;
   }
   
-  if (dbpdC < dbpdL || dbpdC > dbpdH) {
-    alert('❌ Day Before Previous: Close must be within High and Low range\n\nClose: ' + data.dbpdClose + '\nRange: ' + data.dbpdLow + ' - ' + data.dbpdHigh);
-    return false;
+  const series = OhlcImporter.seriesFor(importState.candles, importSymbol.value);
+  const options = [];
+  
+  for (let i = series.length - 1; i >= 1; i--) {
+    options.push(`<option value="${escapeHtml(series[i].date)}">${escapeHtml(series[i].date)} (D-2: ${escapeHtml(series[i - 1].date)})</option>`);
   }
   
-  // Validate D-1
-  const pdH = parseFloat(data.pdHigh);
-  const pdL = parseFloat(data.pdLow);
-  const pdO = parseFloat(data.pdOpen);
-  const pdC = parseFloat(data.pdClose);
+  importDate.innerHTML = options.join('') || '<option value="">Need at least 2 days</option>';
+}
+
+/**
+ * Show import summary, warnings and per-row errors
+ */
+function renderImportMessages(result) {
+  let html = '';
   
-  // Check if values are valid numbers
-  if (isNaN(pdH) || isNaN(pdL) || isNaN(pdO) || isNaN(pdC)) {
-    alert('❌ Previous Day: All fields must contain valid numbers');
-    return false;
+  if (result.candles.length > 0) {
+    html += `<div class="alert alert-success small py-2 mb-2">✅ ${result.candles.length} bars imported (${escapeHtml(result.symbols.join(', '))})</div>`;
   }
   
-  if (pdH <= pdL) {
-    alert('❌ Previous Day: High must be greater than Low\n\nHigh: ' + data.pdHigh + '\nLow: ' + data.pdLow);
-    return false;
+  result.warnings.forEach(warning => {
+    html += `<div class="alert alert-warning small py-2 mb-2">⚠️ ${escapeHtml(warning)}</div>`;
+  });
+  
+  if (result.errors.length > 0) {
+    html += `
+      <div class="alert alert-danger small py-2 mb-0 import-errors">
+        <strong>❌ ${result.errors.length} row(s) skipped:</strong>
+        <ul class="mb-0 ps-3">
+          ${result.errors.map(error => `<li>Row ${error.row}: ${escapeHtml(error.message)}</li>`).join('')}
+        </ul>
+      </div>
+    `;
   }
   
-  if (pdO < pdL || pdO > pdH) {
-    alert('❌ Previous Day: Open must be within High and Low range\n\nOpen: ' + data.pdOpen + '\nRange: ' + data.pdLow + ' - ' + data.pdHigh);
-    return false;
+  importMessages.innerHTML = html;
+}
+
+/**
+ * Fill the form from the chosen reference day and run the forecast
+ */
+function handleApplyImport() {
+  if (!importState || !importDate.value) {
+    return;
   }
   
-  if (pdC < pdL || pdC > pdH) {
-    alert('❌ Previous Day: Close must be within High and Low range\n\nClose: ' + data.pdClose + '\nRange: ' + data.pdLow + ' - ' + data.pdHigh);
-    return false;
+  const series = OhlcImporter.seriesFor(importState.candles, importSymbol.value);
+  const index = series.findIndex(candle => candle.date === importDate.value);
+  
+  if (index < 1) {
+    alert('❌ Import: The reference day needs a previous day in the file');
+    return;
   }
   
-  return true;
+  const pd = series[index];
+  applyDailySeries(series.slice(0, index + 1), pd.symbol !== 'N/A' ? pd.symbol : '');
 }
 
 /**
- * Display analysis results
+ * Fill the form from daily candles ending with D-1 and run the forecast
  */
-function displayResults(analysis, data) {
-  const biasClass = analysis.bias.includes('BULLISH') ? 'bullish' : 
-                   analysis.bias.includes('BEARISH') ? 'bearish' : 'neutral';
+function applyDailySeries(series, symbol) {
+  const dbpd = series[series.length - 2];
+  const pd = series[series.length - 1];
   
-  const badgeClass = analysis.bias.includes('BULLISH') ? 'bg-success' : 
-                    analysis.bias.includes('BEARISH') ? 'bg-danger' : 'bg-warning text-dark';
+  // Older bars feed the N-candle lookback while the form still shows these two days
+  importedLookback = series.slice(-MAX_LOOKBACK);
   
-  const icon = analysis.bias.includes('BULLISH') ? '📈' : 
-              analysis.bias.includes('BEARISH') ? '📉' : '↔️';
+  fillFormCandles(dbpd, pd, symbol);
+  
+  // Weekly / monthly candles built from the same series, when it goes back far enough
+  Object.keys(TIMEFRAMES).forEach(timeframe => {
+    const periods = previousPeriods(series, pd.date, timeframe, 2, holidays);
+    const fields = periods.length === 2 ? toTimeframeFields(timeframe, periods[0], periods[1]) : {};
+    
+    HTF_FIELDS.forEach(field => {
+      const id = `${TIMEFRAMES[timeframe].prefix}${field}`;
+      document.getElementById(id).value = fields[id] ?? '';
+    });
+  });
+  
+  biasForm.requestSubmit();
+}
 
-  let html = `
+/**
+ * Parse the paste box and preview the D-2 / D-1 it found, with anything
+ * that stops it from filling the form
+ */
+function renderPastePreview() {
+  pasteResult = new OhlcPasteParser({ dateOrder: importDateOrder.value, undatedInOrder: pasteInOrder.checked }).parse(pasteText.value, holidays);
+  applyPasteBtn.disabled = !pasteResult.pd || pasteResult.errors.length > 0;
+  
+  if (!pasteResult.format) {
+    pastePreview.innerHTML = '';
+    return;
+  }
+  
+  const day = (label, candle) => `
+    <tr>
+      <th>${label}</th>
+      <td>${candle.date ? formatTradingDate(candle.date) : '<span class="text-muted">no date</span>'}</td>
+      ${OUTCOME_FIELDS.map(field => `<td>${candle[field]}</td>`).join('')}
+    </tr>
+  `;
+  let html = `<small class="text-muted d-block mb-1">Read as ${PASTE_FORMATS[pasteResult.format]}${pasteResult.symbol ? ` · ${escapeHtml(pasteResult.symbol)}` : ''}</small>`;
+  
+  if (pasteResult.pd && pasteResult.errors.length === 0) {
+    html += `
+      <div class="table-responsive">
+        <table class="table table-sm small mb-2">
+          <thead><tr><th></th><th>Date</th><th>Open</th><th>High</th><th>Low</th><th>Close</th></tr></thead>
+          <tbody>${day('D-2', pasteResult.dbpd)}${day('D-1', pasteResult.pd)}</tbody>
+        </table>
+      </div>
+    `;
+  }
+  
+  pasteResult.warnings.forEach(warning => {
+    html += `<div class="alert alert-warning small py-2 mb-2">⚠️ ${escapeHtml(warning)}</div>`;
+  });
+  
+  if (pasteResult.errors.length > 0) {
+    html += `
+      <div class="alert alert-danger small py-2 mb-2">
+        <strong>❌ Not filled:</strong>
+        <ul class="mb-0 ps-3">
+          ${pasteResult.errors.map(error => `<li>${escapeHtml(error)}</li>`).join('')}
+        </ul>
+      </div>
+    `;
+  }
+  
+  pastePreview.innerHTML = html;
+}
+
+/**
+ * Put the previewed D-2 / D-1 into the form
+ */
+function handleApplyPaste() {
+  if (!pasteResult || !pasteResult.pd || pasteResult.errors.length > 0) {
+    return;
+  }
+  
+  clearImportedCandles();
+  fillFormCandles(pasteResult.dbpd, pasteResult.pd, pasteResult.symbol || document.getElementById('symbol').value);
+}
+
+/**
+ * Forget the lookback, intraday and higher timeframe candles that came with
+ * an earlier import, before the form gets unrelated D-2 / D-1
+ */
+function clearImportedCandles() {
+  importedLookback = null;
+  clearIntraday();
+  Object.values(TIMEFRAMES).forEach(({ prefix }) => {
+    HTF_FIELDS.forEach(field => {
+      document.getElementById(`${prefix}${field}`).value = '';
+    });
+  });
+}
+
+/**
+ * Load the saved holiday list into the form
+ */
+async function loadHolidays() {
+  try {
+    holidays = await storage.getSetting('holidays', []);
+  } catch (error) {
+    console.error('Error loading holidays:', error);
+  }
+  
+  holidayList.value = holidays.join('\n');
+  renderHolidaySummary([]);
+}
+
+/**
+ * Save the holiday list, keeping only valid dates
+ */
+async function handleHolidayChange() {
+  const parsed = parseHolidays(holidayList.value);
+  holidays = parsed.holidays;
+  renderHolidaySummary(parsed.invalid);
+  renderForecastDate();
+  renderWatchlist();
+  
+  try {
+    await storage.saveSetting('holidays', holidays);
+  } catch (error) {
+    console.error('Error saving holidays:', error);
+    alert('❌ Holidays could not be saved: ' + error.message);
+  }
+}
+
+/**
+ * Holiday count and any entries that were not dates
+ */
+function renderHolidaySummary(invalid) {
+  holidaySummary.textContent = holidays.length > 0 ? `${holidays.length} holiday(s) saved` : 'No holidays saved';
+  
+  if (invalid.length > 0) {
+    holidaySummary.textContent += ` · ignored (not YYYY-MM-DD): ${invalid.join(', ')}`;
+  }
+}
+
+/**
+ * Fill empty D-2 / D-1 dates with the last two trading days before today's session
+ */
+function fillTradingDates() {
+  const dates = inferTradingDates(localDate(), holidays);
+  
+  if (!pdDateInput.value) {
+    pdDateInput.value = dates.pdDate;
+  }
+  if (!dbpdDateInput.value) {
+    dbpdDateInput.value = previousTradingDay(pdDateInput.value, holidays);
+  }
+  
+  renderForecastDate();
+}
+
+/**
+ * D-2, D-1 and forecast dates from the form, inferring any left empty
+ */
+function readTradingDates() {
+  const pdDate = pdDateInput.value || inferTradingDates(localDate(), holidays).pdDate;
+  
+  return {
+    dbpdDate: dbpdDateInput.value || previousTradingDay(pdDate, holidays),
+    pdDate,
+    forecastDate: nextTradingDay(pdDate, holidays)
+  };
+}
+
+/**
+ * Trading day shown with its weekday, e.g. "Mon, Oct 19, 2026"
+ */
+function formatTradingDate(date) {
+  return new Date(`${date}T00:00:00`).toLocaleDateString(undefined, {
+    weekday: 'short',
+    year: 'numeric',
+    month: 'short',
+    day: 'numeric'
+  });
+}
+
+/**
+ * Name the session being forecast under the D-1 inputs
+ */
+function renderForecastDate() {
+  forecastDateLabel.textContent = pdDateInput.value
+    ? `Forecasting ${formatTradingDate(nextTradingDay(pdDateInput.value, holidays))}`
+    : '';
+}
+
+/**
+ * Put a D-2 / D-1 pair and symbol into the form
+ */
+function fillFormCandles(dbpd, pd, symbol) {
+  ['open', 'high', 'low', 'close'].forEach(field => {
+    document.getElementById(`dbpd${capitalize(field)}`).value = dbpd[field];
+    document.getElementById(`pd${capitalize(field)}`).value = pd[field];
+  });
+  document.getElementById('symbol').value = symbol;
+  
+  if (pd.date) {
+    dbpdDateInput.value = dbpd.date;
+    pdDateInput.value = pd.date;
+  }
+  renderForecastDate();
+}
+
+/**
+ * Read an intraday export for the session analysis
+ */
+function readIntradayFile(file) {
+  const reader = new FileReader();
+  reader.onload = () => handleIntradayText(reader.result, file.name);
+  reader.onerror = () => alert('❌ Intraday: Could not read ' + file.name);
+  reader.readAsText(file);
+}
+
+/**
+ * Keep the intraday candles for the form's symbol (or the file's only symbol)
+ */
+function handleIntradayText(text, fileName) {
+  const result = new OhlcImporter({ dateOrder: importDateOrder.value, intraday: true }).parse(text, fileName);
+  
+  if (result.candles.length === 0) {
+    clearIntraday();
+    alert('❌ Intraday: ' + (result.errors[0] ? result.errors[0].message : 'No candles found'));
+    return;
+  }
+  
+  const formSymbol = document.getElementById('symbol').value.trim().toUpperCase();
+  const symbol = result.symbols.includes(formSymbol) ? formSymbol : result.symbols[0];
+  
+  useIntradayCandles(OhlcImporter.seriesFor(result.candles, symbol), symbol,
+    result.errors.length > 0 ? ` (${result.errors.length} row(s) skipped)` : '');
+}
+
+/**
+ * Use intraday candles in the next analysis and summarise them
+ */
+function useIntradayCandles(candles, symbol, note = '') {
+  intradayCandles = candles.map(({ date, time, open, high, low, close }) => ({ date, time, open, high, low, close }));
+  
+  const first = intradayCandles[0];
+  const last = intradayCandles[intradayCandles.length - 1];
+  intradaySummary.textContent = `✅ ${intradayCandles.length} ${symbol} bars, ${first.date} ${first.time} → ${last.date} ${last.time}${note}`;
+  clearIntradayBtn.classList.remove('d-none');
+}
+
+/**
+ * Forget loaded intraday candles
+ */
+function clearIntraday() {
+  intradayCandles = null;
+  intradayFile.value = '';
+  intradaySummary.textContent = 'No intraday candles loaded';
+  clearIntradayBtn.classList.add('d-none');
+}
+
+/**
+ * List the registered data providers and connect the saved one
+ */
+async function loadDataProvider() {
+  const providers = listProviders();
+  let id = providers[0].id;
+  
+  providerSelect.innerHTML = providers
+    .map(provider => `<option value="${provider.id}">${escapeHtml(provider.label)}</option>`)
+    .join('');
+  
+  try {
+    id = await storage.getSetting('dataProvider', id);
+  } catch (error) {
+    console.error('Error loading data provider:', error);
+  }
+  
+  selectDataProvider(providers.some(provider => provider.id === id) ? id : providers[0].id);
+}
+
+/**
+ * Swap in a new instance of a provider and show what it can do
+ */
+function selectDataProvider(id) {
+  if (stopPriceStream) {
+    stopPriceStream();
+  }
+  if (dataProvider) {
+    dataProvider.disconnect();
+  }
+  
+  dataProvider = createProvider(id);
+  providerSelect.value = id;
+  providerFile.value = '';
+  providerFileGroup.classList.toggle('d-none', !dataProvider.capabilities.files);
+  streamBtn.disabled = !dataProvider.capabilities.streaming;
+  providerStatus.textContent = dataProvider.capabilities.files ? 'No files loaded' : '';
+}
+
+/**
+ * Switch provider and remember the choice
+ */
+async function handleProviderChange() {
+  selectDataProvider(providerSelect.value);
+  
+  try {
+    await storage.saveSetting('dataProvider', providerSelect.value);
+  } catch (error) {
+    console.error('Error saving data provider:', error);
+  }
+}
+
+/**
+ * Hand selected CSV / JSON files to a file-based provider
+ */
+async function handleProviderFiles() {
+  const files = [...providerFile.files];
+  const loaded = [];
+  let skipped = 0;
+  
+  for (const file of files) {
+    try {
+      const result = dataProvider.loadFile(await file.text(), file.name);
+      loaded.push(`${result.candles} ${result.kind} bars (${result.symbols.join(', ') || 'no symbol'})`);
+      skipped += result.errors.length;
+    } catch (error) {
+      console.error('Error reading provider file:', error);
+      alert('❌ Data provider: Could not read ' + file.name);
+    }
+  }
+  
+  const symbols = await dataProvider.listSymbols();
+  providerStatus.textContent = `✅ ${loaded.join(' · ')} · symbols: ${symbols.join(', ') || 'none'}` +
+    (skipped > 0 ? ` (${skipped} row(s) skipped)` : '');
+}
+
+/**
+ * Pull D-2 / D-1 (plus lookback and today's intraday candles when the
+ * provider has them) for the form's symbol and run the forecast
+ */
+async function handleFetchCandles() {
+  const symbol = document.getElementById('symbol').value.trim().toUpperCase();
+  
+  if (!symbol) {
+    alert('❌ Data provider: Enter a symbol first');
+    return;
+  }
+  
+  const { forecastDate } = readTradingDates();
+  fetchCandlesBtn.disabled = true;
+  providerStatus.textContent = `Fetching ${symbol}...`;
+  
+  try {
+    const series = await fetchRecentCandles(dataProvider, symbol, forecastDate, PROVIDER_DAYS, holidays);
+    const intraday = dataProvider.capabilities.intraday ? await dataProvider.getIntradayCandles(symbol, forecastDate) : [];
+    
+    if (intraday.length > 0) {
+      useIntradayCandles(intraday, symbol, ` from ${dataProvider.label}`);
+    } else {
+      clearIntraday();
+    }
+    
+    providerStatus.textContent = `✅ ${series.length} daily bars up to ${series[series.length - 1].date}` +
+      (intraday.length > 0 ? `, ${intraday.length} intraday bars` : '');
+    applyDailySeries(series, symbol);
+  } catch (error) {
+    console.error('Error fetching candles:', error);
+    providerStatus.textContent = '';
+    alert('❌ Data provider: ' + error.message);
+  } finally {
+    fetchCandlesBtn.disabled = false;
+  }
+}
+
+/**
+ * Start or stop streaming the form symbol's price into the provider status
+ */
+function togglePriceStream() {
+  if (stopPriceStream) {
+    stopPriceStream();
+    return;
+  }
+  
+  const symbol = document.getElementById('symbol').value.trim().toUpperCase();
+  if (!symbol) {
+    alert('❌ Data provider: Enter a symbol first');
+    return;
+  }
+  
+  const registry = new InstrumentRegistry();
+  let instrument = null;
+  
+  try {
+    const unsubscribe = dataProvider.subscribe(symbol, tick => {
+      instrument = instrument || registry.get(tick.symbol, tick.price);
+      providerStatus.textContent = `📡 ${tick.symbol} ${instrument.format(tick.price)} · ${new Date(tick.time).toLocaleTimeString()}`;
+    });
+    
+    stopPriceStream = () => {
+      unsubscribe();
+      stopPriceStream = null;
+      streamBtn.classList.remove('active');
+      streamBtn.setAttribute('aria-pressed', 'false');
+      providerStatus.textContent = `Stopped streaming ${symbol}`;
+    };
+  } catch (error) {
+    alert('❌ Data provider: ' + error.message);
+    return;
+  }
+  
+  streamBtn.classList.add('active');
+  streamBtn.setAttribute('aria-pressed', 'true');
+  providerStatus.textContent = `📡 Waiting for ${symbol} prices...`;
+}
+
+/**
+ * Fill the profile selector in the form
+ */
+async function renderProfileOptions() {
+  const activeId = (await profileManager.getActiveProfile()).id;
+  
+  profileSelect.innerHTML = (await profileManager.getProfiles())
+    .map(profile => `<option value="${profile.id}" ${profile.id === activeId ? 'selected' : ''}>${escapeHtml(profile.name)}${profile.builtIn ? '' : ' ✏️'}</option>`)
+    .join('');
+}
+
+/**
+ * Render the settings form for one profile
+ */
+async function renderProfileEditor(id) {
+  const profiles = await profileManager.getProfiles();
+  const profile = profiles.find(item => item.id === id) || await profileManager.getActiveProfile();
+  const readOnly = profile.builtIn;
+  
+  profileEditorSelect.innerHTML = profiles
+    .map(item => `<option value="${item.id}" ${item.id === profile.id ? 'selected' : ''}>${escapeHtml(item.name)}</option>`)
+    .join('');
+  
+  profileName.value = profile.name;
+  profileName.disabled = readOnly;
+  saveProfileBtn.disabled = readOnly;
+  deleteProfileBtn.disabled = readOnly;
+  profileReadOnlyNote.classList.toggle('d-none', !readOnly);
+  
+  profileFields.innerHTML = Object.keys(PROFILE_FIELDS).map(group => `
+    <h6 class="fw-bold mt-2">${PROFILE_FIELDS[group].label}</h6>
+    <div class="row g-2 mb-2">
+      ${Object.keys(PROFILE_FIELDS[group].fields).map(field => `
+        <div class="col-md-6">
+          <label for="profile-${group}-${field}" class="form-label small mb-1">${PROFILE_FIELDS[group].fields[field]}</label>
+          <input type="number" step="any" class="form-control form-control-sm" 
+                 id="profile-${group}-${field}" data-group="${group}" data-field="${field}"
+                 value="${profile[group][field]}" ${readOnly ? 'disabled' : ''}>
+        </div>
+      `).join('')}
+    </div>
+  `).join('');
+}
+
+/**
+ * Save the profile currently shown in the editor
+ */
+async function handleSaveProfile() {
+  const profile = await profileManager.getProfile(profileEditorSelect.value);
+  
+  if (!profile) {
+    return;
+  }
+  
+  const updated = { ...profile, name: profileName.value.trim() || profile.name };
+  const inputs = profileFields.querySelectorAll('input[data-group]');
+  
+  for (const input of inputs) {
+    const value = parseFloat(input.value);
+    const problem = profileValueProblem(input.dataset.group, input.dataset.field, value);
+    
+    if (problem) {
+      alert('❌ Strategy Profile: ' + problem);
+      return;
+    }
+    
+    updated[input.dataset.group] = { ...updated[input.dataset.group], [input.dataset.field]: value };
+  }
+  
+  try {
+    await profileManager.saveProfile(updated);
+    await renderProfileOptions();
+    await renderProfileEditor(updated.id);
+    renderWatchlist();
+  } catch (error) {
+    alert('❌ ' + error.message);
+  }
+}
+
+/**
+ * Clone the profile shown in the editor and select the copy
+ */
+async function handleCloneProfile() {
+  try {
+    const clone = await profileManager.cloneProfile(profileEditorSelect.value);
+    await renderProfileOptions();
+    await renderProfileEditor(clone.id);
+  } catch (error) {
+    console.error('Error cloning profile:', error);
+    alert('❌ Profile could not be cloned: ' + error.message);
+  }
+}
+
+/**
+ * Delete the custom profile shown in the editor
+ */
+async function handleDeleteProfile() {
+  const profile = await profileManager.getProfile(profileEditorSelect.value);
+  
+  if (!profile || !confirm(`Delete strategy profile "${profile.name}"?`)) {
+    return;
+  }
+  
+  try {
+    await profileManager.deleteProfile(profile.id);
+    await renderProfileOptions();
+    await renderProfileEditor(profileSelect.value);
+    renderWatchlist();
+  } catch (error) {
+    alert('❌ ' + error.message);
+  }
+}
+
+/**
+ * Render the checklist template editor for one template
+ */
+async function renderChecklistEditor(id) {
+  const templates = await checklistManager.getTemplates();
+  const profiles = await profileManager.getProfiles();
+  const template = templates.find(item => item.id === id) || templates[0];
+  const readOnly = template.builtIn;
+  
+  editingChecklist = JSON.parse(JSON.stringify(template));
+  
+  checklistEditorSelect.innerHTML = templates
+    .map(item => `<option value="${item.id}" ${item.id === template.id ? 'selected' : ''}>${escapeHtml(item.name)}${item.builtIn ? '' : ' ✏️'}</option>`)
+    .join('');
+  
+  checklistBias.innerHTML = '<option value="">Any bias</option>' + Object.keys(CHECKLIST_BIASES)
+    .map(bias => `<option value="${bias}" ${bias === template.bias ? 'selected' : ''}>${CHECKLIST_BIASES[bias].label}</option>`)
+    .join('');
+  
+  checklistProfile.innerHTML = '<option value="">Any profile</option>' + profiles
+    .map(profile => `<option value="${profile.id}" ${profile.id === template.profileId ? 'selected' : ''}>${escapeHtml(profile.name)}</option>`)
+    .join('');
+  
+  checklistName.value = template.name;
+  [checklistName, checklistBias, checklistProfile, addChecklistItemBtn, saveChecklistBtn, deleteChecklistBtn]
+    .forEach(element => { element.disabled = readOnly; });
+  checklistReadOnlyNote.classList.toggle('d-none', !readOnly);
+  
+  renderChecklistItems();
+}
+
+/**
+ * Editable rows for the items of the template being edited
+ */
+function renderChecklistItems() {
+  const disabled = editingChecklist.builtIn ? 'disabled' : '';
+  const last = editingChecklist.items.length - 1;
+  
+  checklistItems.innerHTML = editingChecklist.items.map((item, index) => `
+    <div class="border rounded p-2 mb-2" data-index="${index}">
+      <div class="row g-2 align-items-center">
+        <div class="col-md-4">
+          <input type="text" class="form-control form-control-sm" data-field="title" placeholder="Title (optional)" value="${escapeHtml(item.title)}" ${disabled}>
+        </div>
+        <div class="col-md-8">
+          <input type="text" class="form-control form-control-sm" data-field="text" placeholder="Description" value="${escapeHtml(item.text)}" ${disabled}>
+        </div>
+        <div class="col-md-5">
+          <select class="form-select form-select-sm" data-field="link" ${disabled}>
+            <option value="">Manual tick</option>
+            ${Object.keys(CHECKLIST_LINKS).map(link => `<option value="${link}" ${link === item.link ? 'selected' : ''}>${CHECKLIST_LINKS[link].label}</option>`).join('')}
+          </select>
+        </div>
+        <div class="col-md-3">
+          <div class="form-check mb-0">
+            <input class="form-check-input" type="checkbox" id="checklistMandatory${index}" data-field="mandatory" ${item.mandatory ? 'checked' : ''} ${disabled}>
+            <label class="form-check-label small" for="checklistMandatory${index}">Mandatory</label>
+          </div>
+        </div>
+        <div class="col-md-4 text-end">
+          <button type="button" class="btn btn-sm btn-outline-secondary" data-action="up" title="Move up" ${disabled || index === 0 ? 'disabled' : ''}><i class="bi bi-arrow-up"></i></button>
+          <button type="button" class="btn btn-sm btn-outline-secondary" data-action="down" title="Move down" ${disabled || index === last ? 'disabled' : ''}><i class="bi bi-arrow-down"></i></button>
+          <button type="button" class="btn btn-sm btn-outline-danger" data-action="remove" title="Remove" ${disabled}><i class="bi bi-x-lg"></i></button>
+        </div>
+      </div>
+    </div>
+  `).join('') || '<p class="text-muted small">No items yet</p>';
+}
+
+/**
+ * Copy the editor inputs back into the working template
+ */
+function readChecklistItems() {
+  checklistItems.querySelectorAll('[data-index]').forEach(row => {
+    const item = editingChecklist.items[row.dataset.index];
+    item.title = row.querySelector('[data-field="title"]').value.trim();
+    item.text = row.querySelector('[data-field="text"]').value.trim();
+    item.link = row.querySelector('[data-field="link"]').value;
+    item.mandatory = row.querySelector('[data-field="mandatory"]').checked;
+  });
+}
+
+/**
+ * Move or remove an item from its row buttons
+ */
+function handleChecklistItemAction(e) {
+  const button = e.target.closest('button[data-action]');
+  if (!button || editingChecklist.builtIn) {
+    return;
+  }
+  
+  readChecklistItems();
+  
+  const items = editingChecklist.items;
+  const index = parseInt(button.closest('[data-index]').dataset.index, 10);
+  const target = button.dataset.action === 'up' ? index - 1 : index + 1;
+  
+  if (button.dataset.action === 'remove') {
+    items.splice(index, 1);
+  } else if (target >= 0 && target < items.length) {
+    [items[index], items[target]] = [items[target], items[index]];
+  }
+  
+  renderChecklistItems();
+}
+
+/**
+ * Append an empty item to the template being edited
+ */
+function handleAddChecklistItem() {
+  readChecklistItems();
+  editingChecklist.items.push({ id: `item-${Date.now()}`, title: '', text: '', mandatory: false, link: '' });
+  renderChecklistItems();
+}
+
+/**
+ * Save the template in the editor and re-render the checklist card
+ */
+async function handleSaveChecklist() {
+  readChecklistItems();
+  
+  const updated = {
+    ...editingChecklist,
+    name: checklistName.value.trim(),
+    bias: checklistBias.value,
+    profileId: checklistProfile.value
+  };
+  
+  try {
+    await checklistManager.saveTemplate(updated);
+    await renderChecklistEditor(updated.id);
+    await updateChecklistByBias(currentAnalysis ? currentAnalysis.bias : 'NEUTRAL');
+  } catch (error) {
+    alert('❌ ' + error.message);
+  }
+}
+
+/**
+ * Clone the template shown in the editor and select the copy
+ */
+async function handleCloneChecklist() {
+  try {
+    const clone = await checklistManager.cloneTemplate(checklistEditorSelect.value);
+    await renderChecklistEditor(clone.id);
+  } catch (error) {
+    console.error('Error cloning checklist:', error);
+    alert('❌ Checklist could not be cloned: ' + error.message);
+  }
+}
+
+/**
+ * Delete the custom template shown in the editor
+ */
+async function handleDeleteChecklist() {
+  const template = await checklistManager.getTemplate(checklistEditorSelect.value);
+  
+  if (!template || !confirm(`Delete checklist template "${template.name}"?`)) {
+    return;
+  }
+  
+  try {
+    await checklistManager.deleteTemplate(template.id);
+    await renderChecklistEditor(null);
+    await updateChecklistByBias(currentAnalysis ? currentAnalysis.bias : 'NEUTRAL');
+  } catch (error) {
+    alert('❌ ' + error.message);
+  }
+}
+
+/**
+ * Escape user-entered text for HTML and attribute values
+ */
+function escapeHtml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Imported history (lookback and ADR period), if its last two days still match the form
+ */
+function getLookbackCandles(formData, count) {
+  if (!importedLookback || importedLookback.length < 3) {
+    return null;
+  }
+  
+  const [dbpd, pd] = importedLookback.slice(-2);
+  const matches = ['Open', 'High', 'Low', 'Close'].every(field => 
+    parseFloat(formData[`dbpd${field}`]) === dbpd[field.toLowerCase()] &&
+    parseFloat(formData[`pd${field}`]) === pd[field.toLowerCase()]
+  );
+  
+  if (!matches) {
+    return null;
+  }
+  
+  return importedLookback
+    .slice(-count)
+    .map(({ date, open, high, low, close }) => ({ date, open, high, low, close }));
+}
+
+/**
+ * Validate form inputs
+ */
+function validateInputs(data) {
+  // Validate D-2
+  const dbpdH = parseFloat(data.dbpdHigh);
+  const dbpdL = parseFloat(data.dbpdLow);
+  const dbpdO = parseFloat(data.dbpdOpen);
+  const dbpdC = parseFloat(data.dbpdClose);
+  
+  // Check if values are valid numbers
+  if (isNaN(dbpdH) || isNaN(dbpdL) || isNaN(dbpdO) || isNaN(dbpdC)) {
+    alert('❌ Day Before Previous: All fields must contain valid numbers');
+    return false;
+  }
+  
+  if (dbpdH <= dbpdL) {
+    alert('❌ Day Before Previous: High must be greater than Low\n\nHigh: ' + data.dbpdHigh + '\nLow: ' + data.dbpdLow);
+    return false;
+  }
+  
+  if (dbpdO < dbpdL || dbpdO > dbpdH) {
+    alert('❌ Day Before Previous: Open must be within High and Low range\n\nOpen: ' + data.dbpdOpen + '\nRange: ' + data.dbpdLow + ' - ' + data.dbpdHigh);
+    return false;
+  }
+  
+  if (dbpdC < dbpdL || dbpdC > dbpdH) {
+    alert('❌ Day Before Previous: Close must be within High and Low range\n\nClose: ' + data.dbpdClose + '\nRange: ' + data.dbpdLow + ' - ' + data.dbpdHigh);
+    return false;
+  }
+  
+  // Validate D-1
+  const pdH = parseFloat(data.pdHigh);
+  const pdL = parseFloat(data.pdLow);
+  const pdO = parseFloat(data.pdOpen);
+  const pdC = parseFloat(data.pdClose);
+  
+  // Check if values are valid numbers
+  if (isNaN(pdH) || isNaN(pdL) || isNaN(pdO) || isNaN(pdC)) {
+    alert('❌ Previous Day: All fields must contain valid numbers');
+    return false;
+  }
+  
+  if (pdH <= pdL) {
+    alert('❌ Previous Day: High must be greater than Low\n\nHigh: ' + data.pdHigh + '\nLow: ' + data.pdLow);
+    return false;
+  }
+  
+  if (pdO < pdL || pdO > pdH) {
+    alert('❌ Previous Day: Open must be within High and Low range\n\nOpen: ' + data.pdOpen + '\nRange: ' + data.pdLow + ' - ' + data.pdHigh);
+    return false;
+  }
+  
+  if (pdC < pdL || pdC > pdH) {
+    alert('❌ Previous Day: Close must be within High and Low range\n\nClose: ' + data.pdClose + '\nRange: ' + data.pdLow + ' - ' + data.pdHigh);
+    return false;
+  }
+  
+  // Validate dates - D-2 must come before D-1
+  if (data.dbpdDate >= data.pdDate) {
+    alert('❌ Dates: Day Before Previous must be earlier than Previous Day\n\nD-2: ' + data.dbpdDate + '\nD-1: ' + data.pdDate);
+    return false;
+  }
+  
+  // Validate higher timeframes - a timeframe is either left empty or complete
+  for (const timeframe of Object.values(TIMEFRAMES)) {
+    const filled = HTF_FIELDS.filter(field => data[`${timeframe.prefix}${field}`] !== undefined);
+    
+    if (filled.length === 0) {
+      continue;
+    }
+    
+    if (filled.length < HTF_FIELDS.length) {
+      alert(`❌ ${timeframe.label}: Fill in both candles or leave all ${timeframe.label.toLowerCase()} fields empty`);
+      return false;
+    }
+    
+    for (const candle of ['2', '1']) {
+      const [o, h, l, c] = ['Open', 'High', 'Low', 'Close'].map(field => parseFloat(data[`${timeframe.prefix}${candle}${field}`]));
+      
+      if (isNaN(o) || isNaN(h) || isNaN(l) || isNaN(c)) {
+        alert(`❌ ${timeframe.label}: All fields must contain valid numbers`);
+        return false;
+      }
+      
+      if (h <= l) {
+        alert(`❌ ${timeframe.label}: High must be greater than Low\n\nHigh: ${h}\nLow: ${l}`);
+        return false;
+      }
+      
+      if (o < l || o > h || c < l || c > h) {
+        alert(`❌ ${timeframe.label}: Open and Close must be within High and Low range\n\nRange: ${l} - ${h}`);
+        return false;
+      }
+    }
+  }
+  
+  return true;
+}
+
+/**
+ * Format a price with the instrument stored on the analysis
+ */
+function formatPrice(analysis, price) {
+  return analysis.instrument ? new Instrument(analysis.instrument).format(price) : price;
+}
+
+/**
+ * Distance between two prices in the instrument's pips/points
+ */
+function formatDistance(analysis, from, to) {
+  if (!analysis.instrument) {
+    return '';
+  }
+  
+  const instrument = new Instrument(analysis.instrument);
+  return `${instrument.priceToPips(parseFloat(to) - parseFloat(from)).toFixed(1)} ${instrument.pipLabel}`;
+}
+
+/**
+ * Display analysis results. With a saved history entry, a banner offers to
+ * re-run it with the current rules.
+ */
+async function displayResults(analysis, data, savedEntry = null) {
+  let riskSettings = { ...storage.defaultRiskSettings };
+  try {
+    riskSettings = await storage.getRiskSettings();
+  } catch (error) {
+    console.error('Error loading risk settings:', error);
+  }
+  currentAnalysis = analysis;
+  riskRules = null;
+  
+  const biasClass = analysis.bias.includes('BULLISH') ? 'bullish' : 
+                   analysis.bias.includes('BEARISH') ? 'bearish' : 'neutral';
+  
+  const badgeClass = analysis.bias.includes('BULLISH') ? 'bg-success' : 
+                    analysis.bias.includes('BEARISH') ? 'bg-danger' : 'bg-warning text-dark';
+  
+  const icon = analysis.bias.includes('BULLISH') ? '📈' : 
+              analysis.bias.includes('BEARISH') ? '📉' : '↔️';
+
+  let html = savedEntry ? `
+    <!-- Saved Analysis -->
+    <div class="alert alert-secondary d-flex flex-wrap justify-content-between align-items-center gap-2 mb-3">
+      <span>
+        <i class="bi bi-clock-history"></i> Saved analysis: <strong>${escapeHtml(savedEntry.symbol)}</strong>
+        · ${new Date(savedEntry.timestamp).toLocaleString()}
+        ${savedEntry.profile ? `· ${escapeHtml(savedEntry.profile.name)} profile` : ''}
+      </span>
+      <button type="button" class="btn btn-sm btn-outline-primary" id="rerunAnalysisBtn">
+        <i class="bi bi-arrow-repeat"></i> Re-run with current rules
+      </button>
+    </div>
+    <div id="rerunComparison"></div>
+  ` : '';
+  
+  html += `
     <!-- Candlestick Chart Visualization -->
     <div class="card mb-3 shadow-sm">
+      <div class="card-header bg-dark text-white d-flex justify-content-between align-items-center">
+        <h6 class="mb-0"><i class="bi bi-bar-chart-line"></i> Price Action Visualization</h6>
+        <div class="btn-group btn-group-sm">
+          <button type="button" class="btn btn-outline-light" id="exportPngBtn" title="Save the chart and plan as an image">
+            <i class="bi bi-image"></i> PNG
+          </button>
+          <button type="button" class="btn btn-outline-light" id="printPlanBtn" title="Printable A4 daily plan (or save as PDF)">
+            <i class="bi bi-printer"></i> Daily Plan
+          </button>
+        </div>
+      </div>
+      <div class="card-body p-2">
+        <div id="chartContainer" style="width: 100%; height: 400px;"></div>
+        <div class="mt-2 px-2">
+          <small class="text-muted">
+            <strong>Legend:</strong> 
+            <span class="badge bg-info">🔵 D-2</span> = ${data.dbpdDate ? formatTradingDate(data.dbpdDate) : '2 Days Ago'} | 
+            <span class="badge bg-info">🔵 D-1</span> = ${data.pdDate ? formatTradingDate(data.pdDate) : 'Yesterday'} | 
+            <span class="badge ${badgeClass}">📍 ${data.forecastDate ? formatTradingDate(data.forecastDate) : 'TODAY'}</span> = Forecast Candle
+          </small>
+          <div class="small text-muted mt-1 d-flex flex-wrap align-items-center gap-2" id="chartLayers"></div>
+        </div>
+      </div>
+    </div>
+
+    <div class="bias-card ${biasClass} p-4 rounded-3 mb-3 fade-in">
+      <div class="d-flex justify-content-between align-items-center mb-3">
+        <h3 class="mb-0">${icon} ${escapeHtml(analysis.bias)}</h3>
+        <span class="badge ${badgeClass} badge-custom">${escapeHtml(analysis.direction)}</span>
+      </div>
+      
+      <div class="progress mb-3" style="height: 25px;">
+        <div class="progress-bar ${badgeClass}" role="progressbar" 
+             style="width: ${analysis.strength}%;" 
+             aria-valuenow="${analysis.strength}" aria-valuemin="0" aria-valuemax="100">
+          Confidence: ${analysis.strength.toFixed(0)}%
+        </div>
+      </div>
+
+      ${analysis.scenario.type ? `
+        <div class="alert alert-primary mb-3">
+          <h6 class="fw-bold mb-2">📋 Forecast Scenario</h6>
+          <p class="mb-0">${analysis.scenario.type}</p>
+        </div>
+      ` : ''}
+
+      <div class="mb-3">
+        <h6 class="fw-bold">🔍 Analysis Details:</h6>
+        <ul class="list-unstyled mb-0">
+          ${analysis.reasoning.map(reason => `<li class="mb-1">• ${escapeHtml(reason)}</li>`).join('')}
+        </ul>
+      </div>
+
+      <hr>
+      <div class="alert alert-info mb-3">
+        <strong>💡 Trading Plan:</strong> ${escapeHtml(analysis.recommendation)}
+      </div>
+      
+      ${analysis.profile ? `<small class="text-muted"><i class="bi bi-sliders"></i> Strategy profile: ${escapeHtml(analysis.profile.name)}</small>` : ''}
+    </div>
+
+    <!-- ADR / ATR -->
+    ${analysis.volatility ? renderVolatilityCard(analysis) : ''}
+
+    <!-- Intraday Sessions -->
+    ${analysis.sessions ? renderSessionsCard(analysis) : ''}
+
+    <!-- FVG / Order Blocks -->
+    ${analysis.zones ? renderZonesCard(analysis) : ''}
+
+    <!-- Lookback Market Structure -->
+    ${analysis.structure ? renderStructureCard(analysis) : ''}
+
+    <!-- Top-Down View -->
+    ${analysis.multiTimeframe ? renderTopDownCard(analysis) : ''}
+
+    <!-- Position Size & Risk -->
+    ${Object.keys(analysis.bullishSetup).length > 0 || Object.keys(analysis.bearishSetup).length > 0 ? `
+      <div class="card mb-3 border-primary">
+        <div class="card-header bg-primary text-white">
+          <h6 class="mb-0">🧮 POSITION SIZE & RISK</h6>
+        </div>
+        <div class="card-body">
+          <div class="row g-2">
+            <div class="col-4">
+              <label for="riskBalance" class="form-label small mb-1">Account Balance</label>
+              <input type="number" step="any" min="0" class="form-control form-control-sm risk-input" id="riskBalance" value="${riskSettings.balance}">
+            </div>
+            <div class="col-4">
+              <label for="riskCurrency" class="form-label small mb-1">Account Currency</label>
+              <input type="text" maxlength="3" class="form-control form-control-sm text-uppercase risk-input" id="riskCurrency" value="${escapeHtml(riskSettings.currency)}">
+            </div>
+            <div class="col-4">
+              <label for="riskPercent" class="form-label small mb-1">Risk %</label>
+              <input type="number" step="0.1" min="0" class="form-control form-control-sm risk-input" id="riskPercent" value="${riskSettings.riskPercent}">
+            </div>
+            <div class="col-12 d-none" id="riskConversionGroup">
+              <label for="riskConversion" class="form-label small mb-1">
+                ${analysis.instrument ? analysis.instrument.quoteCurrency : 'Quote'} → account currency rate
+              </label>
+              <input type="number" step="any" min="0" class="form-control form-control-sm risk-input" id="riskConversion">
+            </div>
+          </div>
+          <small class="text-muted d-block mt-2">
+            Entry is the middle of the entry zone. Max ${RISK_LIMITS.maxRiskPercent}% risk and min 1:${RISK_LIMITS.minRewardRatio} reward tick the checklist automatically.
+          </small>
+        </div>
+      </div>
+    ` : ''}
+
+    <!-- Bullish Setup Card -->
+    ${Object.keys(analysis.bullishSetup).length > 0 ? `
+      <div class="card mb-3 border-success">
+        <div class="card-header bg-success text-white">
+          <h6 class="mb-0">🟢 BULLISH SETUP (BUY)</h6>
+        </div>
+        <div class="card-body">
+          <div class="row mb-2">
+            <div class="col-6"><strong>Sweep Level:</strong></div>
+            <div class="col-6">${formatPrice(analysis, analysis.bullishSetup.sweepLevel)}</div>
+          </div>
+          <div class="row mb-2">
+            <div class="col-6"><strong>Entry Zone:</strong></div>
+            <div class="col-6">${escapeHtml(analysis.bullishSetup.entryZone)}</div>
+          </div>
+          <div class="row mb-3">
+            <div class="col-6"><strong>Stop Loss:</strong></div>
+            <div class="col-6 text-danger">
+              ${escapeHtml(analysis.bullishSetup.invalidation)}
+              <small class="text-muted">(${formatDistance(analysis, analysis.bullishSetup.sweepLevel, analysis.bullishSetup.invalidation)})</small>
+            </div>
+          </div>
+          <div>
+            <strong>🎯 Targets:</strong>
+            <ol class="mb-0 mt-2">
+              ${analysis.bullishSetup.targets.map(t => 
+                `<li><strong>${escapeHtml(t.level)}</strong> <small class="text-muted">(${escapeHtml(t.label)})</small></li>`
+              ).join('')}
+            </ol>
+          </div>
+          <div class="risk-output mt-3" id="bullishRisk"></div>
+        </div>
+      </div>
+    ` : ''}
+
+    <!-- Bearish Setup Card -->
+    ${Object.keys(analysis.bearishSetup).length > 0 ? `
+      <div class="card mb-3 border-danger">
+        <div class="card-header bg-danger text-white">
+          <h6 class="mb-0">🔴 BEARISH SETUP (SELL)</h6>
+        </div>
+        <div class="card-body">
+          <div class="row mb-2">
+            <div class="col-6"><strong>Sweep Level:</strong></div>
+            <div class="col-6">${formatPrice(analysis, analysis.bearishSetup.sweepLevel)}</div>
+          </div>
+          <div class="row mb-2">
+            <div class="col-6"><strong>Entry Zone:</strong></div>
+            <div class="col-6">${escapeHtml(analysis.bearishSetup.entryZone)}</div>
+          </div>
+          <div class="row mb-3">
+            <div class="col-6"><strong>Stop Loss:</strong></div>
+            <div class="col-6 text-danger">
+              ${escapeHtml(analysis.bearishSetup.invalidation)}
+              <small class="text-muted">(${formatDistance(analysis, analysis.bearishSetup.sweepLevel, analysis.bearishSetup.invalidation)})</small>
+            </div>
+          </div>
+          <div>
+            <strong>🎯 Targets:</strong>
+            <ol class="mb-0 mt-2">
+              ${analysis.bearishSetup.targets.map(t => 
+                `<li><strong>${escapeHtml(t.level)}</strong> <small class="text-muted">(${escapeHtml(t.label)})</small></li>`
+              ).join('')}
+            </ol>
+          </div>
+          <div class="risk-output mt-3" id="bearishRisk"></div>
+        </div>
+      </div>
+    ` : ''}
+
+    <!-- Price Levels Summary -->
+    <div class="card">
+      <div class="card-body">
+        <h6 class="card-title fw-bold mb-3">📊 OHLC Data Reference</h6>
+        <div class="table-responsive">
+          <table class="table table-sm table-bordered mb-3">
+            <thead class="table-light">
+              <tr>
+                <th>Period</th>
+                <th>Open</th>
+                <th>High</th>
+                <th>Low</th>
+                <th>Close</th>
+                <th>Candle</th>
+              </tr>
+            </thead>
+            <tbody>
+              <tr>
+                <td><strong>D-2</strong></td>
+                <td>${data.dbpdOpen}</td>
+                <td class="text-success fw-bold">${data.dbpdHigh}</td>
+                <td class="text-danger fw-bold">${data.dbpdLow}</td>
+                <td>${data.dbpdClose}</td>
+                <td><span class="badge ${analysis.candleAnalysis.dbpd.isBullish ? 'bg-success' : analysis.candleAnalysis.dbpd.isBearish ? 'bg-danger' : 'bg-secondary'}">${analysis.candleAnalysis.dbpd.type}</span></td>
+              </tr>
+              <tr>
+                <td><strong>D-1</strong></td>
+                <td>${data.pdOpen}</td>
+                <td class="text-success fw-bold">${data.pdHigh}</td>
+                <td class="text-danger fw-bold">${data.pdLow}</td>
+                <td>${data.pdClose}</td>
+                <td><span class="badge ${analysis.candleAnalysis.pd.isBullish ? 'bg-success' : analysis.candleAnalysis.pd.isBearish ? 'bg-danger' : 'bg-secondary'}">${analysis.candleAnalysis.pd.type}</span></td>
+              </tr>
+            </tbody>
+          </table>
+          
+          <div class="row">
+            <div class="col-6">
+              <small class="text-muted">
+                <strong>D-2 Body:</strong> ${analysis.candleAnalysis.dbpd.bodyPercent}% of range<br>
+                <strong>D-1 Body:</strong> ${analysis.candleAnalysis.pd.bodyPercent}% of range
+              </small>
+            </div>
+            <div class="col-6">
+              <small class="text-muted">
+                <strong>D-2 Midpoint:</strong> ${formatPrice(analysis, analysis.keyLevels.dbpdMid)}<br>
+                <strong>D-1 Midpoint:</strong> ${formatPrice(analysis, analysis.keyLevels.pdMid)}
+              </small>
+            </div>
+          </div>
+          
+          ${analysis.instrument ? `
+            <small class="text-muted d-block mt-2">
+              <strong>Instrument:</strong> ${analysis.instrument.symbol}${analysis.instrument.known ? '' : ' (inferred from price)'} | 
+              Tick ${analysis.instrument.tickSize} | 
+              1 ${analysis.instrument.pipLabel.replace(/s$/, '')} = ${analysis.instrument.pipSize} | 
+              Contract ${analysis.instrument.contractSize}
+            </small>
+          ` : ''}
+        </div>
+      </div>
+    </div>
+  `;
+
+  // Set HTML first
+  resultsContainer.innerHTML = html;
+  
+  if (savedEntry) {
+    document.getElementById('rerunAnalysisBtn').addEventListener('click', () => handleRerunAnalysis(savedEntry));
+  }
+  
+  document.getElementById('exportPngBtn').addEventListener('click', handleExportPng);
+  document.getElementById('printPlanBtn').addEventListener('click', handlePrintPlan);
+  
+  // Position sizing reacts to every input change
+  resultsContainer.querySelectorAll('.risk-input').forEach(input => {
+    input.addEventListener('input', updateRiskPanel);
+  });
+  updateRiskPanel({ keepChecklist: !!savedEntry });
+
+  // Use requestAnimationFrame for better DOM rendering timing
+  requestAnimationFrame(() => {
+    requestAnimationFrame(() => {
+      const chartContainer = document.getElementById('chartContainer');
+      
+      if (!chartContainer) {
+        console.error('Chart container not found in DOM after rendering');
+        return;
+      }
+
+      try {
+        chartManager.renderChart(data, analysis);
+        renderChartLayers();
+      } catch (error) {
+        console.error('Error rendering chart:', error);
+        chartContainer.innerHTML = `
+          <div class="alert alert-warning m-3">
+            <strong>⚠️ Chart Rendering Error</strong>
+            <p class="mb-1 small">${error.message}</p>
+            <small class="text-muted">All analysis data is available below. Try refreshing the page if the chart doesn't load.</small>
+          </div>
+        `;
+      }
+    });
+  });
+}
+
+/**
+ * Save a blob as a download
+ */
+function downloadBlob(blob, fileName) {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  // Some browsers start the download after click() returns
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+/**
+ * The analysis on screen as a daily plan, with the live checklist progress
+ */
+async function getCurrentPlan() {
+  const entry = currentEntryId ? await storage.getEntry(currentEntryId) : null;
+  
+  if (!entry) {
+    throw new Error('Run or open an analysis first');
+  }
+  
+  const checklist = currentChecklist
+    ? { templateName: currentChecklist.name, ...checklistProgress(currentChecklist, getCheckedItems()) }
+    : entry.checklist;
+  
+  return buildDailyPlan(withTradingDates(entry), checklist);
+}
+
+/**
+ * Download the chart and plan as a PNG
+ */
+async function handleExportPng() {
+  try {
+    const plan = await getCurrentPlan();
+    const blob = await planExporter.toPng(plan, chartManager.snapshot());
+    downloadBlob(blob, PlanExporter.fileName(plan, 'png'));
+  } catch (error) {
+    console.error('Error exporting image:', error);
+    alert('❌ Image export failed: ' + error.message);
+  }
+}
+
+/**
+ * Open the A4 daily plan in a new window and print it
+ */
+async function handlePrintPlan() {
+  // Opened before any await so pop-up blockers see the click
+  const printWindow = window.open('', '_blank');
+  
+  if (!printWindow) {
+    alert('❌ Daily plan: Allow pop-ups for this page to open the printable plan');
+    return;
+  }
+  
+  try {
+    const plan = await getCurrentPlan();
+    const chart = chartManager.snapshot();
+    
+    printWindow.document.open();
+    printWindow.document.write(planExporter.toPrintHtml(plan, chart ? chart.toDataURL('image/png') : null));
+    printWindow.document.close();
+    
+    // Print once the chart image is ready
+    const image = printWindow.document.querySelector('img.chart');
+    if (image && !image.complete) {
+      image.addEventListener('load', () => printWindow.print());
+    } else {
+      printWindow.print();
+    }
+  } catch (error) {
+    printWindow.close();
+    console.error('Error opening daily plan:', error);
+    alert('❌ Daily plan failed: ' + error.message);
+  }
+}
+
+/**
+ * Switch theme - the page and the current chart restyle without re-rendering
+ */
+async function handleThemeChange() {
+  try {
+    await themeManager.setMode(themeSelect.value);
+  } catch (error) {
+    console.error('Error saving theme:', error);
+    alert('❌ Theme could not be saved: ' + error.message);
+  }
+}
+
+/**
+ * Legend toggles for the level groups drawn on the chart
+ */
+function renderChartLayers() {
+  const container = document.getElementById('chartLayers');
+  
+  if (!container) {
+    return;
+  }
+  
+  container.innerHTML = '<strong>Layers:</strong>' + chartManager.getLayers().map(layer => `
+    <label class="form-check form-check-inline mb-0 chart-layer-toggle">
+      <input class="form-check-input" type="checkbox" data-layer="${layer.key}" ${layer.visible ? 'checked' : ''}>
+      <span class="form-check-label">${layerSwatch(layer)} ${layer.label}</span>
+    </label>
+  `).join('');
+}
+
+/**
+ * Line sample in the layer's color, or the FVG / order block box samples
+ */
+function layerSwatch(layer) {
+  if (layer.key === 'zones') {
+    return '<span class="zone-swatch zone-fvg"></span> <span class="zone-swatch zone-ob"></span>';
+  }
+  return `<span style="color: ${layer.color};">━━</span>`;
+}
+
+/**
+ * Show or hide one chart layer and remember the choice
+ */
+async function handleChartLayerToggle(e) {
+  const layer = e.target.dataset.layer;
+  
+  if (!layer) {
+    return;
+  }
+  
+  chartManager.setLayerVisible(layer, e.target.checked);
+  
+  try {
+    await storage.saveSetting('hiddenChartLayers', [...chartManager.hiddenLayers]);
+  } catch (error) {
+    console.error('Error saving chart layers:', error);
+  }
+}
+
+/**
+ * ADR/ATR readout, D-1 range used and the expected range for today
+ */
+function renderVolatilityCard(analysis) {
+  const { volatility } = analysis;
+  const used = volatility.pdRangePercent;
+  const barClass = used >= 100 ? 'bg-danger' : used >= 75 ? 'bg-warning' : 'bg-success';
+  
+  return `
+    <div class="card mb-3">
+      <div class="card-header bg-dark text-white">
+        <h6 class="mb-0">📏 VOLATILITY (${volatility.period}-DAY ADR)</h6>
+      </div>
+      <div class="card-body">
+        <div class="row mb-2 small">
+          <div class="col-4">
+            <strong>ADR:</strong><br>
+            ${formatPrice(analysis, volatility.adr)}
+            <small class="text-muted">(${formatDistance(analysis, 0, volatility.adr)})</small>
+          </div>
+          <div class="col-4">
+            <strong>ATR:</strong><br>
+            ${formatPrice(analysis, volatility.atr)}
+          </div>
+          <div class="col-4">
+            <strong>Expected Range:</strong><br>
+            ${formatPrice(analysis, volatility.projectedLow)} - ${formatPrice(analysis, volatility.projectedHigh)}
+          </div>
+        </div>
+        <small class="text-muted">D-1 used ${used.toFixed(0)}% of ADR</small>
+        <div class="progress" style="height: 10px;">
+          <div class="progress-bar ${barClass}" role="progressbar" style="width: ${Math.min(used, 100)}%;"
+               aria-valuenow="${used.toFixed(0)}" aria-valuemin="0" aria-valuemax="100"></div>
+        </div>
+      </div>
+    </div>
+  `;
+}
+
+/**
+ * Asian / London / New York ranges and the London sweep of the Asian range
+ */
+function renderSessionsCard(analysis) {
+  const { sessions, londonSweep, date, utcOffset } = analysis.sessions;
+  const hour = value => `${String(value).padStart(2, '0')}:00`;
+  
+  let sweepHtml = '';
+  if (londonSweep) {
+    const sweepClass = londonSweep.side === 'none' ? 'alert-secondary' :
+                       londonSweep.aligned ? 'alert-success' :
+                       londonSweep.expected ? 'alert-danger' : 'alert-warning';
+    const sweepText = londonSweep.side === 'none' ? 'London has not swept the Asian range' :
+                      londonSweep.side === 'both' ? 'London swept BOTH sides of the Asian range' :
+                      `London swept the Asian ${londonSweep.side.toUpperCase()}${londonSweep.reclaimed ? ' and closed back inside' : ''}`;
+    const biasText = londonSweep.side === 'none' || !londonSweep.expected ? '' :
+                     londonSweep.aligned ? ' ✅ in the direction of the bias' : ' ⚠️ not the side the bias wants';
+    
+    sweepHtml = `<div class="alert ${sweepClass} small py-2 mb-0">🧹 ${sweepText}${biasText}</div>`;
+  }
+  
+  return `
+    <div class="card mb-3">
+      <div class="card-header bg-dark text-white">
+        <h6 class="mb-0">🕐 INTRADAY SESSIONS (${date})</h6>
+      </div>
+      <div class="card-body">
+        <table class="table table-sm mb-2">
+          <thead>
+            <tr><th>Session</th><th>UTC</th><th>High</th><th>Low</th><th>Range</th></tr>
+          </thead>
+          <tbody>
+            ${Object.keys(SESSIONS).filter(key => sessions[key]).map(key => `
+              <tr>
+                <td>${sessions[key].label}</td>
+                <td><small>${hour(sessions[key].start)}-${hour(sessions[key].end)}</small></td>
+                <td><strong>${formatPrice(analysis, sessions[key].high)}</strong></td>
+                <td><strong>${formatPrice(analysis, sessions[key].low)}</strong></td>
+                <td><small>${formatDistance(analysis, sessions[key].low, sessions[key].high)}</small></td>
+              </tr>
+            `).join('')}
+          </tbody>
+        </table>
+        ${sweepHtml}
+        ${utcOffset ? `<small class="text-muted">File times shifted by ${-utcOffset}h to UTC</small>` : ''}
+      </div>
+    </div>
+  `;
+}
+
+/**
+ * Unmitigated FVGs and order blocks that fit the bias
+ */
+function renderZonesCard(analysis) {
+  const { zones, counts, candidates, htfTimeframe, ltfTimeframe, price } = analysis.zones;
+  const zoneKey = zone => zone ? `${zone.type}|${zone.timeframe}|${zone.side}|${zone.date} ${zone.time}` : null;
+  const candidateKeys = [zoneKey(candidates.fvg), zoneKey(candidates.orderBlock)];
+  const isCandidate = zone => candidateKeys.includes(zoneKey(zone));
+  
+  return `
+    <div class="card mb-3">
       <div class="card-header bg-dark text-white">
-        <h6 class="mb-0"><i class="bi bi-bar-chart-line"></i> Price Action Visualization</h6>
+        <h6 class="mb-0">🧱 FVG & ORDER BLOCKS (${htfTimeframe}${ltfTimeframe ? ` / ${ltfTimeframe}` : ''})</h6>
       </div>
-      <div class="card-body p-2">
-        <div id="chartContainer" style="width: 100%; height: 400px;"></div>
-        <div class="mt-2 px-2">
-          <small class="text-muted">
-            <strong>Legend:</strong> 
-            <span class="badge bg-info">🔵 D-2</span> = 2 Days Ago | 
-            <span class="badge bg-info">🔵 D-1</span> = Yesterday | 
-            <span class="badge ${badgeClass}">📍 TODAY</span> = Forecast Candle
-          </small>
-          <br>
-          <small class="text-muted mt-1 d-block">
-            <strong>Lines:</strong> 
-            <span style="color: #26a69a;">━━</span> PD High | 
-            <span style="color: #ef5350;">━━</span> PD Low | 
-            <span style="color: #4CAF50;">┄┄</span> Buy Zone | 
-            <span style="color: #F44336;">┄┄</span> Sell Zone
+      <div class="card-body">
+        <div class="small mb-2">
+          ${counts.fvg} FVG(s), ${counts.fvgMitigated} mitigated · ${counts.orderBlock} order block(s), ${counts.orderBlockMitigated} mitigated ·
+          Last price ${formatPrice(analysis, price)}
+        </div>
+        ${zones.length > 0 ? `
+          <table class="table table-sm mb-0">
+            <thead>
+              <tr><th>Zone</th><th>TF</th><th>Range</th><th>Formed</th></tr>
+            </thead>
+            <tbody>
+              ${zones.map(zone => `
+                <tr class="${isCandidate(zone) ? 'table-primary' : ''}">
+                  <td>${zone.side === 'bullish' ? '🟢' : '🔴'} ${ZONE_LABELS[zone.type]}${isCandidate(zone) ? ' 💡' : ''}</td>
+                  <td>${zone.timeframe}</td>
+                  <td><strong>${formatPrice(analysis, zone.bottom)} - ${formatPrice(analysis, zone.top)}</strong></td>
+                  <td><small>${zone.date} ${zone.time}</small></td>
+                </tr>
+              `).join('')}
+            </tbody>
+          </table>
+          <small class="text-muted">💡 = suggested for the FVG / inner block checklist items</small>
+        ` : `<small class="text-muted">No unmitigated zones ${analysis.zones.direction === 'neutral' ? '- bias is neutral' : `${analysis.zones.direction === 'bullish' ? 'below' : 'above'} price for the ${analysis.zones.direction} bias`}</small>`}
+      </div>
+    </div>
+  `;
+}
+
+/**
+ * Swing points and resting liquidity from the lookback series
+ */
+function renderStructureCard(analysis) {
+  const { structure } = analysis;
+  const swingRow = (swing, side) => `
+    <tr>
+      <td>${side}</td>
+      <td>${swing.label}</td>
+      <td><strong>${formatPrice(analysis, swing.price)}</strong></td>
+      <td>${swing.swept
+        ? `<span class="badge bg-secondary">Swept ${swing.sweptBy}</span>`
+        : '<span class="badge bg-info text-dark">💧 Unswept</span>'}</td>
+    </tr>
+  `;
+  
+  return `
+    <div class="card mb-3">
+      <div class="card-header bg-dark text-white">
+        <h6 class="mb-0">🔭 MARKET STRUCTURE (${structure.lookback}-CANDLE LOOKBACK)</h6>
+      </div>
+      <div class="card-body">
+        <div class="row mb-2 small">
+          <div class="col-6">
+            <strong>External Range:</strong><br>
+            ${formatPrice(analysis, structure.externalRange.low)} - ${formatPrice(analysis, structure.externalRange.high)}
+          </div>
+          <div class="col-6">
+            <strong>Internal Range:</strong><br>
+            ${structure.internalRange
+              ? `${formatPrice(analysis, structure.internalRange.low)} - ${formatPrice(analysis, structure.internalRange.high)}`
+              : '<span class="text-muted">Needs a swing high and a swing low</span>'}
+          </div>
+        </div>
+        ${structure.swingHighs.length + structure.swingLows.length > 0 ? `
+          <table class="table table-sm mb-0">
+            <thead>
+              <tr><th>Swing</th><th>Day</th><th>Price</th><th>Liquidity</th></tr>
+            </thead>
+            <tbody>
+              ${structure.swingHighs.map(swing => swingRow(swing, '🔺 High')).join('')}
+              ${structure.swingLows.map(swing => swingRow(swing, '🔻 Low')).join('')}
+            </tbody>
+          </table>
+        ` : '<small class="text-muted">No confirmed swing points in the lookback</small>'}
+      </div>
+    </div>
+  `;
+}
+
+/**
+ * Higher timeframe vs daily bias summary
+ */
+function renderTopDownCard(analysis) {
+  const mtf = analysis.multiTimeframe;
+  const directionBadge = direction => direction === 'bullish' ? 'bg-success' :
+                                      direction === 'bearish' ? 'bg-danger' : 'bg-secondary';
+  const alignmentClass = mtf.alignment === 'aligned' ? 'alert-success' :
+                         mtf.alignment === 'conflict' ? 'alert-danger' : 'alert-secondary';
+  const alignmentText = mtf.alignment === 'aligned' ? '✅ HTF and daily AGREE' :
+                        mtf.alignment === 'conflict' ? '⚠️ HTF and daily CONFLICT' : '↔️ No clear HTF alignment';
+  
+  return `
+    <div class="card mb-3">
+      <div class="card-header bg-dark text-white">
+        <h6 class="mb-0">🧭 TOP-DOWN VIEW</h6>
+      </div>
+      <div class="card-body">
+        <table class="table table-sm mb-2">
+          <tbody>
+            ${Object.keys(mtf.frames).map(timeframe => `
+              <tr>
+                <td><strong>${TIMEFRAMES[timeframe].label}</strong></td>
+                <td><span class="badge ${directionBadge(mtf.frames[timeframe].direction)}">${mtf.frames[timeframe].bias}</span></td>
+                <td><small class="text-muted">${TIMEFRAMES[timeframe].high} ${formatPrice(analysis, mtf.frames[timeframe].high)} / ${TIMEFRAMES[timeframe].low} ${formatPrice(analysis, mtf.frames[timeframe].low)}</small></td>
+              </tr>
+            `).join('')}
+            <tr>
+              <td><strong>Daily</strong></td>
+              <td><span class="badge ${directionBadge(mtf.dailyDirection)}">${escapeHtml(analysis.bias)}</span></td>
+              <td><small class="text-muted">PDH ${formatPrice(analysis, analysis.keyLevels.pdHigh)} / PDL ${formatPrice(analysis, analysis.keyLevels.pdLow)}</small></td>
+            </tr>
+          </tbody>
+        </table>
+        <div class="alert ${alignmentClass} mb-0 py-2">
+          ${alignmentText}
+          <small class="d-block">
+            HTF narrative: ${mtf.htfDirection.toUpperCase()} | 
+            Confidence ${mtf.baseStrength.toFixed(0)}% → ${analysis.strength.toFixed(0)}% (${mtf.adjustment >= 0 ? '+' : ''}${mtf.adjustment.toFixed(0)})
           </small>
         </div>
       </div>
     </div>
+  `;
+}
+
+/**
+ * Size both setups from the account settings in the risk panel. A reopened
+ * analysis passes keepChecklist so its stored ticks are left alone.
+ */
+function updateRiskPanel(options = {}) {
+  const balanceInput = document.getElementById('riskBalance');
+  
+  if (!balanceInput || !currentAnalysis || !currentAnalysis.instrument) {
+    return;
+  }
+  
+  const settings = {
+    balance: parseFloat(balanceInput.value),
+    currency: document.getElementById('riskCurrency').value.trim().toUpperCase(),
+    riskPercent: parseFloat(document.getElementById('riskPercent').value)
+  };
+  const conversionRate = parseFloat(document.getElementById('riskConversion').value) || null;
+  
+  scheduleRiskSettingsSave(settings);
+  
+  const calculator = new RiskCalculator(currentAnalysis.instrument);
+  const results = {};
+  let needsConversion = false;
+  
+  ['bullish', 'bearish'].forEach(side => {
+    const setup = currentAnalysis[`${side}Setup`];
+    const output = document.getElementById(`${side}Risk`);
+    
+    if (!output || !setup || !setup.entryZone) {
+      return;
+    }
+    
+    const result = calculator.calculate({
+      balance: settings.balance,
+      riskPercent: settings.riskPercent,
+      accountCurrency: settings.currency,
+      conversionRate,
+      setup
+    });
+    
+    results[side] = result;
+    needsConversion = needsConversion || !!result.needsConversion;
+    output.innerHTML = renderRiskResult(result, settings.currency);
+  });
+  
+  document.getElementById('riskConversionGroup').classList.toggle('d-none', !needsConversion && !conversionRate);
+  
+  if (options.keepChecklist) {
+    return;
+  }
+  
+  // Only the setup in the bias direction drives the checklist
+  const primary = currentAnalysis.bias.includes('BULLISH') ? results.bullish :
+                  currentAnalysis.bias.includes('BEARISH') ? results.bearish : null;
+  riskRules = primary ? RiskCalculator.checklistRules(primary) : null;
+  applyRiskRulesToChecklist();
+}
+
+/**
+ * Save the risk panel inputs once typing pauses. Half-typed values
+ * (an empty balance, a two-letter currency) are not saved.
+ */
+function scheduleRiskSettingsSave(settings) {
+  clearTimeout(riskSaveTimer);
+  
+  if (!(settings.balance > 0) || !(settings.riskPercent > 0) || !/^[A-Z]{3}$/.test(settings.currency)) {
+    return;
+  }
+  
+  riskSaveTimer = setTimeout(async () => {
+    try {
+      await storage.saveRiskSettings(settings);
+    } catch (error) {
+      console.error('Error saving risk settings:', error);
+    }
+  }, 500);
+}
+
+/**
+ * Risk summary shown inside a setup card
+ */
+function renderRiskResult(result, currency) {
+  if (result.error) {
+    return `<div class="alert alert-warning small py-2 mb-0">⚠️ ${result.error}</div>`;
+  }
+  
+  const money = value => `${value.toLocaleString(undefined, { maximumFractionDigits: 2 })} ${escapeHtml(currency)}`;
+  
+  return `
+    <div class="border-top pt-2 small">
+      <div class="row mb-1">
+        <div class="col-6"><strong>Position Size:</strong></div>
+        <div class="col-6">${result.lots.toFixed(2)} lots <span class="text-muted">(${result.units.toLocaleString()} units)</span></div>
+      </div>
+      <div class="row mb-1">
+        <div class="col-6"><strong>Money at Risk:</strong></div>
+        <div class="col-6 ${result.riskPercent > RISK_LIMITS.maxRiskPercent ? 'text-danger' : ''}">
+          ${money(result.riskAmount)} <span class="text-muted">(${result.riskPercent.toFixed(2)}%, ${result.stopPips.toFixed(1)} ${result.pipLabel})</span>
+        </div>
+      </div>
+      <div class="row mb-1">
+        <div class="col-6"><strong>Value per ${result.pipLabel.replace(/s$/, '')}:</strong></div>
+        <div class="col-6">${money(result.valuePerPip)}</div>
+      </div>
+      ${result.lots === 0 ? '<div class="text-danger">Risk budget is smaller than the minimum position size</div>' : ''}
+      <ul class="list-unstyled mb-0 mt-2">
+        ${result.targets.map(target => `
+          <li>
+            <span class="badge ${target.rMultiple >= RISK_LIMITS.minRewardRatio ? 'bg-success' : 'bg-secondary'}">${target.rMultiple.toFixed(2)}R</span>
+            ${escapeHtml(target.label)}: +${money(target.rewardAmount)}
+          </li>
+        `).join('')}
+      </ul>
+    </div>
+  `;
+}
+
+/**
+ * Tick or untick the checklist items the risk panel can verify
+ */
+function applyRiskRulesToChecklist() {
+  if (!riskRules) {
+    return;
+  }
+  
+  let changed = false;
+  
+  Object.keys(riskRules).forEach(rule => {
+    checklistBody.querySelectorAll(`.form-check-input[data-rule="${rule}"]`).forEach(checkbox => {
+      if (checkbox.checked !== riskRules[rule]) {
+        checkbox.checked = riskRules[rule];
+        changed = true;
+      }
+    });
+  });
+  
+  if (changed) {
+    saveChecklistState();
+  }
+}
+
+/**
+ * One-line description of a detected FVG / order block
+ */
+function describeZone(analysis, zone) {
+  return `${zone.timeframe} ${zone.side} ${ZONE_LABELS[zone.type]} ${formatPrice(analysis, zone.bottom)} - ${formatPrice(analysis, zone.top)} (${zone.date} ${zone.time})`;
+}
+
+/**
+ * Show the detected FVG / order block under the checklist items they can satisfy
+ */
+function applyZoneSuggestions() {
+  checklistBody.querySelectorAll('.zone-suggestion').forEach(element => element.remove());
+  
+  const candidates = currentAnalysis && currentAnalysis.zones ? currentAnalysis.zones.candidates : null;
+  if (!candidates) {
+    return;
+  }
+  
+  checklistBody.querySelectorAll('.form-check-input[data-suggest]').forEach(checkbox => {
+    const zone = candidates[checkbox.dataset.suggest];
+    if (zone) {
+      checkbox.closest('.form-check').insertAdjacentHTML('beforeend',
+        `<small class="d-block text-primary zone-suggestion">💡 Candidate: ${describeZone(currentAnalysis, zone)}</small>`);
+    }
+  });
+}
+
+/**
+ * Render history
+ */
+async function renderHistory() {
+  const history = await storage.getHistory();
+  renderHistoryFilterOptions(history);
+  renderStats(history);
+  
+  if (history.length === 0) {
+    historyContainer.innerHTML = '<p class="text-muted text-center">No analysis history yet</p>';
+    return;
+  }
+  
+  const { entries, total, page, pages } = historyQuery.apply(history);
+  
+  if (total === 0) {
+    historyContainer.innerHTML = '<p class="text-muted text-center">No analyses match the filters</p>';
+    return;
+  }
+  
+  const sortHeader = (column, label) => {
+    const icon = historyQuery.sort !== column ? 'bi-arrow-down-up text-muted' :
+                 historyQuery.order === 'asc' ? 'bi-sort-up' : 'bi-sort-down';
+    return `<th role="button" class="text-nowrap" data-sort="${column}">${label} <i class="bi ${icon}"></i></th>`;
+  };
+
+  let html = `
+    <div class="table-responsive">
+      <table class="table table-hover history-table">
+        <thead>
+          <tr>
+            ${sortHeader('time', 'Date')}
+            ${sortHeader('symbol', 'Symbol')}
+            ${sortHeader('bias', 'Bias')}
+            <th>Direction</th>
+            ${sortHeader('strength', 'Strength')}
+            ${sortHeader('checklist', 'Checklist')}
+            <th>Outcome</th>
+            <th>Action</th>
+          </tr>
+        </thead>
+        <tbody>
+  `;
+
+  entries.forEach(entry => {
+    const date = new Date(entry.timestamp);
+    const timeStr = entry.data.forecastDate
+      ? `${formatTradingDate(entry.data.forecastDate)}<br><span class="text-muted">saved ${date.toLocaleString()}</span>`
+      : date.toLocaleString();
+    const badgeClass = entry.analysis.bias.includes('BULLISH') ? 'bg-success' : 
+                      entry.analysis.bias.includes('BEARISH') ? 'bg-danger' : 'bg-warning';
+
+    html += `
+      <tr data-entry="${entry.id}" class="${entry.id === currentEntryId ? 'table-active' : ''}" title="Open this analysis">
+        <td><small>${timeStr}</small></td>
+        <td>
+          <strong>${escapeHtml(entry.symbol)}</strong>
+          ${entry.profile ? `<br><small class="text-muted">${escapeHtml(entry.profile.name)}</small>` : ''}
+        </td>
+        <td><span class="badge ${badgeClass}">${escapeHtml(entry.analysis.bias)}</span></td>
+        <td>${escapeHtml(entry.analysis.direction)}</td>
+        <td>
+          <div class="progress" style="height: 20px; width: 80px;">
+            <div class="progress-bar ${badgeClass}" style="width: ${entry.analysis.strength}%">
+              ${entry.analysis.strength.toFixed(0)}%
+            </div>
+          </div>
+        </td>
+        <td>${renderChecklistCell(entry)}</td>
+        <td>${renderOutcomeCell(entry)}</td>
+        <td class="text-nowrap">
+          <button class="btn btn-sm btn-outline-primary" onclick="recordOutcome(${entry.id})" title="Record actual outcome">
+            <i class="bi bi-check2-square"></i>
+          </button>
+          <button class="btn btn-sm btn-outline-danger" onclick="deleteHistoryEntry(${entry.id})">
+            <i class="bi bi-trash"></i>
+          </button>
+        </td>
+      </tr>
+    `;
+  });
+
+  const first = (page - 1) * HISTORY_PAGE_SIZE + 1;
+  
+  html += `
+        </tbody>
+      </table>
+    </div>
+    <div class="d-flex justify-content-between align-items-center">
+      <small class="text-muted">
+        ${first}-${first + entries.length - 1} of ${total}${total < history.length ? ` (filtered from ${history.length})` : ''}
+      </small>
+      ${pages > 1 ? renderHistoryPagination(page, pages) : ''}
+    </div>
+  `;
+
+  historyContainer.innerHTML = html;
+}
+
+/**
+ * Statistics dashboard over the whole history
+ */
+function renderStats(history) {
+  if (history.length === 0) {
+    statsContainer.innerHTML = '<p class="text-muted text-center">No analysis history yet</p>';
+    return;
+  }
+  
+  const stats = new HistoryStats(history).compute();
+  const rate = value => value === null ? '<span class="text-muted">-</span>' : `${value.toFixed(0)}%`;
+  
+  const distribution = group => {
+    const width = key => (group[key] / group.count) * 100;
+    return `
+      <div class="progress" style="height: 14px; min-width: 90px;" title="${group.bullish} bullish · ${group.bearish} bearish · ${group.neutral} neutral">
+        <div class="progress-bar bg-success" style="width: ${width('bullish')}%"></div>
+        <div class="progress-bar bg-danger" style="width: ${width('bearish')}%"></div>
+        <div class="progress-bar bg-warning" style="width: ${width('neutral')}%"></div>
+      </div>
+    `;
+  };
+  
+  const accuracy = group => `
+    <td>${group.graded}</td>
+    <td class="text-success">${rate(group.targetRate)}</td>
+    <td>${rate(group.directionRate)}</td>
+  `;
+  
+  const { current, longest } = stats.streaks;
+  
+  statsContainer.innerHTML = `
+    <div class="row text-center mb-3">
+      <div class="col-3"><h5 class="mb-0">${stats.total}</h5><small class="text-muted">Analyses</small></div>
+      <div class="col-3"><h5 class="mb-0">${stats.averageStrength.toFixed(0)}%</h5><small class="text-muted">Avg Confidence</small></div>
+      <div class="col-3"><h5 class="mb-0">${stats.graded}</h5><small class="text-muted">Graded</small></div>
+      <div class="col-3"><h5 class="mb-0 text-success">${rate(stats.targetRate)}</h5><small class="text-muted">Target Hit</small></div>
+    </div>
+    
+    <h6 class="fw-bold small">Bias by symbol</h6>
+    <div class="table-responsive">
+      <table class="table table-sm history-table">
+        <thead>
+          <tr>
+            <th>Symbol</th>
+            <th>Analyses</th>
+            <th>Bull / Bear / Neutral</th>
+            <th>Avg %</th>
+            <th>Graded</th>
+            <th>Target</th>
+            <th>Direction</th>
+          </tr>
+        </thead>
+        <tbody>
+          ${stats.bySymbol.map(group => `
+            <tr>
+              <td><strong>${escapeHtml(group.key)}</strong></td>
+              <td>${group.count}</td>
+              <td>${distribution(group)}</td>
+              <td>${group.averageStrength.toFixed(0)}%</td>
+              ${accuracy(group)}
+            </tr>
+          `).join('')}
+        </tbody>
+      </table>
+    </div>
+    
+    <h6 class="fw-bold small">Scenarios</h6>
+    <div class="table-responsive">
+      <table class="table table-sm history-table">
+        <thead>
+          <tr>
+            <th>Scenario</th>
+            <th>Fired</th>
+            <th>Avg %</th>
+            <th>Graded</th>
+            <th>Target</th>
+            <th>Direction</th>
+          </tr>
+        </thead>
+        <tbody>
+          ${stats.byScenario.map(group => `
+            <tr class="${group.count === 0 ? 'text-muted' : ''}">
+              <td><strong>${group.label}</strong></td>
+              <td>${group.count} <small class="text-muted">(${group.frequency.toFixed(0)}%)</small></td>
+              <td>${group.count > 0 ? `${group.averageStrength.toFixed(0)}%` : '-'}</td>
+              ${accuracy(group)}
+            </tr>
+          `).join('')}
+        </tbody>
+      </table>
+    </div>
+    
+    <h6 class="fw-bold small">Daily bias calendar</h6>
+    <div class="bias-calendar mb-2">
+      ${stats.calendar.map(week => `
+        <div class="week">
+          ${week.map(day => `
+            <div class="day ${day.lean || ''} ${day.future ? 'future' : ''}"
+                 title="${day.date}${day.lean ? `: ${day.bullish} bullish, ${day.bearish} bearish, ${day.neutral} neutral` : ''}"></div>
+          `).join('')}
+        </div>
+      `).join('')}
+    </div>
+    <small class="text-muted d-block">
+      Current streak: ${current.length > 0 ? `<strong class="${current.lean === 'bullish' ? 'text-success' : 'text-danger'}">${current.length} ${current.lean} day(s)</strong>` : 'none'}
+      · Longest: <span class="text-success">${longest.bullish} bullish</span> / <span class="text-danger">${longest.bearish} bearish</span>
+    </small>
+    <small class="text-muted d-block">Target and direction rates count graded forecasts with a setup; record outcomes from the history table to fill them in.</small>
+  `;
+}
+
+/**
+ * Page links for the history table
+ */
+function renderHistoryPagination(page, pages) {
+  const link = (target, label, disabled = false, active = false) => `
+    <li class="page-item ${disabled ? 'disabled' : ''} ${active ? 'active' : ''}">
+      <button type="button" class="page-link" data-page="${target}" ${disabled ? 'disabled' : ''}>${label}</button>
+    </li>
+  `;
+  
+  // First, last and the pages around the current one
+  const shown = [...new Set([1, page - 1, page, page + 1, pages])].filter(item => item >= 1 && item <= pages);
+  let items = link(page - 1, '&laquo;', page === 1);
+  
+  shown.forEach((item, index) => {
+    if (index > 0 && item - shown[index - 1] > 1) {
+      items += '<li class="page-item disabled"><span class="page-link">...</span></li>';
+    }
+    items += link(item, item, false, item === page);
+  });
+  
+  items += link(page + 1, '&raquo;', page === pages);
+  
+  return `<ul class="pagination pagination-sm mb-0">${items}</ul>`;
+}
+
+/**
+ * Symbol and scenario choices from the whole history
+ */
+function renderHistoryFilterOptions(history) {
+  const symbols = [...new Set(history.map(entry => entry.symbol))].sort();
+  const scenarios = [...new Set(history.flatMap(entry => entryScenarios(entry)))].sort();
+  
+  // Keep a bookmarked value selectable even if no entry has it any more
+  if (historyQuery.symbol && !symbols.includes(historyQuery.symbol)) {
+    symbols.push(historyQuery.symbol);
+  }
+  if (historyQuery.scenario && !scenarios.includes(historyQuery.scenario)) {
+    scenarios.push(historyQuery.scenario);
+  }
+  
+  historyFilters.elements.symbol.innerHTML = '<option value="">Any symbol</option>' + symbols
+    .map(symbol => `<option value="${escapeHtml(symbol)}" ${symbol === historyQuery.symbol ? 'selected' : ''}>${escapeHtml(symbol)}</option>`)
+    .join('');
+  
+  historyFilters.elements.scenario.innerHTML = '<option value="">Any scenario</option>' + scenarios
+    .map(scenario => `<option value="${scenario}" ${scenario === historyQuery.scenario ? 'selected' : ''}>${scenarioLabel(scenario)}</option>`)
+    .join('');
+}
+
+/**
+ * Copy the history query into the filter inputs
+ */
+function fillHistoryFilters() {
+  ['q', 'symbol', 'bias', 'scenario', 'minStrength', 'maxStrength', 'from', 'to'].forEach(name => {
+    historyFilters.elements[name].value = historyQuery[name];
+  });
+}
 
-    <div class="bias-card ${biasClass} p-4 rounded-3 mb-3 fade-in">
-      <div class="d-flex justify-content-between align-items-center mb-3">
-        <h3 class="mb-0">${icon} ${analysis.bias}</h3>
-        <span class="badge ${badgeClass} badge-custom">${analysis.direction}</span>
-      </div>
-      
-      <div class="progress mb-3" style="height: 25px;">
-        <div class="progress-bar ${badgeClass}" role="progressbar" 
-             style="width: ${analysis.strength}%;" 
-             aria-valuenow="${analysis.strength}" aria-valuemin="0" aria-valuemax="100">
-          Confidence: ${analysis.strength.toFixed(0)}%
-        </div>
-      </div>
+/**
+ * Re-filter the history when a filter input changes
+ */
+function handleHistoryFilter(e) {
+  if (!e.target.name) {
+    return;
+  }
+  
+  setHistoryQuery(historyQuery.with({ [e.target.name]: e.target.value.trim() }));
+}
 
-      ${analysis.scenario.type ? `
-        <div class="alert alert-primary mb-3">
-          <h6 class="fw-bold mb-2">📋 Forecast Scenario</h6>
-          <p class="mb-0">${analysis.scenario.type}</p>
-        </div>
-      ` : ''}
+/**
+ * Sort headers and page links in the history table
+ */
+function handleHistoryTableClick(e) {
+  const header = e.target.closest('[data-sort]');
+  const pageLink = e.target.closest('[data-page]');
+  const row = e.target.closest('tr[data-entry]');
+  
+  if (header) {
+    setHistoryQuery(historyQuery.sortBy(header.dataset.sort));
+  } else if (pageLink) {
+    setHistoryQuery(historyQuery.with({ page: parseInt(pageLink.dataset.page, 10) }));
+  } else if (row && !e.target.closest('button')) {
+    openHistoryEntry(Number(row.dataset.entry));
+  }
+}
 
-      <div class="mb-3">
-        <h6 class="fw-bold">🔍 Analysis Details:</h6>
-        <ul class="list-unstyled mb-0">
-          ${analysis.reasoning.map(reason => `<li class="mb-1">• ${reason}</li>`).join('')}
-        </ul>
-      </div>
+/**
+ * Show a saved analysis exactly as it was stored, with its checklist progress
+ */
+async function openHistoryEntry(id) {
+  try {
+    const entry = await storage.getEntry(id);
+    
+    if (!entry) {
+      return;
+    }
+    
+    currentEntryId = entry.id;
+    currentAnalysis = entry.analysis;
+    riskRules = null;
+    await showSavedChecklist(entry);
+    
+    await displayResults(entry.analysis, withTradingDates(entry).data, entry);
+    await renderHistory();
+    
+    resultsContainer.scrollIntoView({ behavior: 'smooth', block: 'start' });
+  } catch (error) {
+    console.error('Error opening analysis:', error);
+    alert('❌ Error opening analysis: ' + error.message);
+  }
+}
 
-      <hr>
-      <div class="alert alert-info mb-3">
-        <strong>💡 Trading Plan:</strong> ${analysis.recommendation}
-      </div>
-    </div>
+/**
+ * The checklist a saved analysis was worked through, with its ticks. Nothing
+ * is written back until the user ticks a box.
+ */
+async function showSavedChecklist(entry) {
+  const saved = entry.checklist || {};
+  const template = (saved.templateId && await checklistManager.getTemplate(saved.templateId)) ||
+    await checklistManager.templateFor(BiasCalculator.direction(entry.analysis.bias), entry.profile ? entry.profile.id : DEFAULT_PROFILE.id);
+  
+  renderChecklist(template);
+  showCheckedItems(saved.checked || {});
+  applyZoneSuggestions();
+}
 
-    <!-- Bullish Setup Card -->
-    ${Object.keys(analysis.bullishSetup).length > 0 ? `
-      <div class="card mb-3 border-success">
-        <div class="card-header bg-success text-white">
-          <h6 class="mb-0">🟢 BULLISH SETUP (BUY)</h6>
-        </div>
-        <div class="card-body">
-          <div class="row mb-2">
-            <div class="col-6"><strong>Sweep Level:</strong></div>
-            <div class="col-6">${analysis.bullishSetup.sweepLevel}</div>
-          </div>
-          <div class="row mb-2">
-            <div class="col-6"><strong>Entry Zone:</strong></div>
-            <div class="col-6">${analysis.bullishSetup.entryZone}</div>
-          </div>
-          <div class="row mb-3">
-            <div class="col-6"><strong>Stop Loss:</strong></div>
-            <div class="col-6 text-danger">${analysis.bullishSetup.invalidation}</div>
-          </div>
-          <div>
-            <strong>🎯 Targets:</strong>
-            <ol class="mb-0 mt-2">
-              ${analysis.bullishSetup.targets.map(t => 
-                `<li><strong>${t.level}</strong> <small class="text-muted">(${t.label})</small></li>`
-              ).join('')}
-            </ol>
+/**
+ * Analyse every watchlist symbol with the active profile and show the dashboard
+ */
+async function renderWatchlist() {
+  let items;
+  
+  try {
+    items = await watchlistManager.getItems();
+  } catch (error) {
+    console.error('Error loading watchlist:', error);
+    items = [];
+  }
+  
+  if (items.length === 0) {
+    watchlistRows = [];
+    watchlistContainer.innerHTML = '<p class="text-muted text-center mb-0">No symbols on the watchlist yet</p>';
+    return;
+  }
+  
+  let profile = DEFAULT_PROFILE;
+  try {
+    profile = await profileManager.getActiveProfile();
+  } catch (error) {
+    console.error('Error loading the active profile:', error);
+  }
+  watchlistRows = WatchlistManager.sort(watchlistManager.analyze(items, profile, holidays), watchlistSort.sort, watchlistSort.order);
+  
+  const sortHeader = (column, label) => {
+    const icon = watchlistSort.sort !== column ? 'bi-arrow-down-up text-muted' :
+                 watchlistSort.order === 'asc' ? 'bi-sort-up' : 'bi-sort-down';
+    return `<th role="button" class="text-nowrap" data-watch-sort="${column}">${label} <i class="bi ${icon}"></i></th>`;
+  };
+  
+  const rows = watchlistRows.map(row => {
+    const symbolCell = `
+      <td>
+        <strong>${escapeHtml(row.symbol)}</strong>
+        ${row.item.pd.date ? `<br><small class="text-muted">D-1 ${escapeHtml(row.item.pd.date)}</small>` : ''}
+      </td>
+    `;
+    const removeCell = `
+      <td>
+        <button class="btn btn-sm btn-outline-danger" data-remove="${escapeHtml(row.symbol)}" title="Remove from watchlist">
+          <i class="bi bi-x-lg"></i>
+        </button>
+      </td>
+    `;
+    
+    if (row.error) {
+      return `<tr class="table-danger">${symbolCell}<td colspan="6"><small>❌ ${escapeHtml(row.error)}</small></td>${removeCell}</tr>`;
+    }
+    
+    const analysis = row.analysis;
+    const badgeClass = analysis.bias.includes('BULLISH') ? 'bg-success' :
+                      analysis.bias.includes('BEARISH') ? 'bg-danger' : 'bg-warning';
+    const candles = [row.item.dbpd, row.item.pd, chartManager.generateForecastCandle(row.data, analysis)];
+    
+    return `
+      <tr data-symbol="${escapeHtml(row.symbol)}" title="Open the full analysis">
+        ${symbolCell}
+        <td><span class="badge ${badgeClass}">${analysis.bias}</span></td>
+        <td><small>${analysis.direction}</small></td>
+        <td>
+          <div class="progress" style="height: 20px; width: 80px;">
+            <div class="progress-bar ${badgeClass}" style="width: ${analysis.strength}%">${analysis.strength.toFixed(0)}%</div>
           </div>
-        </div>
-      </div>
-    ` : ''}
+        </td>
+        <td><small>${row.scenarios.join(', ') || '-'}</small></td>
+        <td class="text-nowrap">
+          ${row.sweepLevel === null ? '-' : `
+            <small>${row.sweepDistance.toFixed(1)} ${row.sweepLabel}</small>
+            <br><small class="text-muted">to ${formatPrice(analysis, row.sweepLevel)}</small>
+          `}
+        </td>
+        <td>${miniChartSvg(candles)}</td>
+        ${removeCell}
+      </tr>
+    `;
+  });
+  
+  watchlistContainer.innerHTML = `
+    <div class="table-responsive">
+      <table class="table table-hover table-sm align-middle watchlist-table mb-0">
+        <thead>
+          <tr>
+            ${sortHeader('symbol', 'Symbol')}
+            ${sortHeader('bias', 'Bias')}
+            ${sortHeader('direction', 'Direction')}
+            ${sortHeader('strength', 'Strength')}
+            ${sortHeader('scenario', 'Scenario')}
+            ${sortHeader('sweep', 'To Sweep')}
+            <th>Chart</th>
+            <th></th>
+          </tr>
+        </thead>
+        <tbody>${rows.join('')}</tbody>
+      </table>
+    </div>
+    <small class="text-muted d-block mt-2">${watchlistRows.length} symbol(s) · ${escapeHtml(profile.name)} profile · click a row for the full analysis</small>
+  `;
+}
 
-    <!-- Bearish Setup Card -->
-    ${Object.keys(analysis.bearishSetup).length > 0 ? `
-      <div class="card mb-3 border-danger">
-        <div class="card-header bg-danger text-white">
-          <h6 class="mb-0">🔴 BEARISH SETUP (SELL)</h6>
-        </div>
-        <div class="card-body">
-          <div class="row mb-2">
-            <div class="col-6"><strong>Sweep Level:</strong></div>
-            <div class="col-6">${analysis.bearishSetup.sweepLevel}</div>
-          </div>
-          <div class="row mb-2">
-            <div class="col-6"><strong>Entry Zone:</strong></div>
-            <div class="col-6">${analysis.bearishSetup.entryZone}</div>
-          </div>
-          <div class="row mb-3">
-            <div class="col-6"><strong>Stop Loss:</strong></div>
-            <div class="col-6 text-danger">${analysis.bearishSetup.invalidation}</div>
-          </div>
-          <div>
-            <strong>🎯 Targets:</strong>
-            <ol class="mb-0 mt-2">
-              ${analysis.bearishSetup.targets.map(t => 
-                `<li><strong>${t.level}</strong> <small class="text-muted">(${t.label})</small></li>`
-              ).join('')}
-            </ol>
-          </div>
-        </div>
-      </div>
-    ` : ''}
+/**
+ * Sort, remove or open from the watchlist dashboard
+ */
+async function handleWatchlistClick(e) {
+  const header = e.target.closest('[data-watch-sort]');
+  const remove = e.target.closest('[data-remove]');
+  const row = e.target.closest('tr[data-symbol]');
+  
+  if (header) {
+    const column = header.dataset.watchSort;
+    watchlistSort = column === watchlistSort.sort
+      ? { sort: column, order: watchlistSort.order === 'asc' ? 'desc' : 'asc' }
+      : { sort: column, order: column === 'strength' ? 'desc' : 'asc' };
+    renderWatchlist();
+  } else if (remove) {
+    try {
+      await watchlistManager.removeItem(remove.dataset.remove);
+    } catch (error) {
+      console.error('Error saving watchlist:', error);
+      watchlistMessages.innerHTML = `<div class="alert alert-danger small py-2 mb-2">❌ ${escapeHtml(remove.dataset.remove)} could not be removed: ${escapeHtml(error.message)}</div>`;
+    }
+    renderWatchlist();
+  } else if (row) {
+    openWatchlistItem(row.dataset.symbol);
+  }
+}
 
-    <!-- Price Levels Summary -->
-    <div class="card">
+/**
+ * Load a watchlist symbol into the form and run the full analysis
+ */
+function openWatchlistItem(symbol) {
+  const row = watchlistRows.find(watchlistRow => watchlistRow.symbol === symbol);
+  
+  if (!row) {
+    return;
+  }
+  
+  // Only the two daily candles come from the watchlist
+  clearImportedCandles();
+  fillFormCandles(row.item.dbpd, row.item.pd, row.symbol);
+  biasForm.requestSubmit();
+}
+
+/**
+ * Add the symbol and D-2 / D-1 candles typed into the form
+ */
+async function handleWatchlistAddForm() {
+  const formData = { symbol: document.getElementById('symbol').value.trim(), ...readTradingDates() };
+  
+  ['dbpd', 'pd'].forEach(prefix => {
+    ['Open', 'High', 'Low', 'Close'].forEach(field => {
+      formData[`${prefix}${field}`] = document.getElementById(`${prefix}${field}`).value;
+    });
+  });
+  
+  if (!formData.symbol) {
+    alert('❌ Watchlist: Enter a symbol first');
+    return;
+  }
+  
+  if (!validateInputs(formData)) {
+    return;
+  }
+  
+  try {
+    await watchlistManager.addItems([WatchlistManager.fromFormData(formData)]);
+    renderWatchlist();
+  } catch (error) {
+    console.error('Error saving watchlist:', error);
+    alert('❌ Watchlist could not be saved: ' + error.message);
+  }
+}
+
+/**
+ * Add every symbol of an imported or pasted candle file
+ */
+async function addWatchlistText(text, fileName) {
+  const result = new OhlcImporter({ dateOrder: importDateOrder.value }).parse(text, fileName);
+  const { items, skipped } = WatchlistManager.fromCandles(result.candles);
+  let html = '';
+  
+  if (items.length > 0) {
+    try {
+      const { added, updated } = await watchlistManager.addItems(items);
+      html += `<div class="alert alert-success small py-2 mb-2">✅ ${added} symbol(s) added, ${updated} updated</div>`;
+      watchlistPaste.value = '';
+      watchlistFile.value = '';
+    } catch (error) {
+      console.error('Error saving watchlist:', error);
+      html += `<div class="alert alert-danger small py-2 mb-2">❌ Watchlist could not be saved: ${escapeHtml(error.message)}</div>`;
+    }
+  }
+  
+  if (skipped.length > 0) {
+    html += `<div class="alert alert-warning small py-2 mb-2">⚠️ Skipped ${skipped.map(escapeHtml).join(', ')} - each symbol needs a symbol column and at least 2 days</div>`;
+  }
+  
+  if (result.errors.length > 0) {
+    html += `<div class="alert alert-danger small py-2 mb-0">❌ ${result.errors.length} row(s) skipped: ${result.errors.slice(0, 3).map(error => `Row ${error.row}: ${escapeHtml(error.message)}`).join('; ')}</div>`;
+  }
+  
+  watchlistMessages.innerHTML = html;
+  renderWatchlist();
+}
+
+/**
+ * Remove every watchlist symbol
+ */
+async function handleWatchlistClear() {
+  if (!confirm('Remove every symbol from the watchlist?')) {
+    return;
+  }
+  
+  try {
+    await watchlistManager.clear();
+    watchlistMessages.innerHTML = '';
+  } catch (error) {
+    console.error('Error saving watchlist:', error);
+    watchlistMessages.innerHTML = `<div class="alert alert-danger small py-2 mb-2">❌ Watchlist could not be cleared: ${escapeHtml(error.message)}</div>`;
+  }
+  renderWatchlist();
+}
+
+/**
+ * Replace every symbol's D-2 / D-1 with the latest two days from the data provider
+ */
+async function handleWatchlistRefresh() {
+  let items;
+  
+  try {
+    items = await watchlistManager.getItems();
+  } catch (error) {
+    console.error('Error loading watchlist:', error);
+    watchlistMessages.innerHTML = `<div class="alert alert-danger small py-2 mb-2">❌ Watchlist could not be loaded: ${escapeHtml(error.message)}</div>`;
+    return;
+  }
+  
+  if (items.length === 0) {
+    return;
+  }
+  
+  const { forecastDate } = inferTradingDates(localDate(), holidays);
+  const candles = [];
+  const failed = [];
+  
+  for (const item of items) {
+    try {
+      const series = await fetchRecentCandles(dataProvider, item.symbol, forecastDate, 2, holidays);
+      candles.push(...series.map(candle => ({ ...candle, symbol: item.symbol })));
+    } catch (error) {
+      failed.push(error.message);
+    }
+  }
+  
+  const { items: refreshed } = WatchlistManager.fromCandles(candles);
+  let html = '';
+  
+  if (refreshed.length > 0) {
+    try {
+      await watchlistManager.addItems(refreshed);
+      html += `<div class="alert alert-success small py-2 mb-2">✅ ${refreshed.length} symbol(s) refreshed from ${escapeHtml(dataProvider.label)}</div>`;
+    } catch (error) {
+      console.error('Error saving watchlist:', error);
+      html += `<div class="alert alert-danger small py-2 mb-2">❌ Watchlist could not be saved: ${escapeHtml(error.message)}</div>`;
+    }
+  }
+  
+  if (failed.length > 0) {
+    html += `<div class="alert alert-warning small py-2 mb-0">⚠️ Not refreshed: ${failed.map(escapeHtml).join('; ')}</div>`;
+  }
+  
+  watchlistMessages.innerHTML = html;
+  renderWatchlist();
+}
+
+/**
+ * Entry with D-2 / D-1 / forecast dates - entries saved before dates were
+ * recorded are dated by the day they were made
+ */
+function withTradingDates(entry) {
+  if (entry.data.pdDate) {
+    return entry;
+  }
+  
+  return { ...entry, data: { ...entry.data, ...inferTradingDates(localDate(entry.timestamp), holidays) } };
+}
+
+/**
+ * Run the saved input through the current calculator and active profile and
+ * show what changed against the stored analysis
+ */
+async function handleRerunAnalysis(entry) {
+  const comparison = document.getElementById('rerunComparison');
+  let profile;
+  let rerun;
+  
+  try {
+    profile = await profileManager.getActiveProfile();
+    rerun = new BiasCalculator(entry.data, profile).calculateBias();
+  } catch (error) {
+    console.error('Error re-running analysis:', error);
+    alert('❌ Re-run failed: ' + error.message);
+    return;
+  }
+  
+  const diff = diffAnalyses(entry.analysis, rerun);
+  
+  comparison.innerHTML = `
+    <div class="card mb-3 shadow-sm">
+      <div class="card-header ${diff.changed ? 'bg-warning' : 'bg-success text-white'}">
+        <h6 class="mb-0">
+          <i class="bi bi-arrow-repeat"></i> Re-run with current rules
+          <small>(${escapeHtml(profile.name)} profile${entry.profile ? ` vs saved ${escapeHtml(entry.profile.name)}` : ''})</small>
+        </h6>
+      </div>
       <div class="card-body">
-        <h6 class="card-title fw-bold mb-3">📊 OHLC Data Reference</h6>
+        ${diff.changed ? '' : '<p class="text-success mb-2"><strong>✅ Same forecast</strong> - the current rules agree with the saved analysis.</p>'}
         <div class="table-responsive">
-          <table class="table table-sm table-bordered mb-3">
-            <thead class="table-light">
+          <table class="table table-sm small mb-2">
+            <thead>
               <tr>
-                <th>Period</th>
-                <th>Open</th>
-                <th>High</th>
-                <th>Low</th>
-                <th>Close</th>
-                <th>Candle</th>
+                <th></th>
+                <th>Saved</th>
+                <th>Current rules</th>
               </tr>
             </thead>
             <tbody>
-              <tr>
-                <td><strong>D-2</strong></td>
-                <td>${data.dbpdOpen}</td>
-                <td class="text-success fw-bold">${data.dbpdHigh}</td>
-                <td class="text-danger fw-bold">${data.dbpdLow}</td>
-                <td>${data.dbpdClose}</td>
-                <td><span class="badge ${analysis.candleAnalysis.dbpd.isBullish ? 'bg-success' : analysis.candleAnalysis.dbpd.isBearish ? 'bg-danger' : 'bg-secondary'}">${analysis.candleAnalysis.dbpd.type}</span></td>
-              </tr>
-              <tr>
-                <td><strong>D-1</strong></td>
-                <td>${data.pdOpen}</td>
-                <td class="text-success fw-bold">${data.pdHigh}</td>
-                <td class="text-danger fw-bold">${data.pdLow}</td>
-                <td>${data.pdClose}</td>
-                <td><span class="badge ${analysis.candleAnalysis.pd.isBullish ? 'bg-success' : analysis.candleAnalysis.pd.isBearish ? 'bg-danger' : 'bg-secondary'}">${analysis.candleAnalysis.pd.type}</span></td>
-              </tr>
+              ${diff.fields.map(field => `
+                <tr class="${field.changed ? 'table-warning fw-bold' : 'text-muted'}">
+                  <td>${field.changed ? '⚠️ ' : ''}${field.label}</td>
+                  <td>${escapeHtml(field.saved)}</td>
+                  <td>${escapeHtml(field.current)}</td>
+                </tr>
+              `).join('')}
             </tbody>
           </table>
-          
-          <div class="row">
-            <div class="col-6">
-              <small class="text-muted">
-                <strong>D-2 Body:</strong> ${analysis.candleAnalysis.dbpd.bodyPercent}% of range<br>
-                <strong>D-1 Body:</strong> ${analysis.candleAnalysis.pd.bodyPercent}% of range
-              </small>
-            </div>
-            <div class="col-6">
-              <small class="text-muted">
-                <strong>D-2 Midpoint:</strong> ${analysis.keyLevels.dbpdMid.toFixed(5)}<br>
-                <strong>D-1 Midpoint:</strong> ${analysis.keyLevels.pdMid.toFixed(5)}
-              </small>
-            </div>
-          </div>
         </div>
+        ${diff.added.length > 0 || diff.removed.length > 0 ? `
+          <h6 class="small fw-bold">Reasoning changes</h6>
+          <ul class="list-unstyled small mb-0">
+            ${diff.added.map(line => `<li class="text-success">+ ${escapeHtml(line)}</li>`).join('')}
+            ${diff.removed.map(line => `<li class="text-danger">− ${escapeHtml(line)}</li>`).join('')}
+          </ul>
+        ` : '<small class="text-muted">Reasoning unchanged</small>'}
       </div>
     </div>
   `;
+}
 
-  // Set HTML first
-  resultsContainer.innerHTML = html;
+/**
+ * Apply a new history query, keeping it in the URL so the view can be bookmarked
+ */
+function setHistoryQuery(query) {
+  historyQuery = query;
+  
+  const params = query.toSearchParams().toString();
+  window.history.replaceState(null, '', `${window.location.pathname}${params ? `?${params}` : ''}${window.location.hash}`);
+  
+  renderHistory();
+}
 
-  // Use requestAnimationFrame for better DOM rendering timing
-  requestAnimationFrame(() => {
-    requestAnimationFrame(() => {
-      const chartContainer = document.getElementById('chartContainer');
-      
-      if (!chartContainer) {
-        console.error('Chart container not found in DOM after rendering');
-        return;
-      }
+/**
+ * Checklist completion saved with a history entry
+ */
+function renderChecklistCell(entry) {
+  // Ticks migrated from the old global checklist have no score yet
+  if (!entry.checklist || entry.checklist.total === undefined) {
+    return '<small class="text-muted">-</small>';
+  }
+  
+  const { completed, total, ready, templateName } = entry.checklist;
+  
+  return `
+    <span class="badge ${ready ? 'bg-success' : 'bg-secondary'}" title="${escapeHtml(templateName)}">${completed}/${total}</span>
+    <br><small class="${ready ? 'text-success' : 'text-muted'}">${ready ? 'Ready' : 'Not ready'}</small>
+  `;
+}
 
-      try {
-        chartManager.renderChart(data, analysis);
-        chartManager.addPriceLines(data, analysis);
-      } catch (error) {
-        console.error('Error rendering chart:', error);
-        chartContainer.innerHTML = `
-          <div class="alert alert-warning m-3">
-            <strong>⚠️ Chart Rendering Error</strong>
-            <p class="mb-1 small">${error.message}</p>
-            <small class="text-muted">All analysis data is available below. Try refreshing the page if the chart doesn't load.</small>
-          </div>
-        `;
-      }
-    });
-  });
+/**
+ * Status badge and grade details for the history table
+ */
+function renderOutcomeCell(entry) {
+  if (!entry.outcome) {
+    return '<small class="text-muted">Pending</small>';
+  }
+  
+  const { grade } = entry.outcome;
+  const label = OUTCOME_LABELS[grade.status];
+  const details = [];
+  
+  if (grade.biasCorrect !== null) {
+    details.push(grade.biasCorrect ? '✅ Direction' : '❌ Direction');
+  }
+  if (grade.sweepTapped) {
+    details.push('🎯 Sweep tapped');
+  }
+  if (grade.targetsHit.length > 0) {
+    details.push(`Targets: ${grade.targetsHit.join(', ')}`);
+  }
+  
+  return `
+    <span class="badge ${label.badge}">${label.text}</span>
+    ${details.length > 0 ? `<br><small class="text-muted">${details.join(' · ')}</small>` : ''}
+  `;
 }
 
 /**
- * Render history
+ * Open the outcome dialog for a history entry
  */
-function renderHistory() {
-  const history = storage.getHistory();
+window.recordOutcome = async function(id) {
+  const entry = await storage.getEntry(id);
   
-  if (history.length === 0) {
-    historyContainer.innerHTML = '<p class="text-muted text-center">No analysis history yet</p>';
+  if (!entry) {
     return;
   }
+  
+  outcomeEntryId = id;
+  outcomeCandles = [];
+  outcomeFile.value = '';
+  outcomeDate.classList.add('d-none');
+  outcomeEntryInfo.textContent = `${entry.symbol} · ${entry.analysis.bias} · analysed ${new Date(entry.timestamp).toLocaleString()}`;
+  
+  OUTCOME_FIELDS.forEach(field => {
+    document.getElementById(`outcome${capitalize(field)}`).value = entry.outcome ? entry.outcome.actual[field] : '';
+  });
+  
+  renderOutcomePreview();
+  Modal.getOrCreateInstance(outcomeModalEl).show();
+};
 
-  let html = `
-    <div class="table-responsive">
-      <table class="table table-hover history-table">
-        <thead>
-          <tr>
-            <th>Time</th>
-            <th>Symbol</th>
-            <th>Bias</th>
-            <th>Direction</th>
-            <th>Strength</th>
-            <th>Action</th>
-          </tr>
-        </thead>
-        <tbody>
-  `;
+/**
+ * Load D0 candidates from a file for the outcome dialog. Only the entry's
+ * symbol is used, and only its forecast day is preselected.
+ */
+async function handleOutcomeFile() {
+  const file = outcomeFile.files[0];
+  let entry;
+  
+  try {
+    entry = await storage.getEntry(outcomeEntryId);
+  } catch (error) {
+    console.error('Error loading analysis:', error);
+    alert('❌ Error loading analysis: ' + error.message);
+    return;
+  }
+  
+  if (!file || !entry) {
+    return;
+  }
+  
+  const registry = new InstrumentRegistry();
+  const symbol = registry.normalizeSymbol(entry.symbol);
+  const { data } = withTradingDates(entry);
+  const d0 = data.forecastDate || nextTradingDay(data.pdDate, holidays);
+  
+  const reader = new FileReader();
+  reader.onload = () => {
+    const result = new OhlcImporter({ dateOrder: importDateOrder.value }).parse(reader.result, file.name);
+    
+    if (result.candles.length === 0) {
+      alert('❌ Import: No valid rows found\n\n' + result.errors.map(error => `Row ${error.row}: ${error.message}`).join('\n'));
+      return;
+    }
+    
+    // A file without a symbol column is taken as the entry's symbol
+    outcomeCandles = result.candles.filter(candle => candle.symbol === 'N/A' || registry.normalizeSymbol(candle.symbol) === symbol);
+    
+    if (outcomeCandles.length === 0) {
+      alert(`❌ Import: No ${entry.symbol} rows in the file (found ${result.symbols.join(', ')})`);
+      return;
+    }
+    
+    const match = outcomeCandles.findIndex(candle => candle.date === d0);
+    
+    outcomeDate.innerHTML = (match === -1 ? '<option value="">Pick the D0 day</option>' : '') + outcomeCandles
+      .map((candle, index) => `<option value="${index}">${escapeHtml(candle.date)} · ${escapeHtml(candle.symbol)}</option>`)
+      .reverse()
+      .join('');
+    outcomeDate.value = match === -1 ? '' : String(match);
+    outcomeDate.classList.remove('d-none');
+    
+    if (match === -1) {
+      alert(`⚠️ Import: No ${d0} candle in the file - pick the day this forecast was for`);
+      return;
+    }
+    
+    fillOutcomeFromCandle(outcomeDate.value);
+  };
+  reader.onerror = () => alert('❌ Import: Could not read ' + file.name);
+  reader.readAsText(file);
+}
 
-  history.forEach(entry => {
-    const date = new Date(entry.timestamp);
-    const timeStr = date.toLocaleString();
-    const badgeClass = entry.analysis.bias.includes('BULLISH') ? 'bg-success' : 
-                      entry.analysis.bias.includes('BEARISH') ? 'bg-danger' : 'bg-warning';
+/**
+ * Copy an imported candle into the outcome inputs
+ */
+function fillOutcomeFromCandle(index) {
+  const candle = outcomeCandles[index];
+  
+  if (!candle) {
+    return;
+  }
+  
+  OUTCOME_FIELDS.forEach(field => {
+    document.getElementById(`outcome${capitalize(field)}`).value = candle[field];
+  });
+  renderOutcomePreview();
+}
 
-    html += `
-      <tr>
-        <td><small>${timeStr}</small></td>
-        <td><strong>${entry.symbol}</strong></td>
-        <td><span class="badge ${badgeClass}">${entry.analysis.bias}</span></td>
-        <td>${entry.analysis.direction}</td>
-        <td>
-          <div class="progress" style="height: 20px; width: 80px;">
-            <div class="progress-bar ${badgeClass}" style="width: ${entry.analysis.strength}%">
-              ${entry.analysis.strength.toFixed(0)}%
-            </div>
-          </div>
-        </td>
-        <td>
-          <button class="btn btn-sm btn-outline-danger" onclick="deleteHistoryEntry(${entry.id})">
-            <i class="bi bi-trash"></i>
-          </button>
-        </td>
-      </tr>
-    `;
+/**
+ * Read the outcome inputs, or return an error message
+ */
+function readOutcomeInputs() {
+  const actual = {};
+  
+  OUTCOME_FIELDS.forEach(field => {
+    actual[field] = parseFloat(document.getElementById(`outcome${capitalize(field)}`).value);
   });
+  
+  if (OUTCOME_FIELDS.some(field => isNaN(actual[field]))) {
+    return { error: 'All fields must contain valid numbers' };
+  }
+  
+  if (actual.high <= actual.low) {
+    return { error: 'High must be greater than Low' };
+  }
+  
+  if (actual.open < actual.low || actual.open > actual.high || actual.close < actual.low || actual.close > actual.high) {
+    return { error: 'Open and Close must be within High and Low range' };
+  }
+  
+  return { actual };
+}
 
-  html += `
-        </tbody>
-      </table>
-    </div>
-  `;
+/**
+ * Show the grade the current inputs would produce
+ */
+async function renderOutcomePreview() {
+  const entry = await storage.getEntry(outcomeEntryId);
+  const { actual, error } = readOutcomeInputs();
+  
+  if (!entry || error) {
+    outcomeGradePreview.innerHTML = '';
+    return;
+  }
+  
+  outcomeGradePreview.innerHTML = renderOutcomeCell({ outcome: { grade: outcomeGrader.grade(entry.analysis, actual) } });
+}
 
-  historyContainer.innerHTML = html;
+/**
+ * Grade and store the actual outcome
+ */
+async function handleSaveOutcome() {
+  const entry = await storage.getEntry(outcomeEntryId);
+  const { actual, error } = readOutcomeInputs();
+  
+  if (!entry) {
+    return;
+  }
+  
+  if (error) {
+    alert('❌ Actual Day: ' + error);
+    return;
+  }
+  
+  try {
+    await storage.saveOutcome(entry.id, actual, outcomeGrader.grade(entry.analysis, actual));
+  } catch (error) {
+    console.error('Error saving outcome:', error);
+    alert('❌ Error saving outcome: ' + error.message);
+    return;
+  }
+  
+  Modal.getOrCreateInstance(outcomeModalEl).hide();
+  renderHistory();
+}
+
+/**
+ * Upper-case the first letter, for building element ids
+ */
+function capitalize(text) {
+  return text.charAt(0).toUpperCase() + text.slice(1);
 }
 
 /**
  * Delete history entry
  */
-window.deleteHistoryEntry = function(id) {
+window.deleteHistoryEntry = async function(id) {
   if (confirm('Delete this entry?')) {
-    storage.deleteEntry(id);
+    await storage.deleteEntry(id);
+    if (id === currentEntryId) {
+      currentEntryId = null;
+      await saveChecklistState();
+    }
     renderHistory();
   }
 };
@@ -673,50 +3289,335 @@ window.deleteHistoryEntry = function(id) {
 /**
  * Clear all history
  */
-function handleClearHistory() {
+async function handleClearHistory() {
   if (confirm('Clear all analysis history?')) {
-    storage.clearHistory();
+    await storage.clearHistory();
+    currentEntryId = null;
+    await saveChecklistState();
+    renderHistory();
+  }
+}
+
+/**
+ * Download all app data as a backup file
+ */
+async function handleExportBackup() {
+  try {
+    const backup = await backupManager.export();
+    downloadBlob(new Blob([JSON.stringify(backup, null, 2)], { type: 'application/json' }), BackupManager.fileName());
+  } catch (error) {
+    console.error('Error exporting backup:', error);
+    alert('❌ Backup export failed: ' + error.message);
+  }
+}
+
+/**
+ * Validate the selected backup file and preview the import
+ */
+function readBackupFile() {
+  const file = backupFile.files[0];
+  backupImport = null;
+  
+  if (!file) {
+    renderBackupPreview();
+    return;
+  }
+  
+  const reader = new FileReader();
+  reader.onload = () => {
+    try {
+      backupImport = backupManager.parse(reader.result);
+      renderBackupPreview();
+    } catch (error) {
+      backupPlan = null;
+      importBackupBtn.disabled = true;
+      backupPreview.innerHTML = `<div class="alert alert-danger small py-2 mb-0" style="white-space: pre-line;">❌ ${escapeHtml(error.message)}</div>`;
+    }
+  };
+  reader.readAsText(file);
+}
+
+/**
+ * What the import will add, skip and remove in the selected mode
+ */
+async function renderBackupPreview() {
+  backupPlan = null;
+  importBackupBtn.disabled = true;
+  
+  if (!backupImport) {
+    backupPreview.innerHTML = '<p class="text-muted small mb-0">Select a backup file to see what will be imported</p>';
+    return;
+  }
+  
+  const plan = await backupManager.plan(backupImport, backupMode.value);
+  const { sections } = plan;
+  const added = sections.analyses.add;
+  const changes = Object.keys(sections).some(section => sections[section].add.length > 0 || sections[section].removed > 0);
+  
+  backupPreview.innerHTML = `
+    <p class="small text-muted mb-2">
+      Backup v${backupImport.version}${backupImport.exportedAt ? ` exported ${new Date(backupImport.exportedAt).toLocaleString()}` : ''}
+    </p>
+    <table class="table table-sm small">
+      <thead>
+        <tr>
+          <th></th>
+          <th class="text-success">Add</th>
+          <th class="text-muted">Skip (already here)</th>
+          <th class="text-danger">Remove</th>
+        </tr>
+      </thead>
+      <tbody>
+        ${Object.keys(BACKUP_SECTIONS).map(section => `
+          <tr>
+            <td>${BACKUP_SECTIONS[section].label}</td>
+            <td>${sections[section].add.length}</td>
+            <td>${sections[section].skipped}</td>
+            <td>${sections[section].removed}</td>
+          </tr>
+        `).join('')}
+      </tbody>
+    </table>
+    ${added.length > 0 ? `
+      <h6 class="small fw-bold">History entries to add</h6>
+      <ul class="small mb-0">
+        ${added.slice(0, 10).map(entry => `
+          <li>${new Date(entry.timestamp).toLocaleString()} · <strong>${escapeHtml(entry.symbol)}</strong> · ${escapeHtml(entry.analysis.bias)}</li>
+        `).join('')}
+        ${added.length > 10 ? `<li class="text-muted">...and ${added.length - 10} more</li>` : ''}
+      </ul>
+    ` : ''}
+    ${changes ? '' : '<p class="text-muted small mb-0">Nothing new to import</p>'}
+  `;
+  
+  backupPlan = plan;
+  importBackupBtn.disabled = !changes;
+}
+
+/**
+ * Write the previewed import and reload everything shown from storage
+ */
+async function handleImportBackup() {
+  if (!backupPlan) {
+    return;
+  }
+  
+  const removed = backupPlan.sections.analyses.removed;
+  if (backupPlan.mode === 'replace' && !confirm(`Replace all data? ${removed} current history entries will be deleted.`)) {
+    return;
+  }
+  
+  try {
+    await backupManager.import(backupPlan);
+    Modal.getOrCreateInstance(backupModalEl).hide();
+    
+    if (currentEntryId && !(await storage.getEntry(currentEntryId))) {
+      currentEntryId = null;
+    }
+    
     renderHistory();
+    await renderProfileOptions();
+    await loadHolidays();
+    renderWatchlist();
+    themeManager.load().then(mode => {
+      themeSelect.value = mode;
+    });
+    updateChecklistByBias(currentAnalysis ? currentAnalysis.bias : 'NEUTRAL');
+  } catch (error) {
+    console.error('Error importing backup:', error);
+    alert('❌ Backup import failed: ' + error.message);
+  }
+}
+
+/**
+ * Run backtest over the selected daily series file
+ */
+function handleRunBacktest() {
+  const file = backtestFile.files[0];
+  
+  if (!file) {
+    alert('❌ Backtest: Select a daily OHLC series file first');
+    return;
   }
+  
+  const reader = new FileReader();
+  reader.onload = async () => {
+    try {
+      const imported = new OhlcImporter({ dateOrder: importDateOrder.value }).parse(reader.result, file.name);
+      
+      if (imported.symbols.length === 0) {
+        throw new Error(imported.errors.map(error => `Row ${error.row}: ${error.message}`).join('\n'));
+      }
+      
+      // Multi-symbol files are backtested on their first symbol
+      const candles = OhlcImporter.seriesFor(imported.candles, imported.symbols[0]);
+      const profile = await profileManager.getActiveProfile();
+      const report = new BacktestEngine(candles, profile).run();
+      renderBacktestResults(report, imported.symbols[0], imported.errors.length, profile);
+    } catch (error) {
+      console.error('Error running backtest:', error);
+      alert('❌ Backtest failed: ' + error.message);
+    }
+  };
+  reader.readAsText(file);
+}
+
+/**
+ * Render backtest hit rates
+ */
+function renderBacktestResults(report, symbol, skippedRows, profile) {
+  const { summary } = report;
+  
+  const renderRows = groups => groups.map(group => `
+    <tr>
+      <td><strong>${group.key}</strong></td>
+      <td>${group.total}</td>
+      <td>${group.trades}</td>
+      <td class="text-success">${group.target} <small class="text-muted">(${group.targetRate.toFixed(0)}%)</small></td>
+      <td class="text-danger">${group.invalidation} <small class="text-muted">(${group.invalidationRate.toFixed(0)}%)</small></td>
+      <td>${group.neither}</td>
+      <td>${group.directionRate.toFixed(0)}%</td>
+    </tr>
+  `).join('');
+  
+  const tableHead = label => `
+    <thead>
+      <tr>
+        <th>${label}</th>
+        <th>Days</th>
+        <th>Trades</th>
+        <th>Target</th>
+        <th>Invalidated</th>
+        <th>Neither</th>
+        <th>Direction</th>
+      </tr>
+    </thead>
+  `;
+  
+  backtestContainer.innerHTML = `
+    <div class="row text-center mb-3">
+      <div class="col-3"><h5 class="mb-0">${report.total}</h5><small class="text-muted">Days</small></div>
+      <div class="col-3"><h5 class="mb-0 text-success">${summary.targetRate.toFixed(0)}%</h5><small class="text-muted">Target (not stopped)</small></div>
+      <div class="col-3"><h5 class="mb-0 text-danger">${summary.invalidationRate.toFixed(0)}%</h5><small class="text-muted">Invalidated</small></div>
+      <div class="col-3"><h5 class="mb-0">${summary.directionRate.toFixed(0)}%</h5><small class="text-muted">Direction</small></div>
+    </div>
+    <small class="text-muted d-block mb-2">
+      <strong>${escapeHtml(symbol)}</strong> (${escapeHtml(profile.name)} profile): ${summary.trades} forecasts with a setup, ${summary.noTrade} neutral days skipped. 
+      Daily candles cannot show which level traded first, so a day that reaches both target and invalidation counts as invalidated.
+      ${skippedRows > 0 ? `<span class="text-danger">${skippedRows} invalid row(s) were skipped.</span>` : ''}
+      ${report.invalid.length > 0 ? `<span class="text-danger">${report.invalid.length} candle(s) with bad prices were left out (${report.invalid.slice(0, 3).map(candle => `${escapeHtml(candle.date || `row ${candle.row}`)}: ${candle.message}`).join('; ')}).</span>` : ''}
+    </small>
+    <div class="table-responsive">
+      <table class="table table-sm history-table">
+        ${tableHead('Bias')}
+        <tbody>${renderRows(report.byBias)}</tbody>
+      </table>
+      <table class="table table-sm history-table mb-0">
+        ${tableHead('Scenario')}
+        <tbody>${renderRows(report.byScenario)}</tbody>
+      </table>
+    </div>
+  `;
 }
 
 /**
  * Reset checklist
  */
-function handleResetChecklist() {
-  const checkboxes = document.querySelectorAll('.form-check-input');
+async function handleResetChecklist() {
+  const checkboxes = checklistBody.querySelectorAll('.form-check-input');
   checkboxes.forEach(checkbox => {
     checkbox.checked = false;
   });
-  saveChecklistState();
+  await saveChecklistState();
 }
 
 /**
- * Save checklist state
+ * Ticked item ids in the checklist card
  */
-function saveChecklistState() {
-  const checkboxes = document.querySelectorAll('.form-check-input');
-  const state = {};
+function getCheckedItems() {
+  const checked = {};
   
-  checkboxes.forEach(checkbox => {
-    state[checkbox.id] = checkbox.checked;
+  checklistBody.querySelectorAll('.form-check-input[data-item]').forEach(checkbox => {
+    if (checkbox.checked) {
+      checked[checkbox.dataset.item] = true;
+    }
   });
   
-  storage.saveChecklistState(state);
+  return checked;
 }
 
 /**
- * Load checklist state
+ * Save checklist progress on the current history entry
  */
-function loadChecklistState() {
-  const state = storage.getChecklistState();
+async function saveChecklistState() {
+  if (!currentChecklist) {
+    return;
+  }
   
-  Object.keys(state).forEach(id => {
-    const checkbox = document.getElementById(id);
-    if (checkbox) {
-      checkbox.checked = state[id];
-    }
+  const checked = getCheckedItems();
+  const progress = checklistProgress(currentChecklist, checked);
+  renderChecklistStatus(progress);
+  
+  if (!currentEntryId) {
+    return;
+  }
+  
+  await storage.saveChecklistState(currentEntryId, {
+    templateId: currentChecklist.id,
+    templateName: currentChecklist.name,
+    checked,
+    ...progress
+  });
+  renderHistory();
+}
+
+/**
+ * Load the current history entry's checklist progress
+ */
+async function loadChecklistState() {
+  const state = currentEntryId ? await storage.getChecklistState(currentEntryId) : null;
+  showCheckedItems(state ? state.checked : {});
+}
+
+/**
+ * Tick the given item ids in the checklist card and show the progress
+ */
+function showCheckedItems(checked) {
+  checklistBody.querySelectorAll('.form-check-input[data-item]').forEach(checkbox => {
+    checkbox.checked = !!checked[checkbox.dataset.item];
   });
+  
+  renderChecklistStatus(checklistProgress(currentChecklist, checked));
+}
+
+/**
+ * Completion score and the ready / not ready gate
+ */
+function renderChecklistStatus(progress) {
+  const status = document.getElementById('checklistStatus');
+  if (!status) {
+    return;
+  }
+  
+  status.innerHTML = `
+    <div class="d-flex justify-content-between small mb-1">
+      <span><strong>${progress.completed}/${progress.total}</strong> complete (${progress.percent.toFixed(0)}%)</span>
+      <span>${progress.mandatoryCompleted}/${progress.mandatoryTotal} mandatory</span>
+    </div>
+    <div class="progress mb-2" style="height: 8px;">
+      <div class="progress-bar ${progress.ready ? 'bg-success' : 'bg-warning'}" role="progressbar" style="width: ${progress.percent}%;"
+           aria-valuenow="${progress.percent.toFixed(0)}" aria-valuemin="0" aria-valuemax="100"></div>
+    </div>
+    ${progress.ready ? `
+      <div class="alert alert-success py-2 mb-3"><strong>✅ READY TO TRADE</strong></div>
+    ` : `
+      <div class="alert alert-danger py-2 mb-3">
+        <strong>⛔ NOT READY</strong> - ${progress.missing.length > 0 ? `${progress.missing.length} mandatory item(s) unticked` : 'tick every item'}
+        ${progress.missing.length > 0 ? `<br><small>${progress.missing.map(escapeHtml).join(' · ')}</small>` : ''}
+      </div>
+    `}
+    ${currentEntryId ? '' : '<small class="text-muted d-block mb-2">Run a forecast to save checklist progress with the analysis</small>'}
+  `;
 }
 
 // Initialize app when DOM is ready
@@ -0,0 +1,464 @@
+/**
+ * OHLC File Importer
+ * Parses daily (or, in intraday mode, lower timeframe) bars exported from
+ * MT4/MT5, TradingView or plain CSV/JSON files
+ */
+
+import { InstrumentRegistry } from './instruments';
+
+const instrumentRegistry = new InstrumentRegistry();
+
+// File name parts that name a timeframe, broker or exchange rather than the symbol
+const FILE_NAME_NOISE = /^([DHMW]\d*|MN\d*|daily|weekly|oanda|fx|fxcm|fx_idc|capitalcom|pepperstone|icmarkets|bats|nasdaq|nyse|amex|cme|binance|coinbase|kraken)$/i;
+
+const COLUMN_ALIASES = {
+  date: ['date', 'time', 'datetime', 'timestamp', 'day'],
+  open: ['open', 'o'],
+  high: ['high', 'h'],
+  low: ['low', 'l'],
+  close: ['close', 'c', 'last'],
+  volume: ['volume', 'vol', 'tickvol', 'tickvolume', 'realvolume'],
+  symbol: ['symbol', 'ticker', 'instrument', 'pair']
+};
+
+export class OhlcImporter {
+  constructor(options = {}) {
+    // 'auto', 'DMY' or 'MDY' - only used for slash/dash dates like 05/01/2024
+    this.dateOrder = options.dateOrder || 'auto';
+    // Keep the bar time (HH:MM) so several bars can share a date
+    this.intraday = !!options.intraday;
+  }
+
+  /**
+   * Parse file contents into validated candles and per-row errors
+   */
+  parse(text, fileName = '') {
+    const content = (text || '').replace(/^\uFEFF/, '').trim();
+
+    if (!content) {
+      return { candles: [], errors: [{ row: 0, message: 'File is empty' }], symbols: [], warnings: [] };
+    }
+
+    const isJSON = content.startsWith('[') || content.startsWith('{');
+    this.decimalComma = false;
+    const parsed = isJSON ? this.parseJSON(content) : this.parseCSV(content);
+    const defaultSymbol = this.symbolFromFileName(fileName);
+    const warnings = [...(parsed.warnings || [])];
+
+    let dateOrder = this.dateOrder;
+    if (dateOrder === 'auto') {
+      dateOrder = this.detectDateOrder(parsed.rows);
+      if (!dateOrder) {
+        dateOrder = 'DMY';
+        warnings.push('Dates like 05/01/2024 are ambiguous - reading them as day/month. Pick MM/DD if that is wrong.');
+      }
+    }
+
+    const candles = [];
+    const errors = [...parsed.errors];
+    const seen = new Set();
+
+    parsed.rows.forEach(raw => {
+      const result = this.buildCandle(raw, defaultSymbol, dateOrder);
+
+      if (result.error) {
+        errors.push({ row: raw.row, message: result.error });
+        return;
+      }
+
+      const stamp = this.intraday ? `${result.candle.date} ${result.candle.time}` : result.candle.date;
+      const key = `${result.candle.symbol}|${stamp}`;
+      if (seen.has(key)) {
+        errors.push({ row: raw.row, message: `Duplicate date ${stamp} for ${result.candle.symbol}` });
+        return;
+      }
+
+      seen.add(key);
+      candles.push(result.candle);
+    });
+
+    candles.sort((a, b) => a.date.localeCompare(b.date) || (a.time || '').localeCompare(b.time || ''));
+
+    return {
+      candles,
+      errors,
+      warnings,
+      symbols: [...new Set(candles.map(candle => candle.symbol))]
+    };
+  }
+
+  /**
+   * Parse a JSON array of candles, or an object with a candles/data array
+   */
+  parseJSON(content) {
+    let json;
+
+    try {
+      json = JSON.parse(content);
+    } catch (error) {
+      return { rows: [], errors: [{ row: 0, message: `Invalid JSON: ${error.message}` }] };
+    }
+
+    const list = Array.isArray(json) ? json : (json.candles || json.data || []);
+    const fileSymbol = Array.isArray(json) ? null : json.symbol;
+
+    if (!Array.isArray(list)) {
+      return { rows: [], errors: [{ row: 0, message: 'JSON must be an array of candles' }] };
+    }
+
+    const rows = list.map((item, index) => {
+      const row = { row: index + 1 };
+
+      Object.keys(item || {}).forEach(key => {
+        const field = this.matchColumn(key);
+        if (field && row[field] === undefined) {
+          row[field] = item[key];
+        } else if (field === 'date' && this.isTimeOfDay(item[key])) {
+          row.time = item[key];
+        }
+      });
+
+      if (!row.symbol && fileSymbol) {
+        row.symbol = fileSymbol;
+      }
+
+      return row;
+    });
+
+    return { rows, errors: [] };
+  }
+
+  /**
+   * Parse delimited text with or without a header row
+   */
+  parseCSV(content) {
+    const lines = content.split(/\r?\n/);
+    const delimiter = this.detectDelimiter(lines[0]);
+    const firstCells = this.splitLine(lines[0], delimiter);
+    const headerColumns = firstCells.map(cell => this.matchColumn(cell));
+    const hasHeader = headerColumns.includes('open') && headerColumns.includes('close');
+    const warnings = [];
+
+    // A decimal comma anywhere makes values like 15.234 ambiguous (see parseNumber)
+    this.decimalComma = delimiter !== ',' &&
+      lines.some(line => this.splitLine(line, delimiter).some(cell => /^-?[\d.]*\d,\d+$/.test(cell)));
+
+    let columns = headerColumns;
+    if (!hasHeader) {
+      columns = this.guessColumns(firstCells);
+      warnings.push(`No header row found - assuming ${columns.filter(Boolean).join(', ')}`);
+    }
+
+    if (!columns.includes('date') || !columns.includes('open') || !columns.includes('high') ||
+        !columns.includes('low') || !columns.includes('close')) {
+      return {
+        rows: [],
+        warnings,
+        errors: [{ row: 1, message: 'Could not find Date, Open, High, Low and Close columns' }]
+      };
+    }
+
+    const rows = [];
+
+    lines.forEach((line, index) => {
+      if ((hasHeader && index === 0) || !line.trim()) {
+        return;
+      }
+
+      const cells = this.splitLine(line, delimiter);
+      const row = { row: index + 1 };
+
+      columns.forEach((field, columnIndex) => {
+        if (field && row[field] === undefined) {
+          row[field] = field === 'date' || field === 'symbol' || field === 'time'
+            ? cells[columnIndex]
+            : this.parseNumber(cells[columnIndex], delimiter);
+
+          // Keep values whose separators could not be read, for the row error
+          if (Number.isNaN(row[field]) && /\d[.,]\d/.test(cells[columnIndex] || '')) {
+            row.unclear = [...(row.unclear || []), cells[columnIndex]];
+          }
+        } else if (field === 'date' && this.isTimeOfDay(cells[columnIndex])) {
+          // Separate <DATE>,<TIME> columns as exported by MT4/MT5
+          row.time = cells[columnIndex];
+        }
+      });
+
+      rows.push(row);
+    });
+
+    return { rows, errors: [], warnings };
+  }
+
+  /**
+   * Pick the most frequent delimiter in the first line
+   */
+  detectDelimiter(line) {
+    const candidates = ['\t', ';', ','];
+    let best = ',';
+    let bestCount = 0;
+
+    candidates.forEach(candidate => {
+      const count = line.split(candidate).length - 1;
+      if (count > bestCount) {
+        best = candidate;
+        bestCount = count;
+      }
+    });
+
+    return best;
+  }
+
+  /**
+   * Split a line on the delimiter, honouring double quotes
+   */
+  splitLine(line, delimiter) {
+    const cells = [];
+    let current = '';
+    let inQuotes = false;
+
+    for (const char of line) {
+      if (char === '"') {
+        inQuotes = !inQuotes;
+      } else if (char === delimiter && !inQuotes) {
+        cells.push(current.trim());
+        current = '';
+      } else {
+        current += char;
+      }
+    }
+
+    cells.push(current.trim());
+    return cells;
+  }
+
+  /**
+   * Map a header cell like "<OPEN>" or "Tick Volume" to a field name
+   */
+  matchColumn(header) {
+    const normalized = String(header).toLowerCase().replace(/[<>"'\s_]/g, '');
+
+    return Object.keys(COLUMN_ALIASES).find(field => COLUMN_ALIASES[field].includes(normalized)) || null;
+  }
+
+  /**
+   * Guess columns for a headerless file: Date[,Time],Open,High,Low,Close[,Volume]
+   */
+  guessColumns(cells) {
+    const hasTimeColumn = this.isTimeOfDay(cells[1]);
+    const columns = hasTimeColumn ? ['date', 'time'] : ['date'];
+
+    ['open', 'high', 'low', 'close', 'volume'].forEach(field => columns.push(field));
+    return columns.slice(0, cells.length);
+  }
+
+  /**
+   * True for a bare time of day like 08:00 or 08:00:00
+   */
+  isTimeOfDay(value) {
+    return /^\d{1,2}:\d{2}(:\d{2})?$/.test(String(value ?? '').trim());
+  }
+
+  /**
+   * Parse a price, accepting decimal commas in semicolon/tab separated files.
+   * Separators that could mean either thousands or decimals give NaN.
+   */
+  parseNumber(value, delimiter = ',') {
+    if (value === undefined || value === null || value === '') {
+      return NaN;
+    }
+
+    let text = String(value).trim();
+
+    if (/^-?\d{1,3}(\.\d{3})+,\d+$/.test(text)) {
+      // 15.234,50 - dot thousands groups and a decimal comma
+      text = text.replace(/\./g, '').replace(',', '.');
+    } else if (/^-?\d{1,3}(,\d{3})+\.\d+$/.test(text)) {
+      // 15,234.50 - comma thousands groups and a decimal point
+      text = text.replace(/,/g, '');
+    } else if (delimiter !== ',' && /^-?\d+,\d+$/.test(text)) {
+      text = text.replace(',', '.');
+    } else if (this.decimalComma && /^-?\d{1,3}(\.\d{3})+$/.test(text)) {
+      // 15.234 in a file that writes decimals with a comma could be 15234
+      return NaN;
+    }
+
+    return /^-?\d*\.?\d+(e-?\d+)?$/i.test(text) ? parseFloat(text) : NaN;
+  }
+
+  /**
+   * Work out day/month order from slash or dash dates across the whole file.
+   * Returns null when no date settles it.
+   */
+  detectDateOrder(rows) {
+    let order = null;
+    let sawAmbiguous = false;
+
+    rows.some(row => {
+      const match = String(row.date ?? '').trim().match(/^(\d{1,2})[/-](\d{1,2})[/-](\d{4})/);
+      if (!match) {
+        return false;
+      }
+
+      sawAmbiguous = true;
+      if (+match[1] > 12) {
+        order = 'DMY';
+      } else if (+match[2] > 12) {
+        order = 'MDY';
+      }
+      return order !== null;
+    });
+
+    return order || (sawAmbiguous ? null : 'DMY');
+  }
+
+  /**
+   * Normalize a date string or unix timestamp to YYYY-MM-DD
+   */
+  parseDate(value, dateOrder = 'DMY') {
+    if (value === undefined || value === null || value === '') {
+      return null;
+    }
+
+    const text = String(value).trim();
+
+    // Unix timestamp in seconds or milliseconds
+    if (/^\d{10}(\d{3})?$/.test(text)) {
+      const ms = text.length === 10 ? parseInt(text, 10) * 1000 : parseInt(text, 10);
+      return new Date(ms).toISOString().slice(0, 10);
+    }
+
+    // 2024-01-05, 2024.01.05, 2024/01/05 (optionally followed by a time)
+    let match = text.match(/^(\d{4})[-./](\d{1,2})[-./](\d{1,2})/);
+    if (match) {
+      return this.formatDate(+match[1], +match[2], +match[3]);
+    }
+
+    // 05.01.2024 is always day first
+    match = text.match(/^(\d{1,2})\.(\d{1,2})\.(\d{4})/);
+    if (match) {
+      return this.formatDate(+match[3], +match[2], +match[1]);
+    }
+
+    // 05/01/2024 or 05-01-2024 - day/month order depends on the export locale
+    match = text.match(/^(\d{1,2})[/-](\d{1,2})[/-](\d{4})/);
+    if (match) {
+      const first = +match[1];
+      const second = +match[2];
+
+      return dateOrder !== 'MDY'
+        ? this.formatDate(+match[3], second, first)
+        : this.formatDate(+match[3], first, second);
+    }
+
+    return null;
+  }
+
+  /**
+   * Bar time as HH:MM from a separate time cell, a datetime string or a unix
+   * timestamp (read as UTC). Bars without a time start at 00:00.
+   */
+  parseTime(dateValue, timeValue) {
+    const text = String(timeValue ?? dateValue ?? '').trim();
+
+    if (/^\d{10}(\d{3})?$/.test(text)) {
+      const ms = text.length === 10 ? parseInt(text, 10) * 1000 : parseInt(text, 10);
+      return new Date(ms).toISOString().slice(11, 16);
+    }
+
+    const match = text.match(/(?:^|[\sT])(\d{1,2}):(\d{2})/);
+    if (!match || +match[1] > 23 || +match[2] > 59) {
+      return '00:00';
+    }
+
+    return `${match[1].padStart(2, '0')}:${match[2]}`;
+  }
+
+  /**
+   * Build a YYYY-MM-DD string, rejecting impossible dates
+   */
+  formatDate(year, month, day) {
+    const date = new Date(Date.UTC(year, month - 1, day));
+
+    if (date.getUTCFullYear() !== year || date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) {
+      return null;
+    }
+
+    return date.toISOString().slice(0, 10);
+  }
+
+  /**
+   * Validate one raw row and turn it into a candle
+   */
+  buildCandle(raw, defaultSymbol, dateOrder) {
+    const date = this.parseDate(raw.date, dateOrder);
+
+    if (!date) {
+      return { error: `Unrecognised date "${raw.date ?? ''}"` };
+    }
+
+    const candle = {
+      date,
+      symbol: (raw.symbol || defaultSymbol || 'N/A').toString().trim().toUpperCase(),
+      open: typeof raw.open === 'number' ? raw.open : this.parseNumber(raw.open),
+      high: typeof raw.high === 'number' ? raw.high : this.parseNumber(raw.high),
+      low: typeof raw.low === 'number' ? raw.low : this.parseNumber(raw.low),
+      close: typeof raw.close === 'number' ? raw.close : this.parseNumber(raw.close)
+    };
+
+    if (raw.unclear) {
+      return { error: `${date}: ${raw.unclear.join(', ')} - unclear thousands / decimal separators` };
+    }
+
+    const missing = ['open', 'high', 'low', 'close'].filter(field => !Number.isFinite(candle[field]));
+    if (missing.length > 0) {
+      const names = missing.map(field => field.charAt(0).toUpperCase() + field.slice(1));
+      return { error: `${date}: ${names.join(', ')} must be valid numbers` };
+    }
+
+    if (candle.high <= candle.low) {
+      return { error: `${date}: High (${candle.high}) must be greater than Low (${candle.low})` };
+    }
+
+    if (candle.open < candle.low || candle.open > candle.high) {
+      return { error: `${date}: Open (${candle.open}) is outside the High/Low range` };
+    }
+
+    if (candle.close < candle.low || candle.close > candle.high) {
+      return { error: `${date}: Close (${candle.close}) is outside the High/Low range` };
+    }
+
+    if (this.intraday) {
+      candle.time = this.parseTime(raw.date, raw.time);
+    }
+
+    const volume = typeof raw.volume === 'number' ? raw.volume : this.parseNumber(raw.volume);
+    if (Number.isFinite(volume)) {
+      candle.volume = volume;
+    }
+
+    return { candle };
+  }
+
+  /**
+   * Derive a symbol from names like "EURUSD_D1.csv" or "OANDA_EURUSD, 1D.csv".
+   * Generic names like "data.csv" give no symbol.
+   */
+  symbolFromFileName(fileName) {
+    const base = (fileName || '').replace(/\.[^.]+$/, '').split(/[,\s]/)[0];
+    const parts = base.split(/[_-]/).filter(part => part && !FILE_NAME_NOISE.test(part));
+
+    // A known instrument anywhere, else an upper-case ticker (the last one, as in BATS_AAPL)
+    const symbol = parts.find(part => instrumentRegistry.isKnown(part)) ||
+      parts.filter(part => /^[A-Z][A-Z0-9]{1,9}(\.[A-Z]{1,3})?$/.test(part)).pop();
+
+    return symbol ? symbol.toUpperCase() : null;
+  }
+
+  /**
+   * Candles for a single symbol, oldest first
+   */
+  static seriesFor(candles, symbol) {
+    return candles.filter(candle => candle.symbol === symbol);
+  }
+}
@@ -0,0 +1,367 @@
+/**
+ * OHLC Paste Parser
+ * Reads the D-2 / D-1 candles out of copied text - the MT4/MT5 Data Window,
+ * TradingView's OHLC legend or a short CSV snippet - for the form's paste
+ * box. Anything it cannot place for certain is reported, not guessed.
+ */
+
+import { OhlcImporter } from './ohlcImporter';
+import { nextTradingDay } from './timeframes';
+
+export const PASTE_FORMATS = {
+  dataWindow: 'MT4/MT5 Data Window',
+  legend: 'TradingView legend',
+  csv: 'CSV'
+};
+
+const PRICE_FIELDS = ['open', 'high', 'low', 'close'];
+
+// Data Window rows that hold a candle value; Volume, Spread etc. are skipped
+const DATA_WINDOW_LABELS = /^(date|time|open|high|low|close)(?:\s*[:=\t]\s*|\s+|$)(.*)$/i;
+
+// O1.16433 H1.16718 L1.16267 C1.16540 (with or without spaces)
+const NUMBER = '[-+−]?\\d[\\d.,]*';
+const LEGEND = new RegExp(`(?:^|[^A-Za-z])O\\s*:?\\s*(${NUMBER})\\s*H\\s*:?\\s*(${NUMBER})\\s*L\\s*:?\\s*(${NUMBER})\\s*C\\s*:?\\s*(${NUMBER})`, 'g');
+
+// 2026-10-15, 2026.10.15, 15/10/2026 anywhere in a line
+const DATE_TOKEN = /\b(\d{4}[-./]\d{1,2}[-./]\d{1,2}|\d{1,2}[-./]\d{1,2}[-./]\d{4})\b/;
+
+export class OhlcPasteParser {
+  constructor(options = {}) {
+    // 'auto', 'DMY' or 'MDY' - as for file imports, but 'auto' never guesses
+    this.dateOrder = options.dateOrder || 'auto';
+    // Two undated days are only taken in paste order once the user says so
+    this.undatedInOrder = !!options.undatedInOrder;
+    this.importer = new OhlcImporter();
+  }
+
+  /**
+   * Candles found in the text and the D-2 / D-1 pair, when it can be told
+   * apart. Errors mean the form must not be filled; warnings are worth a look.
+   */
+  parse(text, holidays = []) {
+    const result = { format: null, symbol: null, candles: [], dbpd: null, pd: null, errors: [], warnings: [] };
+    const content = String(text || '').replace(/^\uFEFF/, '').trim();
+
+    if (!content) {
+      return result;
+    }
+
+    const lines = content.split(/\r?\n/).map(line => line.trim()).filter(Boolean);
+    result.format = this.detectFormat(content, lines);
+    this.commaStyle = this.detectCommaStyle(content);
+
+    const rows = result.format === 'legend' ? this.legendRows(lines, result)
+      : result.format === 'csv' ? this.csvRows(content, result)
+      : this.dataWindowRows(lines, result);
+
+    if (result.errors.length > 0) {
+      return result;
+    }
+
+    result.candles = this.buildCandles(rows, result);
+    if (result.errors.length === 0) {
+      this.pickDays(result, holidays);
+    }
+
+    return result;
+  }
+
+  /**
+   * Legend text has O/H/L/C markers; CSV has a line with four or more cells
+   */
+  detectFormat(content, lines) {
+    if (content.match(LEGEND)) {
+      return 'legend';
+    }
+
+    const delimiter = this.importer.detectDelimiter(lines[0]);
+    return lines.some(line => this.importer.splitLine(line, delimiter).length >= 4) ? 'csv' : 'dataWindow';
+  }
+
+  /**
+   * How commas in prices read, from numbers in the text that settle it:
+   * 18,000.50 means thousands, 1,16433 a decimal comma. Null when nothing does.
+   */
+  detectCommaStyle(content) {
+    if (/\d,\d{3}\.\d/.test(content)) {
+      return 'thousands';
+    }
+    if (/\d,(\d{1,2}|\d{4,})(?![\d,.])/.test(content)) {
+      return 'decimal';
+    }
+    return null;
+  }
+
+  /**
+   * One row per O/H/L/C group. A date on the same line dates that group.
+   */
+  legendRows(lines, result) {
+    const rows = [];
+
+    lines.forEach((line, index) => {
+      const matches = [...line.matchAll(LEGEND)];
+      const date = matches.length === 1 ? (line.match(DATE_TOKEN) || [])[1] : undefined;
+
+      matches.forEach(match => {
+        rows.push({ source: `Line ${index + 1}`, date, open: match[1], high: match[2], low: match[3], close: match[4] });
+      });
+
+      // "EURUSD · 1D · FXCM" - ticker and chart timeframe ahead of the values.
+      // Value lines are never headers, and "O18" is not a ticker.
+      const header = matches.length === 0 && line.match(/^((?:[A-Z][A-Z0-9._!]*:)?[A-Z][A-Z0-9._!]{2,})\s*[·,]\s*([^·,\s]+)/);
+      if (header && !/^[A-Z][\d.,]+$/.test(header[1].split(':').pop())) {
+        result.symbol = result.symbol || header[1].split(':').pop();
+        if (!/^(1?D|1 ?day|daily)$/i.test(header[2])) {
+          result.warnings.push(`Line ${index + 1}: the chart timeframe is "${header[2]}" - D-2 / D-1 should be daily candles`);
+        }
+      }
+    });
+
+    return rows;
+  }
+
+  /**
+   * "Label value" (or "Label" with the value on the next line) rows grouped
+   * into candles - a label seen twice starts the next candle
+   */
+  dataWindowRows(lines, result) {
+    const rows = [];
+    let current = null;
+    let pending = null;
+
+    const set = (field, value, index) => {
+      if (!current || current[field] !== undefined || (field === 'date' && PRICE_FIELDS.some(price => current[price] !== undefined))) {
+        current = { source: `Line ${index + 1}` };
+        rows.push(current);
+      }
+      current[field] = value;
+    };
+
+    lines.forEach((line, index) => {
+      if (pending) {
+        set(pending, line, index);
+        pending = null;
+        return;
+      }
+
+      // "EURUSD,Daily" heads the MT5 Data Window
+      const header = line.match(/^([A-Za-z0-9._#!]+)\s*,\s*([A-Za-z0-9]+)$/);
+      if (header && !DATA_WINDOW_LABELS.test(line)) {
+        result.symbol = result.symbol || header[1].toUpperCase();
+        if (!/^(D1|daily)$/i.test(header[2])) {
+          result.warnings.push(`The Data Window is showing ${header[2]} bars - D-2 / D-1 should be daily candles`);
+        }
+        return;
+      }
+
+      const match = line.match(DATA_WINDOW_LABELS);
+      if (!match) {
+        return;
+      }
+
+      const field = match[1].toLowerCase();
+      if (match[2].trim()) {
+        set(field, match[2].trim(), index);
+      } else {
+        pending = field;
+      }
+    });
+
+    if (rows.length === 0) {
+      result.errors.push('No Open / High / Low / Close values found - paste the Data Window, the chart legend or CSV rows');
+    }
+
+    return rows;
+  }
+
+  /**
+   * CSV rows through the file importer's column handling. Four bare numbers
+   * per line are read as Open, High, Low, Close without a date.
+   */
+  csvRows(content, result) {
+    const delimiter = this.importer.detectDelimiter(content.split(/\r?\n/)[0]);
+    const lines = content.split(/\r?\n/).filter(line => line.trim());
+    const undated = lines.every(line => {
+      const cells = this.importer.splitLine(line, delimiter);
+      return cells.length === 4 && cells.every(cell => Number.isFinite(this.importer.parseNumber(cell, delimiter)));
+    });
+
+    if (undated) {
+      return lines.map((line, index) => {
+        const [open, high, low, close] = this.importer.splitLine(line, delimiter).map(cell => this.importer.parseNumber(cell, delimiter));
+        return { source: `Line ${index + 1}`, open, high, low, close };
+      });
+    }
+
+    const parsed = this.importer.parseCSV(content);
+    parsed.errors.forEach(error => result.errors.push(error.message));
+    result.warnings.push(...(parsed.warnings || []));
+
+    const symbols = [...new Set(parsed.rows.map(row => row.symbol).filter(Boolean).map(symbol => symbol.toUpperCase()))];
+    if (symbols.length > 1) {
+      result.errors.push(`Several symbols (${symbols.join(', ')}) - paste the rows of one symbol`);
+    }
+    result.symbol = symbols[0] || null;
+
+    return parsed.rows.map(row => ({ ...row, source: `Row ${row.row}` }));
+  }
+
+  /**
+   * Validated candles from raw rows. Errors name the row they came from.
+   */
+  buildCandles(rows, result) {
+    const dateOrder = this.dateOrder !== 'auto' ? this.dateOrder : this.importer.detectDateOrder(rows);
+
+    if (!dateOrder) {
+      result.errors.push('Dates like 05/01/2026 could be day/month or month/day - pick the date order');
+      return [];
+    }
+
+    return rows.map(row => {
+      const candle = { date: null };
+      const errorCount = result.errors.length;
+
+      if (row.date !== undefined && row.date !== null && String(row.date).trim() !== '') {
+        candle.date = this.importer.parseDate(row.date, dateOrder);
+        if (!candle.date) {
+          result.errors.push(`${row.source}: unrecognised date "${row.date}"`);
+        }
+        const time = this.importer.parseTime(row.date, row.time);
+        if (time !== '00:00') {
+          result.warnings.push(`${row.source}: bar time ${time} - is this a daily candle?`);
+        }
+      }
+
+      PRICE_FIELDS.forEach(field => {
+        candle[field] = this.parseNumber(row[field], `${row.source}: ${field.charAt(0).toUpperCase()}${field.slice(1)}`, result);
+      });
+
+      // CSV cells the file importer could not read come through as NaN
+      if (row.unclear) {
+        result.errors.push(`${row.source}: ${row.unclear.join(', ')} - unclear thousands / decimal separators`);
+      }
+
+      // Prices already reported as ambiguous are not reported again as missing
+      const problem = result.errors.length === errorCount ? this.candleProblem(candle) : null;
+      if (problem) {
+        result.errors.push(`${row.source}: ${problem}`);
+      }
+
+      return candle;
+    });
+  }
+
+  /**
+   * Price from text. A lone comma before three digits (1,234) could be a
+   * decimal comma or a thousands separator - an error unless other prices in
+   * the text settle it. Prices with both . and , must be grouped one way
+   * (18,000.50 or 18.000,50) and agree with the rest of the text.
+   */
+  parseNumber(value, label, result) {
+    if (typeof value === 'number') {
+      return value;
+    }
+
+    const text = String(value ?? '').trim().replace(/−/g, '-').replace(/[.,]$/, '');
+    if (!text) {
+      return NaN;
+    }
+
+    if (/^[-+]?\d{1,3},\d{3}$/.test(text) && this.commaStyle) {
+      return parseFloat(text.replace(',', this.commaStyle === 'decimal' ? '.' : ''));
+    }
+
+    if (/^[-+]?\d{1,3},\d{3}$/.test(text)) {
+      result.errors.push(`${label} "${text}" could be a decimal comma or a thousands separator - write it with a decimal point`);
+      return NaN;
+    }
+
+    if (text.includes('.') && text.includes(',')) {
+      const style = /^[-+]?\d{1,3}(,\d{3})+\.\d+$/.test(text) ? 'thousands'
+        : /^[-+]?\d{1,3}(\.\d{3})+,\d+$/.test(text) ? 'decimal'
+        : null;
+      if (!style || (this.commaStyle && style !== this.commaStyle)) {
+        result.errors.push(`${label} "${text}" mixes . and , in a way that does not match the other prices - write it with a decimal point only`);
+        return NaN;
+      }
+    }
+
+    if (this.commaStyle === 'decimal' && /^[-+]?\d{1,3}(\.\d{3})+$/.test(text)) {
+      result.errors.push(`${label} "${text}" could be a thousands separator, as the other prices use a decimal comma - write it with a decimal comma`);
+      return NaN;
+    }
+
+    return this.importer.parseNumber(text.replace(/^\+/, ''), /^[-+]?\d+,\d+$/.test(text) ? ';' : ',');
+  }
+
+  /**
+   * Missing or inconsistent prices, or null for a usable candle
+   */
+  candleProblem(candle) {
+    const missing = PRICE_FIELDS.filter(field => !Number.isFinite(candle[field]));
+
+    if (missing.length > 0) {
+      return `${missing.map(field => `${field.charAt(0).toUpperCase()}${field.slice(1)}`).join(', ')} missing or not a number`;
+    }
+    if (candle.high <= candle.low) {
+      return `High (${candle.high}) must be greater than Low (${candle.low})`;
+    }
+    if (candle.open < candle.low || candle.open > candle.high) {
+      return `Open (${candle.open}) is outside the High/Low range`;
+    }
+    if (candle.close < candle.low || candle.close > candle.high) {
+      return `Close (${candle.close}) is outside the High/Low range`;
+    }
+    return null;
+  }
+
+  /**
+   * Work out which candle is D-2 and which is D-1: by date when every candle
+   * has one, by paste order only for exactly two undated candles the user has
+   * confirmed are in order
+   */
+  pickDays(result, holidays) {
+    const candles = result.candles;
+    const dated = candles.filter(candle => candle.date);
+
+    if (candles.length < 2) {
+      result.errors.push(candles.length === 0 ? 'No candles found' : 'Only one day found - paste both D-2 and D-1');
+      return;
+    }
+
+    if (dated.length > 0 && dated.length < candles.length) {
+      result.errors.push('Some days have a date and some do not - cannot tell which is D-2 and which is D-1');
+      return;
+    }
+
+    if (dated.length === 0) {
+      if (candles.length > 2) {
+        result.errors.push(`${candles.length} days without dates - cannot tell which are D-2 and D-1`);
+        return;
+      }
+      if (!this.undatedInOrder) {
+        result.errors.push('No dates in the text - paste the dates too, or confirm the first day is D-2 and the second D-1');
+        return;
+      }
+      [result.dbpd, result.pd] = candles;
+      return;
+    }
+
+    const sorted = [...candles].sort((a, b) => a.date.localeCompare(b.date));
+    const duplicate = sorted.find((candle, index) => index > 0 && candle.date === sorted[index - 1].date);
+    if (duplicate) {
+      result.errors.push(`${duplicate.date} appears twice`);
+      return;
+    }
+
+    if (sorted.length > 2) {
+      result.warnings.push(`${sorted.length} days found - using the latest two`);
+    }
+
+    [result.dbpd, result.pd] = sorted.slice(-2);
+    if (nextTradingDay(result.dbpd.date, holidays) !== result.pd.date) {
+      result.warnings.push(`${result.dbpd.date} and ${result.pd.date} are not consecutive trading days`);
+    }
+  }
+}
@@ -0,0 +1,72 @@
+/**
+ * Forecast Outcome Grader
+ * Compares a stored forecast with the actual D0 candle
+ */
+
+export const OUTCOME_STATUS = {
+  TARGET: 'target',
+  INVALIDATION: 'invalidation',
+  NEITHER: 'neither',
+  NO_TRADE: 'no-trade'
+};
+
+export const OUTCOME_LABELS = {
+  [OUTCOME_STATUS.TARGET]: { text: 'TARGET HIT', badge: 'bg-success' },
+  [OUTCOME_STATUS.INVALIDATION]: { text: 'INVALIDATED', badge: 'bg-danger' },
+  [OUTCOME_STATUS.NEITHER]: { text: 'NO HIT', badge: 'bg-secondary' },
+  [OUTCOME_STATUS.NO_TRADE]: { text: 'NO TRADE', badge: 'bg-light text-dark' }
+};
+
+export class OutcomeGrader {
+  /**
+   * Grade an analysis against the actual D0 OHLC.
+   * A daily bar cannot tell which level traded first, so when a target and the
+   * invalidation both trade the status is INVALIDATION.
+   */
+  grade(analysis, actual) {
+    const candle = {
+      open: parseFloat(actual.open),
+      high: parseFloat(actual.high),
+      low: parseFloat(actual.low),
+      close: parseFloat(actual.close)
+    };
+
+    const isBullish = analysis.bias.includes('BULLISH');
+    const isBearish = analysis.bias.includes('BEARISH');
+    const setup = isBullish ? analysis.bullishSetup : isBearish ? analysis.bearishSetup : null;
+
+    const grade = {
+      direction: isBullish ? 'bullish' : isBearish ? 'bearish' : 'neutral',
+      biasCorrect: null,
+      sweepTapped: null,
+      targetsHit: [],
+      invalidated: null,
+      status: OUTCOME_STATUS.NO_TRADE
+    };
+
+    if (!setup || !setup.targets || setup.targets.length === 0) {
+      return grade;
+    }
+
+    const reached = level => isBullish ? candle.high >= level : candle.low <= level;
+    const sweepLevel = parseFloat(setup.sweepLevel);
+    const invalidation = parseFloat(setup.invalidation);
+
+    grade.biasCorrect = isBullish ? candle.close > candle.open : candle.close < candle.open;
+    grade.sweepTapped = candle.low <= sweepLevel && candle.high >= sweepLevel;
+    grade.invalidated = isBullish ? candle.low <= invalidation : candle.high >= invalidation;
+    grade.targetsHit = setup.targets
+      .filter(target => reached(parseFloat(target.level)))
+      .map(target => target.label);
+
+    if (grade.invalidated) {
+      grade.status = OUTCOME_STATUS.INVALIDATION;
+    } else if (reached(parseFloat(setup.targets[0].level))) {
+      grade.status = OUTCOME_STATUS.TARGET;
+    } else {
+      grade.status = OUTCOME_STATUS.NEITHER;
+    }
+
+    return grade;
+  }
+}
@@ -0,0 +1,300 @@
+/**
+ * Daily Plan Export
+ * The analysis as a shareable PNG (chart snapshot plus bias, setups, targets
+ * and checklist status) and as a print-ready A4 "daily plan" page. Both
+ * carry the symbol, the candle dates and the strategy profile.
+ */
+
+// PNG layout, in CSS pixels
+const PNG_WIDTH = 960;
+const PNG_PADDING = 24;
+const PNG_COLORS = {
+  background: '#ffffff',
+  text: '#212529',
+  muted: '#6c757d',
+  rule: '#dee2e6',
+  bullish: '#198754',
+  bearish: '#dc3545',
+  neutral: '#b58900'
+};
+
+/**
+ * Escape text for the print page
+ */
+function escapeHtml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Bullish / bearish / neutral from a bias label
+ */
+function biasTone(bias) {
+  return bias.includes('BULLISH') ? 'bullish' : bias.includes('BEARISH') ? 'bearish' : 'neutral';
+}
+
+/**
+ * Everything both exports show, from a history entry and (optionally) the
+ * live checklist progress
+ */
+export function buildDailyPlan(entry, checklist = entry.checklist) {
+  const { data, analysis } = entry;
+  const setups = [
+    { side: 'BUY', tone: 'bullish', setup: analysis.bullishSetup },
+    { side: 'SELL', tone: 'bearish', setup: analysis.bearishSetup }
+  ]
+    .filter(({ setup }) => setup && setup.entryZone)
+    .map(({ side, tone, setup }) => ({
+      side,
+      tone,
+      sweepLevel: setup.sweepLevel,
+      entryZone: setup.entryZone,
+      invalidation: setup.invalidation,
+      targets: setup.targets || []
+    }));
+
+  return {
+    symbol: entry.symbol,
+    profile: (entry.profile || analysis.profile || {}).name || 'Default',
+    dates: {
+      dbpd: data.dbpdDate || null,
+      pd: data.pdDate || null,
+      forecast: data.forecastDate || null
+    },
+    savedAt: entry.timestamp,
+    bias: analysis.bias,
+    tone: biasTone(analysis.bias),
+    direction: analysis.direction,
+    strength: Number(analysis.strength) || 0,
+    recommendation: analysis.recommendation || '',
+    setups,
+    // Progress saved before the checklist counted items has no total
+    checklist: checklist && checklist.total !== undefined ? checklist : null
+  };
+}
+
+export class PlanExporter {
+  /**
+   * File name for an export: trading-plan-EURUSD-2026-10-19.png
+   */
+  static fileName(plan, extension) {
+    const symbol = String(plan.symbol).replace(/[^A-Za-z0-9_-]+/g, '') || 'plan';
+    const date = plan.dates.forecast || plan.savedAt.slice(0, 10);
+    return `trading-plan-${symbol}-${date}.${extension}`;
+  }
+
+  /**
+   * "Forecast 2026-10-19 · D-1 2026-10-16 · D-2 2026-10-15"
+   */
+  static datesLine(plan) {
+    if (!plan.dates.forecast) {
+      return `Saved ${new Date(plan.savedAt).toLocaleString()}`;
+    }
+
+    return `Forecast ${plan.dates.forecast} · D-1 ${plan.dates.pd} · D-2 ${plan.dates.dbpd}`;
+  }
+
+  /**
+   * Checklist summary line, or null without saved progress
+   */
+  static checklistLine(plan) {
+    const checklist = plan.checklist;
+    if (!checklist) {
+      return null;
+    }
+
+    const name = checklist.templateName ? `${checklist.templateName}: ` : '';
+    const status = checklist.ready ? 'READY TO TRADE' : 'NOT READY';
+    return `${name}${checklist.completed}/${checklist.total} complete (${checklist.percent.toFixed(0)}%) - ${status}`;
+  }
+
+  /**
+   * PNG of the chart snapshot with the plan written underneath
+   */
+  async toPng(plan, chartCanvas = null) {
+    const canvas = document.createElement('canvas');
+    const ctx = canvas.getContext('2d');
+    const scale = window.devicePixelRatio || 1;
+    const textWidth = PNG_WIDTH - PNG_PADDING * 2;
+    const chartHeight = chartCanvas ? Math.round(chartCanvas.height * (textWidth / chartCanvas.width)) : 0;
+    const rows = this.pngRows(ctx, plan, textWidth);
+    const headerHeight = 70;
+    const rowsHeight = rows.reduce((sum, row) => sum + row.height, 0);
+
+    canvas.width = PNG_WIDTH * scale;
+    canvas.height = (headerHeight + chartHeight + rowsHeight + PNG_PADDING * 2) * scale;
+    ctx.scale(scale, scale);
+    ctx.textBaseline = 'top';
+
+    ctx.fillStyle = PNG_COLORS.background;
+    ctx.fillRect(0, 0, PNG_WIDTH, canvas.height / scale);
+
+    // Header
+    let y = PNG_PADDING;
+    ctx.fillStyle = PNG_COLORS[plan.tone];
+    ctx.font = 'bold 24px Segoe UI, Arial, sans-serif';
+    ctx.fillText(`${plan.symbol} · ${plan.bias}`, PNG_PADDING, y);
+    ctx.fillStyle = PNG_COLORS.muted;
+    ctx.font = '14px Segoe UI, Arial, sans-serif';
+    ctx.fillText(`${PlanExporter.datesLine(plan)} · ${plan.profile} profile`, PNG_PADDING, y + 34);
+    y += headerHeight;
+
+    if (chartCanvas) {
+      ctx.drawImage(chartCanvas, PNG_PADDING, y, textWidth, chartHeight);
+      y += chartHeight;
+    }
+
+    rows.forEach(row => {
+      if (row.rule) {
+        ctx.fillStyle = PNG_COLORS.rule;
+        ctx.fillRect(PNG_PADDING, y + row.height / 2, textWidth, 1);
+      } else {
+        ctx.fillStyle = row.color;
+        ctx.font = row.font;
+        ctx.fillText(row.text, PNG_PADDING + row.indent, y + 2);
+      }
+      y += row.height;
+    });
+
+    return new Promise((resolve, reject) => {
+      canvas.toBlob(blob => (blob ? resolve(blob) : reject(new Error('Could not create the image'))), 'image/png');
+    });
+  }
+
+  /**
+   * Text rows under the chart, wrapped to the image width
+   */
+  pngRows(ctx, plan, width) {
+    const rows = [];
+    const font = (size, weight = '') => `${weight} ${size}px Segoe UI, Arial, sans-serif`.trim();
+    const add = (text, { size = 14, weight = '', color = PNG_COLORS.text, indent = 0 } = {}) => {
+      ctx.font = font(size, weight);
+      this.wrap(ctx, text, width - indent).forEach(line => {
+        rows.push({ text: line, font: font(size, weight), color, indent, height: Math.round(size * 1.5) });
+      });
+    };
+    const rule = () => rows.push({ rule: true, height: 16 });
+
+    rule();
+    add(`${plan.direction} · strength ${plan.strength.toFixed(0)}%`, { size: 16, weight: 'bold', color: PNG_COLORS[plan.tone] });
+    if (plan.recommendation) {
+      add(plan.recommendation);
+    }
+
+    plan.setups.forEach(setup => {
+      rule();
+      add(`${setup.side} SETUP`, { size: 15, weight: 'bold', color: PNG_COLORS[setup.tone] });
+      add(`Entry zone: ${setup.entryZone}`, { indent: 12 });
+      add(`Stop / invalidation: ${setup.invalidation}`, { indent: 12 });
+      setup.targets.forEach((target, index) => {
+        add(`TP${index + 1}: ${target.level} (${target.label})`, { indent: 12 });
+      });
+    });
+
+    const checklist = PlanExporter.checklistLine(plan);
+    if (checklist) {
+      rule();
+      add(`Checklist - ${checklist}`, { weight: 'bold', color: plan.checklist.ready ? PNG_COLORS.bullish : PNG_COLORS.bearish });
+      if (!plan.checklist.ready && plan.checklist.missing.length > 0) {
+        add(`Missing: ${plan.checklist.missing.join(' · ')}`, { size: 13, color: PNG_COLORS.muted, indent: 12 });
+      }
+    }
+
+    return rows;
+  }
+
+  /**
+   * Split text into lines no wider than width with the context's current font
+   */
+  wrap(ctx, text, width) {
+    const lines = [];
+    let line = '';
+
+    String(text).split(/\s+/).forEach(word => {
+      const next = line ? `${line} ${word}` : word;
+      if (line && ctx.measureText(next).width > width) {
+        lines.push(line);
+        line = word;
+      } else {
+        line = next;
+      }
+    });
+
+    if (line) {
+      lines.push(line);
+    }
+    return lines;
+  }
+
+  /**
+   * Standalone A4 page for printing or "Save as PDF"
+   */
+  toPrintHtml(plan, chartImage = null) {
+    const checklist = PlanExporter.checklistLine(plan);
+    const setups = plan.setups.map(setup => `
+      <section class="setup ${setup.tone}">
+        <h3>${setup.side} SETUP</h3>
+        <table>
+          <tr><th>Sweep level</th><td>${escapeHtml(setup.sweepLevel)}</td></tr>
+          <tr><th>Entry zone</th><td>${escapeHtml(setup.entryZone)}</td></tr>
+          <tr><th>Stop / invalidation</th><td>${escapeHtml(setup.invalidation)}</td></tr>
+          ${setup.targets.map((target, index) => `
+            <tr><th>TP${index + 1}</th><td>${escapeHtml(target.level)} <span class="muted">${escapeHtml(target.label)}</span></td></tr>
+          `).join('')}
+        </table>
+      </section>
+    `).join('');
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <title>${escapeHtml(PlanExporter.fileName(plan, 'pdf'))}</title>
+  <style>
+    @page { size: A4; margin: 15mm; }
+    body { font-family: 'Segoe UI', Arial, sans-serif; color: #212529; margin: 0; font-size: 11pt; }
+    header { border-bottom: 2px solid #212529; padding-bottom: 6pt; margin-bottom: 10pt; }
+    h1 { font-size: 18pt; margin: 0; }
+    h2 { font-size: 13pt; margin: 10pt 0 4pt; }
+    h3 { font-size: 11pt; margin: 0 0 4pt; }
+    .muted { color: #6c757d; }
+    .bullish { color: #198754; }
+    .bearish { color: #dc3545; }
+    .neutral { color: #b58900; }
+    img.chart { width: 100%; border: 1px solid #dee2e6; }
+    .setups { display: flex; gap: 12pt; }
+    .setup { flex: 1; border: 1px solid #dee2e6; border-radius: 4pt; padding: 6pt; break-inside: avoid; }
+    .setup table { width: 100%; border-collapse: collapse; color: #212529; }
+    .setup th { text-align: left; font-weight: 600; padding: 2pt 6pt 2pt 0; width: 45%; }
+    .checklist { border: 1px solid #dee2e6; border-radius: 4pt; padding: 6pt; margin-top: 10pt; break-inside: avoid; }
+    footer { margin-top: 12pt; font-size: 9pt; }
+  </style>
+</head>
+<body>
+  <header>
+    <h1>${escapeHtml(plan.symbol)} · <span class="${plan.tone}">${escapeHtml(plan.bias)}</span></h1>
+    <div class="muted">${escapeHtml(PlanExporter.datesLine(plan))} · ${escapeHtml(plan.profile)} profile</div>
+  </header>
+
+  ${chartImage ? `<img class="chart" src="${chartImage}" alt="Chart">` : ''}
+
+  <h2 class="${plan.tone}">${escapeHtml(plan.direction)} · strength ${plan.strength.toFixed(0)}%</h2>
+  ${plan.recommendation ? `<p>${escapeHtml(plan.recommendation)}</p>` : ''}
+
+  ${setups ? `<div class="setups">${setups}</div>` : '<p class="muted">No trade setup for this forecast.</p>'}
+
+  ${checklist ? `
+    <div class="checklist">
+      <strong class="${plan.checklist.ready ? 'bullish' : 'bearish'}">Checklist - ${escapeHtml(checklist)}</strong>
+      ${!plan.checklist.ready && plan.checklist.missing.length > 0 ? `<div class="muted">Missing: ${plan.checklist.missing.map(escapeHtml).join(' · ')}</div>` : ''}
+    </div>
+  ` : ''}
+
+  <footer class="muted">Trading Bias Finder · analysed ${escapeHtml(new Date(plan.savedAt).toLocaleString())}</footer>
+</body>
+</html>`;
+  }
+}
@@ -0,0 +1,330 @@
+/**
+ * Strategy Profiles
+ * Named sets of candle thresholds, confluence weights and forecast strengths
+ * used by BiasCalculator
+ */
+
+export const DEFAULT_PROFILE = {
+  id: 'default',
+  name: 'Default',
+  builtIn: true,
+  candle: {
+    dojiBodyPercent: 10,
+    strongBodyPercent: 70,
+    normalBodyPercent: 50,
+    wickRejectionRatio: 2
+  },
+  closePosition: {
+    upperPercent: 75,
+    lowerPercent: 25
+  },
+  weights: {
+    consecutiveCandles: 2,
+    reversalCandle: 1,
+    wickRejection: 1,
+    breakout: 1,
+    breakoutClose: 1,
+    outsideBar: 2,
+    trendStructure: 2,
+    closePosition: 1,
+    swingStructure: 1
+  },
+  structure: {
+    lookback: 10,
+    swingStrength: 1,
+    equalTolerance: 0.1
+  },
+  volatility: {
+    period: 14,
+    minCandles: 5,
+    pullbackZone: 0.2,
+    confluenceZone: 0.15,
+    extension1: 0.5,
+    extension2: 1,
+    fibExtension: 0.618,
+    counterMove: 0.25,
+    fakeBreakoutStop: 0.3,
+    exhaustedPercent: 100,
+    compressedPercent: 60
+  },
+  strength: {
+    fakeBreakout: 85,
+    continuationBase: 75,
+    continuationStep: 3,
+    insideBar: 70,
+    insideBarNeutral: 50,
+    confluenceThreshold: 3,
+    confluenceBase: 60,
+    confluenceStep: 5,
+    neutral: 50,
+    max: 95,
+    htfAgreement: 10,
+    htfConflict: 15
+  }
+};
+
+/**
+ * Labels for the settings editor, grouped like the profile object
+ */
+export const PROFILE_FIELDS = {
+  candle: {
+    label: 'Candle Classification',
+    fields: {
+      dojiBodyPercent: 'Doji below body % of range',
+      strongBodyPercent: 'Strong candle above body %',
+      normalBodyPercent: 'Normal candle above body %',
+      wickRejectionRatio: 'Wick rejection (x body)'
+    }
+  },
+  closePosition: {
+    label: 'Close Position',
+    fields: {
+      upperPercent: 'Bullish close above % of range',
+      lowerPercent: 'Bearish close below % of range'
+    }
+  },
+  weights: {
+    label: 'Confluence Weights',
+    fields: {
+      consecutiveCandles: 'Two candles same direction',
+      reversalCandle: 'Reversal candle',
+      wickRejection: 'Wick rejection',
+      breakout: 'D-2 high/low broken',
+      breakoutClose: 'Closed beyond D-2 high/low',
+      outsideBar: 'Outside bar close',
+      trendStructure: 'HH/HL or LH/LL structure',
+      closePosition: 'Close in upper/lower range',
+      swingStructure: 'Swing HH/HL or LH/LL (lookback)'
+    }
+  },
+  structure: {
+    label: 'Lookback Structure',
+    fields: {
+      lookback: 'Lookback candles',
+      swingStrength: 'Bars each side of a swing',
+      equalTolerance: 'Equal highs/lows (x avg range)'
+    }
+  },
+  volatility: {
+    label: 'Volatility & Projections',
+    fields: {
+      period: 'ADR/ATR period (days)',
+      minCandles: 'Min history candles for ADR',
+      pullbackZone: 'Continuation entry depth (x ADR)',
+      confluenceZone: 'Confluence entry depth (x ADR)',
+      extension1: 'Extension 1 (x ADR)',
+      extension2: 'Extension 2 (x ADR)',
+      fibExtension: '1.618 extension (x ADR)',
+      counterMove: 'Expected move against bias (x ADR)',
+      fakeBreakoutStop: 'Fake breakout stop beyond the sweep (x ADR)',
+      exhaustedPercent: 'D-1 exhausted above % of ADR',
+      compressedPercent: 'D-1 compressed below % of ADR'
+    }
+  },
+  strength: {
+    label: 'Forecast Strength',
+    fields: {
+      fakeBreakout: 'Fake breakout reversal',
+      continuationBase: 'Continuation base',
+      continuationStep: 'Continuation per confluence',
+      insideBar: 'Inside bar breakout',
+      insideBarNeutral: 'Inside bar doji',
+      confluenceThreshold: 'Confluence needed for bias',
+      confluenceBase: 'Confluence bias base',
+      confluenceStep: 'Confluence bias per point',
+      neutral: 'Neutral',
+      max: 'Maximum strength',
+      htfAgreement: 'Added when HTF agrees',
+      htfConflict: 'Removed when HTF conflicts'
+    }
+  }
+};
+
+const PERCENT = { min: 0, max: 100 };
+
+/**
+ * Allowed values per setting. Counts are whole numbers; settings not listed
+ * only need to be 0 or more.
+ */
+const PROFILE_LIMITS = {
+  candle: {
+    dojiBodyPercent: PERCENT,
+    strongBodyPercent: PERCENT,
+    normalBodyPercent: PERCENT
+  },
+  closePosition: {
+    upperPercent: PERCENT,
+    lowerPercent: PERCENT
+  },
+  structure: {
+    lookback: { min: 2, max: 60, integer: true },
+    swingStrength: { min: 1, max: 10, integer: true }
+  },
+  volatility: {
+    period: { min: 1, max: 59, integer: true },
+    minCandles: { min: 2, max: 59, integer: true }
+  },
+  strength: {
+    fakeBreakout: PERCENT,
+    continuationBase: PERCENT,
+    continuationStep: PERCENT,
+    insideBar: PERCENT,
+    insideBarNeutral: PERCENT,
+    confluenceThreshold: { min: 1, max: 20, integer: true },
+    confluenceBase: PERCENT,
+    confluenceStep: PERCENT,
+    neutral: PERCENT,
+    max: PERCENT,
+    htfAgreement: PERCENT,
+    htfConflict: PERCENT
+  }
+};
+
+/**
+ * Why a profile setting value is not allowed, or null when it is
+ */
+export function profileValueProblem(group, field, value) {
+  const label = PROFILE_FIELDS[group].fields[field];
+  const { min = 0, max = Infinity, integer = false } = (PROFILE_LIMITS[group] || {})[field] || {};
+
+  if (!Number.isFinite(value)) {
+    return `${label} must be a valid number`;
+  }
+  if (integer && (!Number.isInteger(value) || value < min || value > max)) {
+    return `${label} must be a whole number from ${min} to ${max}`;
+  }
+  if (value < min || value > max) {
+    return max === Infinity ? `${label} must be ${min} or more` : `${label} must be between ${min} and ${max}`;
+  }
+  return null;
+}
+
+export const BUILT_IN_PROFILES = [
+  DEFAULT_PROFILE,
+  {
+    id: 'fx-majors',
+    name: 'FX Majors',
+    builtIn: true,
+    candle: { wickRejectionRatio: 1.8 },
+    strength: { insideBar: 65 }
+  },
+  {
+    id: 'indices',
+    name: 'Indices',
+    builtIn: true,
+    candle: { strongBodyPercent: 65 },
+    weights: { trendStructure: 3 },
+    strength: { fakeBreakout: 80, continuationBase: 78 }
+  },
+  {
+    id: 'crypto',
+    name: 'Crypto',
+    builtIn: true,
+    candle: { dojiBodyPercent: 15, strongBodyPercent: 75, wickRejectionRatio: 2.5 },
+    strength: { fakeBreakout: 80, confluenceThreshold: 4 }
+  }
+].map(profile => normalizeProfile(profile));
+
+/**
+ * Fill any missing group or value from the default profile
+ */
+export function normalizeProfile(profile) {
+  const normalized = {
+    id: profile.id,
+    name: profile.name,
+    builtIn: !!profile.builtIn
+  };
+
+  Object.keys(PROFILE_FIELDS).forEach(group => {
+    normalized[group] = { ...DEFAULT_PROFILE[group], ...(profile[group] || {}) };
+  });
+
+  return normalized;
+}
+
+export class ProfileManager {
+  constructor(storage) {
+    this.storage = storage;
+  }
+
+  /**
+   * Built-in profiles followed by the user's own
+   */
+  async getProfiles() {
+    const custom = (await this.storage.getCustomProfiles()).map(profile => normalizeProfile(profile));
+    return [...BUILT_IN_PROFILES, ...custom];
+  }
+
+  /**
+   * Find a profile by id
+   */
+  async getProfile(id) {
+    return (await this.getProfiles()).find(profile => profile.id === id) || null;
+  }
+
+  /**
+   * Currently selected profile, falling back to the default
+   */
+  async getActiveProfile() {
+    return (await this.getProfile(await this.storage.getActiveProfileId())) || DEFAULT_PROFILE;
+  }
+
+  /**
+   * Select the profile used for new analyses
+   */
+  async setActiveProfile(id) {
+    if (!(await this.getProfile(id))) {
+      throw new Error(`Unknown strategy profile: ${id}`);
+    }
+    await this.storage.setActiveProfileId(id);
+  }
+
+  /**
+   * Copy any profile into a new editable one
+   */
+  async cloneProfile(id, name) {
+    const source = await this.getProfile(id);
+
+    if (!source) {
+      throw new Error(`Unknown strategy profile: ${id}`);
+    }
+
+    const clone = normalizeProfile({
+      ...JSON.parse(JSON.stringify(source)),
+      id: `custom-${Date.now()}`,
+      name: name || `${source.name} (copy)`,
+      builtIn: false
+    });
+
+    await this.storage.saveCustomProfile(clone);
+    return clone;
+  }
+
+  /**
+   * Save changes to a custom profile
+   */
+  async saveProfile(profile) {
+    if (profile.builtIn || BUILT_IN_PROFILES.some(builtIn => builtIn.id === profile.id)) {
+      throw new Error('Built-in profiles cannot be edited - clone it first');
+    }
+
+    const normalized = normalizeProfile(profile);
+    await this.storage.saveCustomProfile(normalized);
+    return normalized;
+  }
+
+  /**
+   * Delete a custom profile, falling back to the default if it was active
+   */
+  async deleteProfile(id) {
+    if (BUILT_IN_PROFILES.some(builtIn => builtIn.id === id)) {
+      throw new Error('Built-in profiles cannot be deleted');
+    }
+
+    await this.storage.deleteCustomProfile(id);
+
+    if (await this.storage.getActiveProfileId() === id) {
+      await this.storage.setActiveProfileId(DEFAULT_PROFILE.id);
+    }
+  }
+}
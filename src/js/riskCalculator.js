@@ -0,0 +1,118 @@
+/**
+ * Position Size & Risk Calculator
+ * Sizes a trade from account risk and the generated setup's entry, stop and targets
+ */
+
+import { Instrument } from './instruments';
+
+export const RISK_LIMITS = {
+  maxRiskPercent: 2,
+  minRewardRatio: 2
+};
+
+export class RiskCalculator {
+  constructor(instrument) {
+    this.instrument = instrument instanceof Instrument ? instrument : new Instrument(instrument);
+  }
+
+  /**
+   * Entry price for a setup: the middle of its entry zone
+   */
+  static entryFromZone(entryZone) {
+    const prices = String(entryZone).split(' - ').map(parseFloat).filter(price => !isNaN(price));
+
+    if (prices.length === 0) {
+      return NaN;
+    }
+
+    return prices.reduce((sum, price) => sum + price, 0) / prices.length;
+  }
+
+  /**
+   * Rate that converts one unit of the quote currency into the account currency.
+   * Returns null when it cannot be derived from the symbol and price alone.
+   */
+  quoteToAccountRate(accountCurrency, price) {
+    const account = (accountCurrency || '').toUpperCase();
+    const { quoteCurrency, type, symbol } = this.instrument;
+
+    if (!account || quoteCurrency === account) {
+      return 1;
+    }
+
+    if (type === 'forex' && symbol.slice(0, 3) === account && price > 0) {
+      return 1 / price;
+    }
+
+    return null;
+  }
+
+  /**
+   * Size a position for one setup
+   */
+  calculate({ balance, riskPercent, setup, accountCurrency, conversionRate }) {
+    const entry = RiskCalculator.entryFromZone(setup.entryZone);
+    const stop = parseFloat(setup.invalidation);
+    const stopDistance = Math.abs(entry - stop);
+    const rate = conversionRate || this.quoteToAccountRate(accountCurrency, entry);
+
+    if (!(balance > 0) || !(riskPercent > 0)) {
+      return { error: 'Enter account balance and risk %' };
+    }
+
+    if (isNaN(entry) || isNaN(stop) || stopDistance === 0) {
+      return { error: 'Setup has no usable entry or stop' };
+    }
+
+    if (!rate) {
+      return {
+        error: `Enter the ${this.instrument.quoteCurrency}→${accountCurrency} rate to size this trade`,
+        needsConversion: true
+      };
+    }
+
+    const riskBudget = balance * (riskPercent / 100);
+    const lossPerUnit = stopDistance * rate;
+    // Round down to the 0.01 lot step, with a little slack for float error
+    const lots = Math.floor((riskBudget / lossPerUnit / this.instrument.contractSize) * 100 + 1e-9) / 100;
+    const units = lots * this.instrument.contractSize;
+    const riskAmount = units * lossPerUnit;
+
+    const targets = (setup.targets || []).map(target => {
+      const level = parseFloat(target.level);
+      const reward = Math.abs(level - entry);
+
+      return {
+        ...target,
+        rMultiple: reward / stopDistance,
+        rewardAmount: units * reward * rate
+      };
+    });
+
+    return {
+      entry,
+      stop,
+      stopPips: this.instrument.priceToPips(stopDistance),
+      pipLabel: this.instrument.pipLabel,
+      rate,
+      lots,
+      units,
+      valuePerPip: units * this.instrument.pipSize * rate,
+      riskBudget,
+      riskAmount,
+      riskPercent: (riskAmount / balance) * 100,
+      bestRMultiple: targets.reduce((best, target) => Math.max(best, target.rMultiple), 0),
+      targets
+    };
+  }
+
+  /**
+   * Which checklist thresholds this sizing satisfies
+   */
+  static checklistRules(result) {
+    return {
+      positionSize: !result.error && result.lots > 0 && result.riskPercent <= RISK_LIMITS.maxRiskPercent,
+      riskReward: !result.error && result.bestRMultiple >= RISK_LIMITS.minRewardRatio
+    };
+  }
+}
@@ -0,0 +1,122 @@
+/**
+ * Intraday Session Analyzer
+ * Asian range, London and New York session ranges from today's lower timeframe
+ * candles, and whether London swept the Asian range in the direction of the bias
+ */
+
+// Session windows in UTC hours [start, end)
+export const SESSIONS = {
+  asian: { label: 'Asian', short: 'Asia', start: 0, end: 7 },
+  london: { label: 'London', short: 'LDN', start: 7, end: 12 },
+  newYork: { label: 'New York', short: 'NY', start: 12, end: 21 }
+};
+
+export class SessionAnalyzer {
+  /**
+   * @param candles Intraday candles with date (YYYY-MM-DD) and time (HH:MM)
+   * @param utcOffset Hours the candle timestamps are ahead of UTC (e.g. 2 for broker time UTC+2)
+   */
+  constructor(candles, utcOffset = 0) {
+    this.utcOffset = parseFloat(utcOffset) || 0;
+    this.candles = (candles || [])
+      .map(candle => this.toUTC(candle))
+      .filter(candle => candle && [candle.open, candle.high, candle.low, candle.close].every(Number.isFinite));
+  }
+
+  /**
+   * Shift a candle's date/time into UTC, returning the minute of the UTC day it opens at
+   */
+  toUTC(candle) {
+    const [hours, minutes] = String(candle.time || '00:00').split(':').map(Number);
+    const [year, month, day] = String(candle.date || '').split('-').map(Number);
+    const stamp = Date.UTC(year, month - 1, day, hours, minutes) - this.utcOffset * 3600000;
+
+    if (isNaN(stamp)) {
+      return null;
+    }
+
+    const utc = new Date(stamp);
+
+    return {
+      date: utc.toISOString().slice(0, 10),
+      minute: utc.getUTCHours() * 60 + utc.getUTCMinutes(),
+      open: parseFloat(candle.open),
+      high: parseFloat(candle.high),
+      low: parseFloat(candle.low),
+      close: parseFloat(candle.close)
+    };
+  }
+
+  /**
+   * High, low, open and close of the candles opening inside one session window
+   */
+  sessionRange(candles, session) {
+    const inSession = candles.filter(candle => candle.minute >= session.start * 60 && candle.minute < session.end * 60);
+
+    if (inSession.length === 0) {
+      return null;
+    }
+
+    return {
+      label: session.label,
+      start: session.start,
+      end: session.end,
+      open: inSession[0].open,
+      high: Math.max(...inSession.map(candle => candle.high)),
+      low: Math.min(...inSession.map(candle => candle.low)),
+      close: inSession[inSession.length - 1].close,
+      candles: inSession.length
+    };
+  }
+
+  /**
+   * Session ranges for the latest UTC day in the data.
+   * direction is the daily bias family: 'bullish', 'bearish' or 'neutral'.
+   */
+  analyze(direction = 'neutral') {
+    if (this.candles.length === 0) {
+      return null;
+    }
+
+    const date = this.candles.reduce((latest, candle) => candle.date > latest ? candle.date : latest, '');
+    const today = this.candles.filter(candle => candle.date === date);
+    const sessions = {};
+
+    Object.keys(SESSIONS).forEach(key => {
+      const range = this.sessionRange(today, SESSIONS[key]);
+      if (range) {
+        sessions[key] = range;
+      }
+    });
+
+    return {
+      date,
+      utcOffset: this.utcOffset,
+      sessions,
+      londonSweep: this.londonSweep(sessions.asian, sessions.london, direction)
+    };
+  }
+
+  /**
+   * Which side of the Asian range London took, and whether that is the side the
+   * bias wants swept (Asian low for buys, Asian high for sells)
+   */
+  londonSweep(asian, london, direction) {
+    if (!asian || !london) {
+      return null;
+    }
+
+    const sweptHigh = london.high > asian.high;
+    const sweptLow = london.low < asian.low;
+    const side = sweptHigh && sweptLow ? 'both' : sweptHigh ? 'high' : sweptLow ? 'low' : 'none';
+    const expected = direction === 'bullish' ? 'low' : direction === 'bearish' ? 'high' : null;
+
+    return {
+      side,
+      expected,
+      aligned: expected !== null && side === expected,
+      // London closed back inside the Asian range after taking it
+      reclaimed: side !== 'none' && london.close <= asian.high && london.close >= asian.low
+    };
+  }
+}
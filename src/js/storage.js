@@ -1,84 +1,344 @@
 /**
- * Local Storage Manager for Analysis History
+ * Storage Manager for Analysis History and Settings
+ * Async interface over IndexedDB. Data saved by earlier versions in
+ * localStorage is copied over on first run.
  */
 
+import { Database, STORES, promisify } from './database';
+
 export class StorageManager {
-    constructor() {
-      this.storageKey = 'tradingBiasHistory';
-      this.maxHistoryItems = 20;
+    constructor(database = new Database()) {
+      this.db = database;
+      this.readyPromise = null;
+      
+      // localStorage keys used before the move to IndexedDB
+      this.legacyKeys = {
+        history: 'tradingBiasHistory',
+        checklist: 'tradingChecklist',
+        profiles: 'tradingStrategyProfiles',
+        activeProfile: 'tradingActiveProfile',
+        riskSettings: 'tradingRiskSettings',
+        checklistTemplates: 'tradingChecklistTemplates'
+      };
+      this.migrationKey = 'migratedFromLocalStorage';
+      this.defaultRiskSettings = { balance: 10000, currency: 'USD', riskPercent: 1 };
+    }
+  
+    /**
+     * Open the database and run the localStorage migration once. A failure is
+     * not kept, so the next call tries again.
+     */
+    ready() {
+      if (!this.readyPromise) {
+        this.readyPromise = this.db.open()
+          .then(() => this.migrateLocalStorage())
+          .catch(error => {
+            this.readyPromise = null;
+            throw error;
+          });
+      }
+      return this.readyPromise;
+    }
+  
+    /**
+     * Copy history, checklist ticks, profiles, templates and settings from
+     * localStorage. The old keys are left in place as a backup.
+     */
+    async migrateLocalStorage() {
+      if (typeof localStorage === 'undefined' || await this.db.get(STORES.SETTINGS, this.migrationKey)) {
+        return;
+      }
+      
+      const read = (key, fallback) => {
+        try {
+          const value = localStorage.getItem(key);
+          return value ? JSON.parse(value) : fallback;
+        } catch (error) {
+          console.error(`Error reading ${key} for migration:`, error);
+          return fallback;
+        }
+      };
+      
+      const history = read(this.legacyKeys.history, []);
+      const legacyChecklist = read(this.legacyKeys.checklist, null);
+      const profiles = read(this.legacyKeys.profiles, []);
+      const templates = read(this.legacyKeys.checklistTemplates, []);
+      const riskSettings = read(this.legacyKeys.riskSettings, null);
+      const activeProfile = localStorage.getItem(this.legacyKeys.activeProfile);
+      
+      // The single global checklist belonged to the latest analysis
+      if (legacyChecklist && history[0] && !history[0].checklist) {
+        const checked = {};
+        Object.keys(legacyChecklist).forEach(id => {
+          if (legacyChecklist[id]) {
+            checked[id.replace(/^check-/, '')] = true;
+          }
+        });
+        history[0].checklist = { checked, updatedAt: new Date().toISOString() };
+      }
+      
+      await this.db.transaction(Object.values(STORES), 'readwrite', stores => {
+        history.forEach(entry => stores[STORES.ANALYSES].put({ ...entry, bias: entry.analysis ? entry.analysis.bias : null }));
+        profiles.forEach(profile => stores[STORES.PROFILES].put(profile));
+        templates.forEach(template => stores[STORES.CHECKLISTS].put(template));
+        
+        if (activeProfile) {
+          stores[STORES.SETTINGS].put({ key: 'activeProfile', value: activeProfile });
+        }
+        if (riskSettings) {
+          stores[STORES.SETTINGS].put({ key: 'riskSettings', value: riskSettings });
+        }
+        
+        stores[STORES.SETTINGS].put({
+          key: this.migrationKey,
+          value: { migratedAt: new Date().toISOString(), analyses: history.length }
+        });
+      });
     }
   
     /**
      * Save analysis to history
      */
-    saveAnalysis(data, analysis) {
-      const history = this.getHistory();
+    async saveAnalysis(data, analysis, profile = null) {
+      await this.ready();
       
       const entry = {
         id: Date.now(),
         timestamp: new Date().toISOString(),
         symbol: data.symbol || 'N/A',
+        bias: analysis.bias,
         data: data,
-        analysis: analysis
+        analysis: analysis,
+        // Full snapshot so the analysis can be reproduced after the profile changes
+        profile: profile
       };
-  
-      history.unshift(entry);
-  
-      // Keep only last maxHistoryItems
-      if (history.length > this.maxHistoryItems) {
-        history.pop();
-      }
-  
-      localStorage.setItem(this.storageKey, JSON.stringify(history));
+      
+      await this.db.put(STORES.ANALYSES, entry);
       return entry;
     }
   
     /**
-     * Get all history
+     * Get all history, newest first
      */
-    getHistory() {
-      try {
-        const history = localStorage.getItem(this.storageKey);
-        return history ? JSON.parse(history) : [];
-      } catch (error) {
-        console.error('Error reading history:', error);
-        return [];
-      }
+    async getHistory() {
+      await this.ready();
+      const history = await this.db.getAll(STORES.ANALYSES, 'timestamp');
+      return history.reverse();
+    }
+  
+    /**
+     * History entries matching one index ('symbol', 'timestamp' or 'bias'),
+     * newest first. query is a value or an IDBKeyRange.
+     */
+    async queryHistory(indexName, query) {
+      await this.ready();
+      const entries = await this.db.getAll(STORES.ANALYSES, indexName, query);
+      return entries.sort((a, b) => b.timestamp.localeCompare(a.timestamp));
     }
   
     /**
      * Clear all history
      */
-    clearHistory() {
-      localStorage.removeItem(this.storageKey);
+    async clearHistory() {
+      await this.ready();
+      await this.db.clear(STORES.ANALYSES);
     }
   
     /**
      * Delete specific entry
      */
-    deleteEntry(id) {
-      const history = this.getHistory();
-      const filtered = history.filter(entry => entry.id !== id);
-      localStorage.setItem(this.storageKey, JSON.stringify(filtered));
+    async deleteEntry(id) {
+      await this.ready();
+      await this.db.delete(STORES.ANALYSES, id);
     }
   
     /**
-     * Save checklist state
+     * Attach the actual D0 candle and its grade to a history entry
      */
-    saveChecklistState(checklistState) {
-      localStorage.setItem('tradingChecklist', JSON.stringify(checklistState));
+    async saveOutcome(id, actual, grade) {
+      await this.ready();
+      
+      return this.db.update(STORES.ANALYSES, id, entry => ({
+        ...entry,
+        outcome: {
+          actual,
+          grade,
+          recordedAt: new Date().toISOString()
+        }
+      }));
     }
   
     /**
-     * Get checklist state
+     * Get a single history entry
      */
-    getChecklistState() {
-      try {
-        const state = localStorage.getItem('tradingChecklist');
-        return state ? JSON.parse(state) : {};
-      } catch (error) {
-        return {};
-      }
+    async getEntry(id) {
+      await this.ready();
+      return this.db.get(STORES.ANALYSES, id);
+    }
+  
+    /**
+     * Save checklist progress on a history entry
+     */
+    async saveChecklistState(id, checklistState) {
+      await this.ready();
+      
+      return this.db.update(STORES.ANALYSES, id, entry => ({
+        ...entry,
+        checklist: {
+          ...checklistState,
+          updatedAt: new Date().toISOString()
+        }
+      }));
+    }
+  
+    /**
+     * Get checklist progress saved on a history entry
+     */
+    async getChecklistState(id) {
+      const entry = await this.getEntry(id);
+      return entry && entry.checklist ? entry.checklist : null;
+    }
+  
+    /**
+     * Get user-defined strategy profiles
+     */
+    async getCustomProfiles() {
+      await this.ready();
+      return this.db.getAll(STORES.PROFILES);
+    }
+  
+    /**
+     * Insert or update a user-defined strategy profile
+     */
+    async saveCustomProfile(profile) {
+      await this.ready();
+      await this.db.put(STORES.PROFILES, profile);
+    }
+  
+    /**
+     * Delete a user-defined strategy profile
+     */
+    async deleteCustomProfile(id) {
+      await this.ready();
+      await this.db.delete(STORES.PROFILES, id);
+    }
+  
+    /**
+     * Get user-defined checklist templates
+     */
+    async getCustomChecklists() {
+      await this.ready();
+      return this.db.getAll(STORES.CHECKLISTS);
+    }
+  
+    /**
+     * Insert or update a user-defined checklist template
+     */
+    async saveCustomChecklist(template) {
+      await this.ready();
+      await this.db.put(STORES.CHECKLISTS, template);
+    }
+  
+    /**
+     * Delete a user-defined checklist template
+     */
+    async deleteCustomChecklist(id) {
+      await this.ready();
+      await this.db.delete(STORES.CHECKLISTS, id);
+    }
+  
+    /**
+     * Get a setting by key, or fallback when it was never saved
+     */
+    async getSetting(key, fallback = null) {
+      await this.ready();
+      const setting = await this.db.get(STORES.SETTINGS, key);
+      return setting ? setting.value : fallback;
+    }
+  
+    /**
+     * Save a setting by key
+     */
+    async saveSetting(key, value) {
+      await this.ready();
+      await this.db.put(STORES.SETTINGS, { key, value });
+    }
+  
+    /**
+     * Every record in the database, grouped by store. The migration marker
+     * is left out as it describes this browser, not the data.
+     */
+    async exportData() {
+      await this.ready();
+      
+      const [analyses, profiles, checklists, settings] = await Promise.all([
+        this.db.getAll(STORES.ANALYSES, 'timestamp'),
+        this.db.getAll(STORES.PROFILES),
+        this.db.getAll(STORES.CHECKLISTS),
+        this.db.getAll(STORES.SETTINGS)
+      ]);
+      
+      return {
+        analyses: analyses.reverse(),
+        profiles,
+        checklists,
+        settings: settings.filter(setting => setting.key !== this.migrationKey)
+      };
+    }
+  
+    /**
+     * Write records grouped by store in one transaction. 'replace' empties the
+     * stores first; 'merge' writes on top of what is there.
+     */
+    async importData(data, mode = 'merge') {
+      await this.ready();
+      
+      const storeNames = Object.values(STORES);
+      
+      await this.db.transaction(storeNames, 'readwrite', async stores => {
+        if (mode === 'replace') {
+          const migration = await promisify(stores[STORES.SETTINGS].get(this.migrationKey));
+          
+          storeNames.forEach(name => stores[name].clear());
+          
+          // Keep the marker so old localStorage data is not migrated again
+          if (migration) {
+            stores[STORES.SETTINGS].put(migration);
+          }
+        }
+        
+        (data.analyses || []).forEach(entry => stores[STORES.ANALYSES].put(entry));
+        (data.profiles || []).forEach(profile => stores[STORES.PROFILES].put(profile));
+        (data.checklists || []).forEach(template => stores[STORES.CHECKLISTS].put(template));
+        (data.settings || []).forEach(setting => stores[STORES.SETTINGS].put(setting));
+      });
+    }
+  
+    /**
+     * Get id of the active strategy profile
+     */
+    getActiveProfileId() {
+      return this.getSetting('activeProfile', 'default');
+    }
+  
+    /**
+     * Set id of the active strategy profile
+     */
+    setActiveProfileId(id) {
+      return this.saveSetting('activeProfile', id);
+    }
+  
+    /**
+     * Get account balance, currency and risk % for position sizing
+     */
+    getRiskSettings() {
+      return this.getSetting('riskSettings', { ...this.defaultRiskSettings });
+    }
+  
+    /**
+     * Save position sizing settings
+     */
+    saveRiskSettings(settings) {
+      return this.saveSetting('riskSettings', settings);
     }
   }
-  
\ No newline at end of file
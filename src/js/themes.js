@@ -0,0 +1,148 @@
+/**
+ * Themes
+ * Light, dark and high-contrast looks for the Bootstrap UI and the chart.
+ * "auto" follows the OS colour scheme / contrast preference; the chosen
+ * mode is saved as a setting.
+ */
+
+export const THEMES = {
+  light: {
+    label: 'Light',
+    bsTheme: 'light',
+    chart: {
+      background: '#ffffff',
+      text: '#333333',
+      grid: '#e1e4e8',
+      border: '#D1D4DC',
+      up: '#26a69a',
+      down: '#ef5350'
+    }
+  },
+  dark: {
+    label: 'Dark',
+    bsTheme: 'dark',
+    chart: {
+      background: '#131722',
+      text: '#d1d4dc',
+      grid: '#2a2e39',
+      border: '#363a45',
+      up: '#26a69a',
+      down: '#ef5350'
+    }
+  },
+  highContrast: {
+    label: 'High contrast',
+    bsTheme: 'dark',
+    chart: {
+      background: '#000000',
+      text: '#ffffff',
+      grid: '#3a3a3a',
+      border: '#ffffff',
+      up: '#00e676',
+      down: '#ff1744'
+    }
+  }
+};
+
+export const THEME_MODES = {
+  auto: 'Auto (system)',
+  light: THEMES.light.label,
+  dark: THEMES.dark.label,
+  highContrast: THEMES.highContrast.label
+};
+
+// OS preferences "auto" follows, strongest first
+const SYSTEM_QUERIES = [
+  { query: '(prefers-contrast: more)', theme: 'highContrast' },
+  { query: '(prefers-color-scheme: dark)', theme: 'dark' }
+];
+
+export class ThemeManager {
+  constructor(storage) {
+    this.storage = storage;
+    this.mode = 'auto';
+    this.listeners = [];
+    this.watching = false;
+  }
+
+  /**
+   * Apply the saved mode and start following OS preference changes
+   */
+  async load() {
+    const mode = await this.storage.getSetting('theme', 'auto');
+    this.mode = THEME_MODES[mode] ? mode : 'auto';
+    this.watchSystem();
+    this.apply();
+    return this.mode;
+  }
+
+  /**
+   * Switch to a mode and save it
+   */
+  async setMode(mode) {
+    if (!THEME_MODES[mode]) {
+      throw new Error(`Unknown theme: ${mode}`);
+    }
+
+    this.mode = mode;
+    this.apply();
+    await this.storage.saveSetting('theme', mode);
+  }
+
+  /**
+   * Theme key in effect - the mode itself, or the OS preference for "auto"
+   */
+  current() {
+    if (this.mode !== 'auto') {
+      return this.mode;
+    }
+
+    const match = SYSTEM_QUERIES.find(({ query }) => this.matches(query));
+    return match ? match.theme : 'light';
+  }
+
+  /**
+   * Whether a media query matches (false outside a browser)
+   */
+  matches(query) {
+    return typeof window !== 'undefined' && !!window.matchMedia && window.matchMedia(query).matches;
+  }
+
+  /**
+   * Call listener(key, theme) whenever the theme in effect changes
+   */
+  onChange(listener) {
+    this.listeners.push(listener);
+  }
+
+  /**
+   * Set the page attributes Bootstrap and styles.scss read, then notify
+   */
+  apply() {
+    const key = this.current();
+    const root = document.documentElement;
+
+    root.dataset.bsTheme = THEMES[key].bsTheme;
+    root.dataset.theme = key;
+
+    this.listeners.forEach(listener => listener(key, THEMES[key]));
+  }
+
+  /**
+   * Re-apply "auto" when the OS switches scheme or contrast
+   */
+  watchSystem() {
+    if (this.watching || typeof window === 'undefined' || !window.matchMedia) {
+      return;
+    }
+
+    this.watching = true;
+    SYSTEM_QUERIES.forEach(({ query }) => {
+      window.matchMedia(query).addEventListener('change', () => {
+        if (this.mode === 'auto') {
+          this.apply();
+        }
+      });
+    });
+  }
+}
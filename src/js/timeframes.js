@@ -0,0 +1,186 @@
+/**
+ * Timeframe Aggregation
+ * Builds weekly and monthly candles from a daily series
+ */
+
+export const TIMEFRAMES = {
+  weekly: { label: 'Weekly', prefix: 'wk', high: 'PWH', low: 'PWL' },
+  monthly: { label: 'Monthly', prefix: 'mo', high: 'PMH', low: 'PML' }
+};
+
+/**
+ * Parse YYYY-MM-DD as a UTC date
+ */
+function toUTCDate(date) {
+  const [year, month, day] = date.split('-').map(Number);
+  return new Date(Date.UTC(year, month - 1, day));
+}
+
+/**
+ * Key identifying the week (Monday start) or month a date belongs to
+ */
+export function periodKey(date, timeframe) {
+  if (timeframe === 'monthly') {
+    return date.slice(0, 7);
+  }
+
+  const day = toUTCDate(date);
+  const offset = (day.getUTCDay() + 6) % 7;
+  day.setUTCDate(day.getUTCDate() - offset);
+  return day.toISOString().slice(0, 10);
+}
+
+/**
+ * Local calendar date (YYYY-MM-DD) of a Date or timestamp
+ */
+export function localDate(value = new Date()) {
+  const date = new Date(value);
+  const pad = number => String(number).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+/**
+ * Weekday that is not in the holiday list (YYYY-MM-DD strings)
+ */
+export function isTradingDay(date, holidays = []) {
+  const weekday = toUTCDate(date).getUTCDay();
+  return weekday !== 0 && weekday !== 6 && !holidays.includes(date);
+}
+
+/**
+ * Trading day before (step -1) or after (step +1) a date, skipping weekends and holidays
+ */
+function shiftTradingDay(date, step, holidays) {
+  const day = toUTCDate(date);
+  let key;
+
+  do {
+    day.setUTCDate(day.getUTCDate() + step);
+    key = day.toISOString().slice(0, 10);
+  } while (!isTradingDay(key, holidays));
+
+  return key;
+}
+
+/**
+ * Next trading day after a date - the day being forecast
+ */
+export function nextTradingDay(date, holidays = []) {
+  return shiftTradingDay(date, 1, holidays);
+}
+
+/**
+ * Trading day before a date
+ */
+export function previousTradingDay(date, holidays = []) {
+  return shiftTradingDay(date, -1, holidays);
+}
+
+/**
+ * D-2, D-1 and forecast dates for a forecast made on `today`. The forecast
+ * is today's session, or the next one when today is not a trading day.
+ */
+export function inferTradingDates(today, holidays = []) {
+  const forecastDate = isTradingDay(today, holidays) ? today : nextTradingDay(today, holidays);
+  const pdDate = previousTradingDay(forecastDate, holidays);
+
+  return {
+    dbpdDate: previousTradingDay(pdDate, holidays),
+    pdDate,
+    forecastDate
+  };
+}
+
+/**
+ * Holiday dates typed as a list separated by commas, spaces or new lines.
+ * Returns the valid YYYY-MM-DD dates, sorted, and the entries that are not.
+ */
+export function parseHolidays(text) {
+  const holidays = new Set();
+  const invalid = [];
+
+  String(text || '').split(/[\s,;]+/).filter(item => item).forEach(item => {
+    // Round trip so rolled-over dates like 2026-02-30 are rejected
+    if (/^\d{4}-\d{2}-\d{2}$/.test(item) && toUTCDate(item).toISOString().slice(0, 10) === item) {
+      holidays.add(item);
+    } else {
+      invalid.push(item);
+    }
+  });
+
+  return { holidays: [...holidays].sort(), invalid };
+}
+
+/**
+ * Merge daily candles (oldest first) into weekly or monthly candles
+ */
+export function aggregateCandles(candles, timeframe) {
+  const periods = [];
+
+  candles.forEach(candle => {
+    const key = periodKey(candle.date, timeframe);
+    const current = periods[periods.length - 1];
+
+    if (current && current.key === key) {
+      current.high = Math.max(current.high, candle.high);
+      current.low = Math.min(current.low, candle.low);
+      current.close = candle.close;
+      current.days++;
+      return;
+    }
+
+    periods.push({
+      key,
+      date: candle.date,
+      open: candle.open,
+      high: candle.high,
+      low: candle.low,
+      close: candle.close,
+      days: 1
+    });
+  });
+
+  return periods;
+}
+
+/**
+ * First trading day of the week or month with this period key
+ */
+function periodStart(key, timeframe, holidays) {
+  const start = timeframe === 'monthly' ? `${key}-01` : key;
+  return isTradingDay(start, holidays) ? start : nextTradingDay(start, holidays);
+}
+
+/**
+ * The last completed periods before the period containing the forecast day.
+ * A leading period the series only covers part of is left out.
+ */
+export function previousPeriods(candles, pdDate, timeframe, count = 2, holidays = []) {
+  const currentKey = periodKey(nextTradingDay(pdDate, holidays), timeframe);
+  const history = candles.filter(candle => candle.date <= pdDate);
+  const periods = aggregateCandles(history, timeframe).filter(period => period.key < currentKey);
+
+  if (periods.length > 0 && periods[0].date > periodStart(periods[0].key, timeframe, holidays)) {
+    periods.shift();
+  }
+
+  return periods.slice(-count);
+}
+
+/**
+ * Form fields (e.g. wk2Open ... wk1Close) for two higher timeframe candles
+ */
+export function toTimeframeFields(timeframe, older, newer) {
+  const { prefix } = TIMEFRAMES[timeframe];
+
+  return {
+    [`${prefix}2Open`]: older.open,
+    [`${prefix}2High`]: older.high,
+    [`${prefix}2Low`]: older.low,
+    [`${prefix}2Close`]: older.close,
+    [`${prefix}1Open`]: newer.open,
+    [`${prefix}1High`]: newer.high,
+    [`${prefix}1Low`]: newer.low,
+    [`${prefix}1Close`]: newer.close
+  };
+}
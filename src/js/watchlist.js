@@ -0,0 +1,271 @@
+/**
+ * Watchlist
+ * Symbols with their own D-2 / D-1 candles, analysed together for the
+ * morning dashboard. Saved as a setting, so backups carry it.
+ */
+
+import { BiasCalculator } from './calculator';
+import { Instrument } from './instruments';
+import { OhlcImporter } from './ohlcImporter';
+import { nextTradingDay } from './timeframes';
+import { scenarioLabel } from './historyQuery';
+
+const CANDLE_FIELDS = ['open', 'high', 'low', 'close'];
+
+// Sortable dashboard columns and the value each sorts by
+export const WATCHLIST_SORTS = {
+  symbol: row => row.symbol,
+  bias: row => (row.analysis ? row.analysis.bias : ''),
+  direction: row => (row.analysis ? row.analysis.direction : ''),
+  strength: row => (row.analysis ? row.analysis.strength : -1),
+  scenario: row => row.scenarios.join(', '),
+  sweep: row => (row.sweepDistance === null ? Infinity : row.sweepDistance)
+};
+
+/**
+ * Problem with one candle, or null when it is valid
+ */
+function candleProblem(candle, label) {
+  if (!candle || CANDLE_FIELDS.some(field => !Number.isFinite(candle[field]))) {
+    return `${label}: all prices must be numbers`;
+  }
+  if (candle.high <= candle.low) {
+    return `${label}: high must be greater than low`;
+  }
+  if ([candle.open, candle.close].some(price => price < candle.low || price > candle.high)) {
+    return `${label}: open and close must be within the range`;
+  }
+  return null;
+}
+
+/**
+ * Plain { date, open, high, low, close } with numeric prices
+ */
+function toCandle(source) {
+  const candle = { date: source.date || null };
+  CANDLE_FIELDS.forEach(field => {
+    candle[field] = parseFloat(source[field]);
+  });
+  return candle;
+}
+
+export class WatchlistManager {
+  constructor(storage) {
+    this.storage = storage;
+  }
+
+  /**
+   * Saved symbols in the order they were added
+   */
+  async getItems() {
+    return this.storage.getSetting('watchlist', []);
+  }
+
+  /**
+   * Add symbols, replacing the candles of symbols already listed
+   */
+  async addItems(items) {
+    const list = await this.getItems();
+    let updated = 0;
+
+    items.forEach(item => {
+      const index = list.findIndex(existing => existing.symbol === item.symbol);
+      if (index === -1) {
+        list.push(item);
+      } else {
+        list[index] = item;
+        updated++;
+      }
+    });
+
+    await this.storage.saveSetting('watchlist', list);
+    return { added: items.length - updated, updated };
+  }
+
+  /**
+   * Remove one symbol
+   */
+  async removeItem(symbol) {
+    const list = (await this.getItems()).filter(item => item.symbol !== symbol);
+    await this.storage.saveSetting('watchlist', list);
+  }
+
+  /**
+   * Empty the watchlist
+   */
+  async clear() {
+    await this.storage.saveSetting('watchlist', []);
+  }
+
+  /**
+   * Watchlist item from the analysis form's D-2 / D-1 fields
+   */
+  static fromFormData(data) {
+    const candle = prefix => toCandle({
+      date: data[`${prefix}Date`],
+      open: data[`${prefix}Open`],
+      high: data[`${prefix}High`],
+      low: data[`${prefix}Low`],
+      close: data[`${prefix}Close`]
+    });
+
+    return {
+      symbol: String(data.symbol).trim().toUpperCase(),
+      dbpd: candle('dbpd'),
+      pd: candle('pd')
+    };
+  }
+
+  /**
+   * Items from imported or pasted candles - the last two days of each symbol
+   */
+  static fromCandles(candles) {
+    const items = [];
+    const skipped = [];
+
+    [...new Set(candles.map(candle => candle.symbol))].forEach(symbol => {
+      const series = OhlcImporter.seriesFor(candles, symbol);
+
+      if (symbol === 'N/A' || series.length < 2) {
+        skipped.push(symbol);
+        return;
+      }
+
+      items.push({
+        symbol,
+        dbpd: toCandle(series[series.length - 2]),
+        pd: toCandle(series[series.length - 1])
+      });
+    });
+
+    return { items, skipped };
+  }
+
+  /**
+   * Calculator input for an item, dated from its D-1 candle
+   */
+  static toFormData(item, holidays = []) {
+    const data = { symbol: item.symbol };
+
+    ['dbpd', 'pd'].forEach(prefix => {
+      CANDLE_FIELDS.forEach(field => {
+        data[`${prefix}${field.charAt(0).toUpperCase()}${field.slice(1)}`] = item[prefix][field];
+      });
+    });
+
+    if (item.pd.date) {
+      data.dbpdDate = item.dbpd.date;
+      data.pdDate = item.pd.date;
+      data.forecastDate = nextTradingDay(item.pd.date, holidays);
+    }
+
+    return data;
+  }
+
+  /**
+   * Run the calculator on every item with one profile. Each row has the
+   * analysis (or the reason there is none), its scenarios and how far D-1
+   * closed from the sweep level of the setup the bias points to.
+   */
+  analyze(items, profile, holidays = []) {
+    return items.map(item => {
+      const data = WatchlistManager.toFormData(item, holidays);
+      const row = { symbol: item.symbol, item, data, analysis: null, scenarios: [], sweepLevel: null, sweepDistance: null, sweepLabel: '', error: null };
+
+      row.error = candleProblem(item.dbpd, 'D-2') || candleProblem(item.pd, 'D-1');
+      if (!row.error && item.dbpd.date && item.pd.date && item.dbpd.date >= item.pd.date) {
+        row.error = 'D-2 must be earlier than D-1';
+      }
+      if (row.error) {
+        return row;
+      }
+
+      try {
+        row.analysis = new BiasCalculator(data, profile).calculateBias();
+      } catch (error) {
+        row.error = error.message;
+        return row;
+      }
+
+      const scenario = row.analysis.scenario || {};
+      row.scenarios = Object.keys(scenario).filter(key => scenario[key]).map(scenarioLabel);
+
+      const sweep = WatchlistManager.sweepLevel(row.analysis, item.pd.close);
+      if (sweep !== null) {
+        const instrument = new Instrument(row.analysis.instrument);
+        row.sweepLevel = sweep;
+        row.sweepDistance = instrument.priceToPips(item.pd.close - sweep);
+        row.sweepLabel = instrument.pipLabel;
+      }
+
+      return row;
+    });
+  }
+
+  /**
+   * Sweep level of the setup in the bias direction; for a neutral bias the
+   * nearer of the two
+   */
+  static sweepLevel(analysis, close) {
+    const levels = {
+      bullish: (analysis.bullishSetup || {}).sweepLevel,
+      bearish: (analysis.bearishSetup || {}).sweepLevel
+    };
+    const direction = BiasCalculator.direction(analysis.bias);
+
+    if (direction !== 'neutral') {
+      return levels[direction] === undefined ? null : +levels[direction];
+    }
+
+    const available = Object.values(levels).filter(level => level !== undefined).map(Number);
+    if (available.length === 0) {
+      return null;
+    }
+    return available.reduce((nearest, level) => (Math.abs(close - level) < Math.abs(close - nearest) ? level : nearest));
+  }
+
+  /**
+   * Rows sorted by a dashboard column. Rows that could not be analysed go last.
+   */
+  static sort(rows, sort = 'strength', order = 'desc') {
+    const value = WATCHLIST_SORTS[sort] || WATCHLIST_SORTS.strength;
+    const direction = order === 'asc' ? 1 : -1;
+
+    return [...rows].sort((a, b) => {
+      if (!a.analysis !== !b.analysis) {
+        return a.analysis ? -1 : 1;
+      }
+
+      const left = value(a);
+      const right = value(b);
+      const compare = typeof left === 'string' ? left.localeCompare(right) : left - right;
+      return compare * direction || a.symbol.localeCompare(b.symbol);
+    });
+  }
+}
+
+/**
+ * Small SVG candlestick strip for a dashboard row. The last candle (the
+ * forecast) is drawn faded.
+ */
+export function miniChartSvg(candles, width = 90, height = 36) {
+  const high = Math.max(...candles.map(candle => candle.high));
+  const low = Math.min(...candles.map(candle => candle.low));
+  const y = price => (high === low ? height / 2 : ((high - price) / (high - low)) * (height - 2) + 1);
+  const slot = width / candles.length;
+
+  const shapes = candles.map((candle, index) => {
+    const color = candle.close >= candle.open ? '#26a69a' : '#ef5350';
+    const x = slot * index + slot / 2;
+    const top = y(Math.max(candle.open, candle.close));
+    const bodyHeight = Math.max(1, y(Math.min(candle.open, candle.close)) - top);
+    const opacity = index === candles.length - 1 ? ' opacity="0.5"' : '';
+
+    return `<g${opacity}>
+      <line x1="${x}" x2="${x}" y1="${y(candle.high)}" y2="${y(candle.low)}" stroke="${color}" />
+      <rect x="${x - slot / 4}" y="${top}" width="${slot / 2}" height="${bodyHeight}" fill="${color}" />
+    </g>`;
+  });
+
+  return `<svg class="watchlist-mini-chart" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" role="img" aria-label="D-2, D-1 and forecast candles">${shapes.join('')}</svg>`;
+}
@@ -0,0 +1,252 @@
+/**
+ * Fair Value Gap & Order Block Detector
+ * Scans intraday candles for FVGs (on 2H) and order blocks (on the imported
+ * 15m/5m timeframe) and tracks whether price has come back into each one
+ */
+
+export const ZONE_TYPES = {
+  FVG: 'fvg',
+  ORDER_BLOCK: 'orderBlock'
+};
+
+export const ZONE_LABELS = {
+  [ZONE_TYPES.FVG]: 'FVG',
+  [ZONE_TYPES.ORDER_BLOCK]: 'Order Block'
+};
+
+// FVGs for checklist item 1 are read on this timeframe
+const HTF_MINUTES = 120;
+
+// Zones per type kept for display, nearest to price first
+const MAX_ZONES = 3;
+
+/**
+ * Short timeframe label: 15 -> "15m", 120 -> "2H"
+ */
+export function timeframeLabel(minutes) {
+  return minutes >= 60 && minutes % 60 === 0 ? `${minutes / 60}H` : `${minutes}m`;
+}
+
+export class ZoneDetector {
+  /**
+   * @param candles Intraday candles with date (YYYY-MM-DD) and time (HH:MM), oldest first
+   * @param utcOffset Hours the candle timestamps are ahead of UTC (e.g. 2 for broker time UTC+2)
+   */
+  constructor(candles, utcOffset = 0) {
+    this.utcOffset = parseFloat(utcOffset) || 0;
+    this.candles = (candles || [])
+      .map(candle => ({
+        date: candle.date,
+        time: candle.time || '00:00',
+        stamp: Date.parse(`${candle.date}T${candle.time || '00:00'}:00Z`),
+        open: parseFloat(candle.open),
+        high: parseFloat(candle.high),
+        low: parseFloat(candle.low),
+        close: parseFloat(candle.close)
+      }))
+      .filter(candle => !isNaN(candle.stamp) && [candle.open, candle.high, candle.low, candle.close].every(Number.isFinite))
+      .sort((a, b) => a.stamp - b.stamp);
+  }
+
+  /**
+   * Bar size in minutes: the most common gap between consecutive bars
+   */
+  detectTimeframe(candles) {
+    const counts = {};
+
+    for (let i = 1; i < candles.length; i++) {
+      const minutes = Math.round((candles[i].stamp - candles[i - 1].stamp) / 60000);
+      if (minutes > 0) {
+        counts[minutes] = (counts[minutes] || 0) + 1;
+      }
+    }
+
+    const best = Object.keys(counts).sort((a, b) => counts[b] - counts[a])[0];
+    return best ? parseInt(best, 10) : null;
+  }
+
+  /**
+   * Merge bars into fixed buckets (e.g. 2H) aligned to UTC, so a UTC+3 file
+   * gets 01:00, 03:00... bars. Bucket times stay on the file's clock.
+   */
+  aggregate(candles, minutes) {
+    const size = minutes * 60000;
+    const offset = this.utcOffset * 3600000;
+    const buckets = [];
+
+    candles.forEach(candle => {
+      const stamp = Math.floor((candle.stamp - offset) / size) * size + offset;
+      const current = buckets[buckets.length - 1];
+
+      if (current && current.stamp === stamp) {
+        current.high = Math.max(current.high, candle.high);
+        current.low = Math.min(current.low, candle.low);
+        current.close = candle.close;
+        return;
+      }
+
+      const start = new Date(stamp).toISOString();
+      buckets.push({
+        date: start.slice(0, 10),
+        time: start.slice(11, 16),
+        stamp,
+        end: stamp + size,
+        open: candle.open,
+        high: candle.high,
+        low: candle.low,
+        close: candle.close
+      });
+    });
+
+    return buckets;
+  }
+
+  /**
+   * Three-candle gaps: bar 1's high below bar 3's low (bullish) or bar 1's low above bar 3's high (bearish).
+   * With the imported bars given, mitigation is checked on them from the end of
+   * bar 3 rather than on the merged bars.
+   */
+  findFairValueGaps(candles, timeframe, sourceCandles = null) {
+    const gaps = [];
+
+    for (let i = 2; i < candles.length; i++) {
+      const first = candles[i - 2];
+      const third = candles[i];
+      let zone = null;
+
+      if (first.high < third.low) {
+        zone = { side: 'bullish', bottom: first.high, top: third.low };
+      } else if (first.low > third.high) {
+        zone = { side: 'bearish', bottom: third.high, top: first.low };
+      }
+
+      if (zone) {
+        const middle = candles[i - 1];
+        gaps.push(this.trackMitigation({
+          type: ZONE_TYPES.FVG,
+          timeframe,
+          date: middle.date,
+          time: middle.time,
+          ...zone
+        }, sourceCandles ? sourceCandles.filter(candle => candle.stamp >= third.end) : candles.slice(i + 1)));
+      }
+    }
+
+    return gaps;
+  }
+
+  /**
+   * Last opposite candle before a bar that closes beyond its range
+   */
+  findOrderBlocks(candles, timeframe) {
+    const blocks = [];
+
+    for (let i = 0; i < candles.length - 1; i++) {
+      const block = candles[i];
+      const next = candles[i + 1];
+      let side = null;
+
+      if (block.close < block.open && next.close > block.high) {
+        side = 'bullish';
+      } else if (block.close > block.open && next.close < block.low) {
+        side = 'bearish';
+      }
+
+      if (side) {
+        blocks.push(this.trackMitigation({
+          type: ZONE_TYPES.ORDER_BLOCK,
+          timeframe,
+          date: block.date,
+          time: block.time,
+          side,
+          bottom: block.low,
+          top: block.high
+        }, candles.slice(i + 2)));
+      }
+    }
+
+    return blocks;
+  }
+
+  /**
+   * Mark a zone mitigated once a later bar trades back into it.
+   * An FVG is also marked filled when price trades through the whole gap.
+   */
+  trackMitigation(zone, laterCandles) {
+    const entered = candle => zone.side === 'bullish' ? candle.low <= zone.top : candle.high >= zone.bottom;
+    const through = candle => zone.side === 'bullish' ? candle.low <= zone.bottom : candle.high >= zone.top;
+    const tap = laterCandles.find(entered);
+
+    return {
+      ...zone,
+      mitigated: !!tap,
+      mitigatedAt: tap ? `${tap.date} ${tap.time}` : null,
+      filled: zone.type === ZONE_TYPES.FVG && laterCandles.some(through)
+    };
+  }
+
+  /**
+   * Unmitigated zones on the bias side of price: bullish zones below it for a
+   * bullish bias, bearish zones above it for a bearish one. Nearest first.
+   */
+  zonesForBias(zones, direction, price) {
+    if (direction === 'bullish') {
+      return zones
+        .filter(zone => zone.side === 'bullish' && !zone.mitigated && zone.top <= price)
+        .sort((a, b) => b.top - a.top);
+    }
+
+    if (direction === 'bearish') {
+      return zones
+        .filter(zone => zone.side === 'bearish' && !zone.mitigated && zone.bottom >= price)
+        .sort((a, b) => a.bottom - b.bottom);
+    }
+
+    return [];
+  }
+
+  /**
+   * Detect zones on 2H and the imported timeframe and pick checklist candidates
+   */
+  scan(direction = 'neutral') {
+    const minutes = this.detectTimeframe(this.candles);
+
+    if (this.candles.length < 3 || !minutes) {
+      return null;
+    }
+
+    const hasLtf = minutes < HTF_MINUTES;
+    const htfCandles = hasLtf ? this.aggregate(this.candles, HTF_MINUTES) : this.candles;
+    const htfLabel = timeframeLabel(hasLtf ? HTF_MINUTES : minutes);
+    const ltfLabel = hasLtf ? timeframeLabel(minutes) : null;
+    const price = this.candles[this.candles.length - 1].close;
+
+    const fvgs = this.findFairValueGaps(htfCandles, htfLabel, hasLtf ? this.candles : null);
+    const orderBlocks = this.findOrderBlocks(hasLtf ? this.candles : htfCandles, ltfLabel || htfLabel);
+    const biasFvgs = this.zonesForBias(fvgs, direction, price);
+    const biasBlocks = this.zonesForBias(orderBlocks, direction, price);
+
+    // Prefer an order block sitting inside the chosen FVG (the "inner block")
+    const fvg = biasFvgs[0] || null;
+    const orderBlock = (fvg && biasBlocks.find(block => block.bottom < fvg.top && block.top > fvg.bottom)) || biasBlocks[0] || null;
+    const blocks = biasBlocks.slice(0, MAX_ZONES);
+    if (orderBlock && !blocks.includes(orderBlock)) {
+      blocks.push(orderBlock);
+    }
+
+    return {
+      price,
+      direction,
+      htfTimeframe: htfLabel,
+      ltfTimeframe: ltfLabel,
+      counts: {
+        fvg: fvgs.length,
+        fvgMitigated: fvgs.filter(zone => zone.mitigated).length,
+        orderBlock: orderBlocks.length,
+        orderBlockMitigated: orderBlocks.filter(zone => zone.mitigated).length
+      },
+      zones: [...biasFvgs.slice(0, MAX_ZONES), ...blocks],
+      candidates: { fvg, orderBlock }
+    };
+  }
+}